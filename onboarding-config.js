@@ -102,6 +102,13 @@ const ONBOARDING_CONFIG = {
     helperText: "Choose your preferred voice for question narration"
   },
   
+  // Section 7: Interview Date (Optional)
+  interviewDate: {
+    label: "7. Interview Date",
+    optional: "(Optional)",
+    helperText: "We'll count down to your panel and build a day-by-day study plan"
+  },
+  
   // Submit Button
   submit: {
     buttonText: "Start Practice Session"
@@ -0,0 +1,119 @@
+// Admin Audit - user roles, ADMIN_EMAILS bootstrapping and the admin_audit_log entry for each admin request
+// Every request that reaches an admin route is logged (refused ones too); a route can name its action, target
+// users, balances before/after, the credit ledger entries it wrote and extra details through res.locals.audit.
+
+const USER_ROLES = ['user', 'admin'];
+// Never copied into the log
+const REDACTED_FIELDS = ['secret', 'password', 'currentPassword', 'token', 'refreshToken'];
+// Larger request bodies (question imports) are logged by size only
+const MAX_PAYLOAD_CHARS = 20000;
+
+// "a@x.com, B@y.com" → Set of lowercased emails
+function parseAdminEmails(value) {
+  return new Set(String(value || '').split(',').map(email => email.trim().toLowerCase()).filter(Boolean));
+}
+
+// Listed in ADMIN_EMAILS and the address is confirmed (otherwise anyone could sign up with it)
+function isBootstrapAdmin(user, adminEmails) {
+  return !!user && !!user.email_verified_at && adminEmails.has(String(user.email).toLowerCase());
+}
+
+function redact(fields) {
+  const copy = { ...(fields || {}) };
+  REDACTED_FIELDS.forEach(field => {
+    if (field in copy) copy[field] = '[redacted]';
+  });
+  return copy;
+}
+
+// The request body as logged: redacted, or just its size when it's too large to keep
+function auditPayload(body) {
+  if (body === undefined || body === null) return null;
+  if (typeof body === 'string' || Buffer.isBuffer(body)) {
+    return body.length > 0 ? { size: body.length } : null;
+  }
+  if (typeof body !== 'object' || Object.keys(body).length === 0) return null;
+  const payload = redact(body);
+  const size = JSON.stringify(payload).length;
+  return size > MAX_PAYLOAD_CHARS ? { truncated: true, size } : payload;
+}
+
+// Route pattern rather than the concrete URL, e.g. "PUT /api/admin/questions/:id"
+function describeAdminAction(req) {
+  return `${req.method} ${req.baseUrl || ''}${req.route ? req.route.path : req.path}`;
+}
+
+// → the AdminAuditLog.record() input for a finished admin request
+function buildAuditEntry(req, res, actor, ipHash = null) {
+  const audit = res.locals.audit || {};
+  const details = { ...redact(audit.details) };
+  if (Object.keys(req.params || {}).length > 0) details.params = req.params;
+  if (Object.keys(req.query || {}).length > 0) details.query = redact(req.query);
+  return {
+    actorUserId: actor ? actor.id : null,
+    actorEmail: actor ? actor.email : null,
+    action: audit.action || describeAdminAction(req),
+    method: req.method,
+    path: req.originalUrl.split('?')[0],
+    statusCode: res.statusCode,
+    targetUserIds: (audit.targetUserIds || []).map(id => parseInt(id)).filter(Number.isFinite),
+    details: Object.keys(details).length > 0 ? details : null,
+    payload: auditPayload(req.body),
+    balances: audit.balances || null,
+    ledgerEntryIds: audit.ledgerEntryIds || [],
+    reversesLogId: audit.reversesLogId || null,
+    ipHash
+  };
+}
+
+// { [userId]: { before, after } } from the user rows before and after an admin change
+function balanceChanges(usersBefore, usersAfter) {
+  const after = new Map(usersAfter.map(user => [user.id, user.credits_balance]));
+  return Object.fromEntries(usersBefore.map(user => [user.id, { before: user.credits_balance, after: after.has(user.id) ? after.get(user.id) : null }]));
+}
+
+// Undo a merge from the credit ledger entries it logged: every entry is reversed per user.
+// shortfalls lists users who no longer have the credits to give back (spent since the merge).
+function planMergeReversal(ledgerEntries, currentBalances) {
+  const netByUser = new Map();
+  ledgerEntries.forEach(entry => {
+    netByUser.set(entry.user_id, (netByUser.get(entry.user_id) || 0) - entry.change);
+  });
+  const adjustments = [...netByUser.entries()]
+    .filter(([, change]) => change !== 0)
+    .map(([userId, change]) => ({ userId, change }));
+  const shortfalls = adjustments
+    .filter(({ userId, change }) => change < 0 && (currentBalances[userId] || 0) + change < 0)
+    .map(({ userId, change }) => ({ userId, needed: -change, balance: currentBalances[userId] || 0 }));
+  return { adjustments, shortfalls };
+}
+
+function formatAuditEntry(row) {
+  return {
+    id: row.id,
+    actor: { id: row.actor_user_id, email: row.actor_email },
+    action: row.action,
+    method: row.method,
+    path: row.path,
+    statusCode: row.status_code,
+    targetUserIds: row.target_user_ids || [],
+    balances: row.balances,
+    ledgerEntryIds: row.ledger_entry_ids || [],
+    payload: row.payload,
+    details: row.details,
+    reversesLogId: row.reverses_log_id,
+    reversedAt: row.reversed_at,
+    reversedByLogId: row.reversed_by_log_id,
+    createdAt: row.created_at
+  };
+}
+
+module.exports = {
+  USER_ROLES,
+  parseAdminEmails,
+  isBootstrapAdmin,
+  buildAuditEntry,
+  balanceChanges,
+  planMergeReversal,
+  formatAuditEntry
+};
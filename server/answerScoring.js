@@ -0,0 +1,313 @@
+// Answer Scoring - Structured JSON scoring for /api/analyze-answer
+// The model returns a JSON object (response_format: json_object) which is validated here,
+// then rendered to the same markdown layout the frontend modal already understands.
+
+const QUESTION_TYPES = ['behavioral', 'situational', 'knowledge'];
+const KNOWLEDGE_VERDICTS = ['correct', 'partially_correct', 'incorrect', 'unverified', 'not_applicable'];
+const STAR_COMPONENTS = ['situation', 'task', 'action', 'result'];
+
+// JSON structure the model must return (appended to the analysis prompt)
+function buildScoringFormatPrompt(isKnowledgeQuestion) {
+  return `Return ONLY a JSON object with this structure:
+{
+  "questionType": "behavioral" | "situational" | "knowledge",
+  "summary": "1-2 sentences${isKnowledgeQuestion ? ', including correctness' : ''}",
+  "overallScore": 0-10 (number, one decimal allowed${isKnowledgeQuestion ? ', based on content accuracy' : ''}),
+  "scoreReason": "brief why",
+  "strengths": ["Specific positive", "Specific positive"],
+  "improvements": ["Practical change", "Another tweak"],
+  "knowledge": {
+    "verdict": "correct" | "partially_correct" | "incorrect" | "unverified" | "not_applicable",
+    "correctAnswer": "From research, or null",
+    "missedFacts": ["Fact they missed"]${isKnowledgeQuestion ? `,
+    "factKeys": ["[fact key] of each research fact used to verify, e.g. fire chief name"]` : ''}
+  },
+  "starScores": { "situation": 0-10, "task": 0-10, "action": 0-10, "result": 0-10 },
+  "starBreakdown": { "situation": "1 sentence", "task": "1 sentence", "action": "1-2 sentences", "result": "1 sentence" },
+  "approachSteps": ["First action", "Chain of command/safety", "Follow-up"],
+  "modelAnswer": "Panel-ready answer: 1 opening + 1-2 paragraphs. Natural language."
+}
+
+Rules:
+- ${isKnowledgeQuestion
+    ? 'This is a knowledge question: questionType is "knowledge". Verdict is based on FACTS, not spelling. Use "unverified" if no research data is available. starScores, starBreakdown and approachSteps may be null.'
+    : 'BEHAVIORAL (past) → fill starScores and starBreakdown, approachSteps may be null. HYPOTHETICAL (future) → questionType "situational", fill approachSteps, and still score starScores for how well the answer covers context, goal, actions and expected outcome. knowledge.verdict is "not_applicable".'}
+- strengths and improvements: 1-3 items each, specific and actionable.
+- Keep text concise, skimmable, encouraging. No markdown inside string values.`;
+}
+
+// Extra prompt for a retry of the same question: the previous answer, its score and its numbered improvement points
+function buildRetryPrompt(previous) {
+  const points = previous.improvements.map((item, i) => `${i + 1}. ${item}`).join('\n');
+  return `
+
+PREVIOUS ATTEMPT at this same question${previous.overallScore !== null ? ` (scored ${previous.overallScore}/10)` : ''}:
+Answer: "${String(previous.answer).replace(/"/g, '\\"')}"
+Improvement points it was given:
+${points || '(none)'}
+
+This is a retry. Score the new answer on its own merits, then also add to the JSON:
+  "retry": { "fixed": [numbers of the improvement points above that the new answer fixed], "remainingGaps": ["What still holds the answer back, 1-3 items"] }`;
+}
+
+function clampScore(value) {
+  const num = typeof value === 'string' ? parseFloat(value) : value;
+  if (typeof num !== 'number' || !Number.isFinite(num)) return null;
+  return Math.round(Math.min(10, Math.max(0, num)) * 10) / 10;
+}
+
+function cleanString(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+function cleanStringList(value, max = 3) {
+  if (!Array.isArray(value)) return [];
+  return value.map(cleanString).filter(Boolean).slice(0, max);
+}
+
+// Which of the previous attempt's improvement points were fixed, and the score change.
+// The model names fixed points by their number; anything else is reported as not fixed yet.
+function validateRetry(data, overallScore, previous) {
+  const input = data.retry && typeof data.retry === 'object' ? data.retry : {};
+  const fixedNumbers = new Set((Array.isArray(input.fixed) ? input.fixed : []).map(n => parseInt(n)));
+  return {
+    previousAttemptId: previous.id,
+    previousScore: previous.overallScore,
+    scoreDelta: overallScore !== null && previous.overallScore !== null
+      ? Math.round((overallScore - previous.overallScore) * 10) / 10
+      : null,
+    fixed: previous.improvements.filter((item, i) => fixedNumbers.has(i + 1)),
+    notFixed: previous.improvements.filter((item, i) => !fixedNumbers.has(i + 1)),
+    remainingGaps: cleanStringList(input.remainingGaps)
+  };
+}
+
+// Validate and normalize the model's JSON. Returns { valid, errors, score }.
+// Numbers are clamped to 0-10 and optional fields are defaulted; only missing
+// required fields (overall score, strengths, improvements, model answer) fail validation.
+// With `previous` (a retry), score.retry reports progress against that attempt.
+function validateAnswerScore(data, { isKnowledgeQuestion = false, previous = null } = {}) {
+  const errors = [];
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { valid: false, errors: ['Response is not a JSON object'], score: null };
+  }
+
+  const overallScore = clampScore(data.overallScore);
+  if (overallScore === null) errors.push('overallScore must be a number between 0 and 10');
+
+  const strengths = cleanStringList(data.strengths);
+  if (strengths.length === 0) errors.push('strengths must contain at least one item');
+
+  const improvements = cleanStringList(data.improvements);
+  if (improvements.length === 0) errors.push('improvements must contain at least one item');
+
+  const modelAnswer = cleanString(data.modelAnswer);
+  if (!modelAnswer) errors.push('modelAnswer is required');
+
+  let questionType = QUESTION_TYPES.includes(data.questionType) ? data.questionType : null;
+  if (isKnowledgeQuestion) questionType = 'knowledge';
+  if (!questionType) questionType = 'situational';
+
+  let starScores = null;
+  if (data.starScores && typeof data.starScores === 'object') {
+    starScores = {};
+    STAR_COMPONENTS.forEach(key => { starScores[key] = clampScore(data.starScores[key]); });
+    if (STAR_COMPONENTS.every(key => starScores[key] === null)) starScores = null;
+  }
+
+  let starBreakdown = null;
+  if (data.starBreakdown && typeof data.starBreakdown === 'object') {
+    starBreakdown = {};
+    STAR_COMPONENTS.forEach(key => { starBreakdown[key] = cleanString(data.starBreakdown[key]); });
+    if (STAR_COMPONENTS.every(key => starBreakdown[key] === null)) starBreakdown = null;
+  }
+
+  const knowledgeInput = data.knowledge && typeof data.knowledge === 'object' ? data.knowledge : {};
+  let verdict = KNOWLEDGE_VERDICTS.includes(knowledgeInput.verdict) ? knowledgeInput.verdict : null;
+  if (!verdict) verdict = isKnowledgeQuestion ? 'unverified' : 'not_applicable';
+  if (!isKnowledgeQuestion) verdict = 'not_applicable';
+
+  const score = {
+    questionType,
+    summary: cleanString(data.summary) || '',
+    overallScore,
+    scoreReason: cleanString(data.scoreReason) || '',
+    starScores,
+    starBreakdown,
+    approachSteps: cleanStringList(data.approachSteps, 5),
+    strengths,
+    improvements,
+    knowledge: {
+      verdict,
+      correctAnswer: cleanString(knowledgeInput.correctAnswer),
+      missedFacts: cleanStringList(knowledgeInput.missedFacts, 5),
+      factKeys: cleanStringList(knowledgeInput.factKeys, 5).map(key => key.replace(/^\[|\]$/g, '').toLowerCase()),
+      // Filled in by the caller from the research facts named in factKeys
+      sources: []
+    },
+    modelAnswer: modelAnswer || '',
+    retry: previous ? validateRetry(data, overallScore, previous) : null
+  };
+
+  return { valid: errors.length === 0, errors, score };
+}
+
+const VERDICT_LABELS = {
+  correct: 'CORRECT',
+  partially_correct: 'PARTIALLY CORRECT',
+  incorrect: 'INCORRECT',
+  unverified: 'UNVERIFIED'
+};
+
+// Render a validated score to markdown (same sections the modal formatter expects).
+// Sections with nothing in them yet are skipped, so a partially streamed score renders too.
+function renderAnswerScoreMarkdown(score) {
+  const lines = [];
+
+  lines.push('## Answer Summary & Score');
+  if (score.summary) lines.push(`- **Summary:** ${score.summary}`);
+  if (score.questionType === 'knowledge' && VERDICT_LABELS[score.knowledge.verdict]) {
+    lines.push(`- **Correctness:** ${VERDICT_LABELS[score.knowledge.verdict]}`);
+  }
+  if (score.overallScore !== null) {
+    lines.push(`- **Score:** ${score.overallScore}/10${score.scoreReason ? ` - ${score.scoreReason}` : ''}`);
+  }
+  lines.push('');
+
+  if (score.retry) {
+    const { previousScore, scoreDelta } = score.retry;
+    lines.push('## Progress Since Last Try');
+    if (scoreDelta !== null) {
+      lines.push(`- **Score Change:** ${previousScore}/10 → ${score.overallScore}/10 (${scoreDelta > 0 ? '+' : ''}${scoreDelta})`);
+    }
+    score.retry.fixed.forEach(item => lines.push(`- **Fixed:** ${item}`));
+    score.retry.notFixed.forEach(item => lines.push(`- **Not Fixed Yet:** ${item}`));
+    score.retry.remainingGaps.forEach(item => lines.push(`- **Remaining Gap:** ${item}`));
+    lines.push('');
+  }
+
+  if (score.strengths.length > 0) {
+    lines.push('## What You Did Well');
+    score.strengths.forEach((item, i) => lines.push(`- **Positive ${i + 1}:** ${item}`));
+    lines.push('');
+  }
+
+  if (score.improvements.length > 0) {
+    lines.push('## What To Improve Next');
+    score.improvements.forEach((item, i) => lines.push(`- **Focus ${i + 1}:** ${item}`));
+    lines.push('');
+  }
+
+  if (score.questionType === 'knowledge') {
+    const sources = score.knowledge.sources || [];
+    if (score.knowledge.correctAnswer || score.knowledge.missedFacts.length > 0 || sources.length > 0) {
+      lines.push('## Correct Answer');
+      if (score.knowledge.correctAnswer) lines.push(`- **Correct Answer:** ${score.knowledge.correctAnswer}`);
+      if (score.knowledge.missedFacts.length > 0) {
+        lines.push(`- **Additional Details:** ${score.knowledge.missedFacts.join('; ')}`);
+      }
+      sources.forEach(fact => {
+        const provenance = [
+          fact.pinned ? 'verified' : `${fact.confidence} confidence`,
+          fact.retrievedAt ? `retrieved ${new Date(fact.retrievedAt).toISOString().slice(0, 10)}` : null,
+          fact.sources.length > 0 ? fact.sources[0].url : null
+        ].filter(Boolean).join(', ');
+        lines.push(`- **Source (${fact.key}):** ${fact.value} (${provenance})`);
+      });
+      lines.push('');
+    }
+  } else if (score.starBreakdown || score.approachSteps.length > 0 || score.starScores) {
+    lines.push('## STAR or Approach');
+    if (score.questionType === 'behavioral' && score.starBreakdown) {
+      STAR_COMPONENTS.forEach(key => {
+        const label = key.charAt(0).toUpperCase() + key.slice(1);
+        const componentScore = score.starScores && score.starScores[key] !== null ? ` (${score.starScores[key]}/10)` : '';
+        if (score.starBreakdown[key]) lines.push(`- **${label}${componentScore}:** ${score.starBreakdown[key]}`);
+      });
+    } else if (score.approachSteps.length > 0) {
+      score.approachSteps.forEach((step, i) => lines.push(`- **Step ${i + 1}:** ${step}`));
+    } else if (score.starScores) {
+      lines.push(`- **STAR Coverage:** ${STAR_COMPONENTS.map(key => `${key.charAt(0).toUpperCase() + key.slice(1)} ${score.starScores[key] ?? '-'}/10`).join(', ')}`);
+    }
+    lines.push('');
+  }
+
+  if (score.modelAnswer) {
+    lines.push('## Panel-Ready Answer');
+    lines.push(score.modelAnswer);
+  }
+
+  return lines.join('\n');
+}
+
+// Index of the last comma that separates JSON values (outside strings) before `end`, or -1
+function lastValueSeparator(text, end) {
+  let inString = false;
+  let escaped = false;
+  let last = -1;
+  for (let i = 0; i < end; i++) {
+    const char = text[i];
+    if (escaped) { escaped = false; continue; }
+    if (char === '\\') { escaped = inString; continue; }
+    if (char === '"') inString = !inString;
+    else if (char === ',' && !inString) last = i;
+  }
+  return last;
+}
+
+// Close any open string, arrays and objects so a JSON prefix parses
+function closePartialJSON(text) {
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+  for (const char of text) {
+    if (escaped) { escaped = false; continue; }
+    if (char === '\\') { escaped = inString; continue; }
+    if (char === '"') inString = !inString;
+    else if (!inString && (char === '{' || char === '[')) stack.push(char);
+    else if (!inString && (char === '}' || char === ']')) stack.pop();
+  }
+  // A number still being written (7 → 7.5) is held back until its delimiter arrives
+  if (!inString && /[-+.\deE]$/.test(text.trimEnd())) return null;
+  let closed = inString ? `${text}"` : text;
+  closed = closed.replace(/[\s,:]+$/, '');
+  return closed + stack.reverse().map(open => (open === '{' ? '}' : ']')).join('');
+}
+
+// Best-effort parse of a streamed JSON prefix: the longest complete-enough prefix, or {} before anything parses
+function parsePartialJSON(text) {
+  let end = text.length;
+  for (let attempt = 0; attempt < 8 && end > 0; attempt++) {
+    const closed = closePartialJSON(text.slice(0, end));
+    if (closed !== null) {
+      try {
+        const parsed = JSON.parse(closed);
+        if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed;
+      } catch (e) {
+        // Dangling key or partial literal - back off to the previous value
+      }
+    }
+    end = lastValueSeparator(text, end);
+  }
+  return {};
+}
+
+// Markdown for the JSON streamed so far, in the same layout as the final feedback
+function renderPartialAnswerMarkdown(content, { isKnowledgeQuestion = false, previous = null } = {}) {
+  const partial = parsePartialJSON(content);
+  const { score } = validateAnswerScore(partial, { isKnowledgeQuestion, previous });
+  // Don't show a default verdict before the model has given one, or retry progress before the model has judged it
+  if (!partial.knowledge || !partial.knowledge.verdict) score.knowledge.verdict = null;
+  if (!partial.retry) score.retry = null;
+  return renderAnswerScoreMarkdown(score).trimEnd();
+}
+
+module.exports = {
+  buildScoringFormatPrompt,
+  buildRetryPrompt,
+  validateAnswerScore,
+  renderAnswerScoreMarkdown,
+  parsePartialJSON,
+  renderPartialAnswerMarkdown
+};
@@ -0,0 +1,92 @@
+// Auth Tokens - signed, expiring links for password reset and email verification
+// The link carries a JWT (purpose + token id); the auth_tokens row is what makes it single-use and revocable.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const TOKEN_PURPOSES = ['password_reset', 'email_verification'];
+const TOKEN_TTL_MINUTES = {
+  password_reset: 60,
+  email_verification: 7 * 24 * 60
+};
+// Links requested per account per hour before further requests are silently dropped
+const MAX_TOKENS_PER_HOUR = 5;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Link tokens are signed with a key derived from JWT_SECRET, so one can never pass as a login token
+function linkSecret(secret) {
+  return crypto.createHmac('sha256', String(secret)).update('auth-links').digest('hex');
+}
+
+// → { token, tokenId, expiresAt }; store tokenId and expiresAt, send token in the link
+function createLinkToken(secret, { userId, purpose }) {
+  if (!TOKEN_PURPOSES.includes(purpose)) throw new Error(`Unknown token purpose "${purpose}"`);
+  const tokenId = crypto.randomBytes(24).toString('hex');
+  const ttlSeconds = TOKEN_TTL_MINUTES[purpose] * 60;
+  const token = jwt.sign({ purpose, userId }, linkSecret(secret), { jwtid: tokenId, expiresIn: ttlSeconds });
+  return { token, tokenId, expiresAt: new Date(Date.now() + ttlSeconds * 1000) };
+}
+
+// → { userId, tokenId } when the signature, expiry and purpose check out; null otherwise
+function verifyLinkToken(secret, token, purpose) {
+  if (!token || typeof token !== 'string') return null;
+  try {
+    const decoded = jwt.verify(token, linkSecret(secret));
+    if (decoded.purpose !== purpose || !decoded.jti || !decoded.userId) return null;
+    return { userId: decoded.userId, tokenId: decoded.jti };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Links open the frontend, which calls the API with the token
+function buildLinkUrl(frontendUrl, purpose, token) {
+  const param = purpose === 'password_reset' ? 'resetToken' : 'verifyToken';
+  return `${String(frontendUrl).replace(/\/+$/, '')}/?${param}=${encodeURIComponent(token)}`;
+}
+
+function describeTtl(minutes) {
+  if (minutes % (24 * 60) === 0) return `${minutes / (24 * 60)} days`;
+  if (minutes % 60 === 0) return minutes === 60 ? '1 hour' : `${minutes / 60} hours`;
+  return `${minutes} minutes`;
+}
+
+// → { subject, text, html } for the mailer
+function buildAuthEmail(purpose, { name, link }) {
+  const greeting = name ? `Hi ${name},` : 'Hi,';
+  const expires = describeTtl(TOKEN_TTL_MINUTES[purpose]);
+  const content = purpose === 'password_reset'
+    ? {
+      subject: 'Reset your Fire Interview Coach password',
+      intro: 'We received a request to reset the password for your Fire Interview Coach account.',
+      action: 'Reset password',
+      outro: `This link expires in ${expires} and can only be used once. If you didn't ask for a reset, you can ignore this email - your password won't change.`
+    }
+    : {
+      subject: 'Confirm your email for Fire Interview Coach',
+      intro: 'Please confirm this is your email address so you can recover your account if you ever forget your password.',
+      action: 'Confirm email',
+      outro: `This link expires in ${expires}. If you didn't create an account, you can ignore this email.`
+    };
+
+  const escapeHtml = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  return {
+    subject: content.subject,
+    text: `${greeting}\n\n${content.intro}\n\n${content.action}: ${link}\n\n${content.outro}\n`,
+    html: `<p>${escapeHtml(greeting)}</p>
+<p>${escapeHtml(content.intro)}</p>
+<p><a href="${escapeHtml(link)}">${escapeHtml(content.action)}</a></p>
+<p style="color:#64748b;font-size:0.9em;">${escapeHtml(content.outro)}</p>`
+  };
+}
+
+module.exports = {
+  TOKEN_PURPOSES,
+  TOKEN_TTL_MINUTES,
+  MAX_TOKENS_PER_HOUR,
+  MIN_PASSWORD_LENGTH,
+  createLinkToken,
+  verifyLinkToken,
+  buildLinkUrl,
+  buildAuthEmail
+};
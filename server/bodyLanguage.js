@@ -0,0 +1,70 @@
+// Body Language - validation and prompt text for the per-answer summary from the browser's pose/face analysis
+// Landmarks are detected client-side (MediaPipe); only these numbers are sent, never video frames.
+
+// Head movement (% of eye distance per second) bands, same as the client's live overlay
+const HEAD_MOVEMENT_LABELS = [
+  { below: 12, label: 'steady' },
+  { below: 25, label: 'natural' },
+  { below: 50, label: 'restless' },
+  { below: Infinity, label: 'fidgety' }
+];
+
+function toRatio(value) {
+  const num = Number(value);
+  if (value === null || value === undefined || !Number.isFinite(num)) return null;
+  return Math.round(Math.min(1, Math.max(0, num)) * 100) / 100;
+}
+
+function toCount(value, max) {
+  const num = Number(value);
+  if (value === null || value === undefined || !Number.isFinite(num)) return null;
+  return Math.round(Math.min(max, Math.max(0, num)));
+}
+
+// Clean the client summary; null when it's missing or has no samples
+function normalizeBodyLanguage(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return null;
+  const samples = toCount(input.samples, 100000);
+  if (!samples) return null;
+
+  const durationSeconds = Number(input.durationSeconds);
+  return {
+    samples,
+    durationSeconds: Number.isFinite(durationSeconds) ? Math.round(Math.max(0, durationSeconds) * 10) / 10 : null,
+    faceVisibleRatio: toRatio(input.faceVisibleRatio),
+    eyeContactRatio: toRatio(input.eyeContactRatio),
+    headMovement: toCount(input.headMovement, 10000),
+    handToFaceTouches: toCount(input.handToFaceTouches, 1000) || 0,
+    uprightRatio: toRatio(input.uprightRatio)
+  };
+}
+
+function describeHeadMovement(headMovement) {
+  if (headMovement === null) return null;
+  return HEAD_MOVEMENT_LABELS.find(band => headMovement < band.below).label;
+}
+
+function percent(ratio) {
+  return `${Math.round(ratio * 100)}%`;
+}
+
+// One line for the analysis prompt, e.g. "eye contact 72% of the answer, head movement natural, 1 hand-to-face touch, upright 90% of the time"
+function describeBodyLanguage(bodyLanguage) {
+  if (!bodyLanguage) return 'unknown';
+  const parts = [];
+  if (bodyLanguage.faceVisibleRatio !== null && bodyLanguage.faceVisibleRatio < 0.5) {
+    parts.push(`face in frame only ${percent(bodyLanguage.faceVisibleRatio)} of the time`);
+  }
+  if (bodyLanguage.eyeContactRatio !== null) parts.push(`eye contact ${percent(bodyLanguage.eyeContactRatio)} of the answer`);
+  const movement = describeHeadMovement(bodyLanguage.headMovement);
+  if (movement) parts.push(`head movement ${movement}`);
+  parts.push(`${bodyLanguage.handToFaceTouches} hand-to-face touch${bodyLanguage.handToFaceTouches === 1 ? '' : 'es'}`);
+  parts.push(bodyLanguage.uprightRatio !== null ? `upright ${percent(bodyLanguage.uprightRatio)} of the time` : 'posture not visible');
+  return parts.join(', ');
+}
+
+module.exports = {
+  normalizeBodyLanguage,
+  describeHeadMovement,
+  describeBodyLanguage
+};
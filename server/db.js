@@ -1,5 +1,9 @@
 const { Pool } = require('pg');
+const { AsyncLocalStorage } = require('async_hooks');
 const bcrypt = require('bcrypt');
+const { questionKey, scoreToQuality, isReviewAttempt, nextReview, LOW_SCORE_THRESHOLD } = require('./spacedRepetition');
+const { normalizeLocationKey } = require('./questionPacks');
+const { updateMastery } = require('./departmentQuiz');
 
 // Initialize PostgreSQL connection
 // Uses DATABASE_URL from environment (Render PostgreSQL provides this automatically)
@@ -17,11 +21,14 @@ pool.on('error', (err) => {
   console.error('❌ PostgreSQL connection error:', err);
 });
 
+// Client of the transaction the caller is in (see withTransaction), so models don't need to pass one around
+const transactionClient = new AsyncLocalStorage();
+
 // Helper function to execute queries
 async function query(text, params) {
   const start = Date.now();
   try {
-    const res = await pool.query(text, params);
+    const res = await (transactionClient.getStore() || pool).query(text, params);
     const duration = Date.now() - start;
     if (duration > 1000) {
       console.log('Slow query:', { text, duration, rows: res.rowCount });
@@ -33,6 +40,24 @@ async function query(text, params) {
   }
 }
 
+// Runs fn with every query() inside it on one client in a single transaction: committed when fn
+// resolves, rolled back when it throws. Nested calls join the outer transaction.
+async function withTransaction(fn) {
+  if (transactionClient.getStore()) return fn();
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await transactionClient.run(client, fn);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(rollbackError => console.error('Rollback error:', rollbackError));
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
 // Initialize database schema
 async function initializeSchema() {
   try {
@@ -134,6 +159,369 @@ async function initializeSchema() {
       CREATE INDEX IF NOT EXISTS idx_referrals_referred ON referrals(referred_user_id);
     `);
 
+    // Session profiles - per-session interview state (history, asked questions, analyses)
+    // user_id is filled in once the session logs in
+    await query(`
+      CREATE TABLE IF NOT EXISTS session_profiles (
+        id SERIAL PRIMARY KEY,
+        session_id VARCHAR(255) UNIQUE NOT NULL,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(255),
+        city VARCHAR(255),
+        state_province VARCHAR(255),
+        country VARCHAR(255),
+        department_name VARCHAR(255),
+        job_type VARCHAR(100),
+        voice_preference VARCHAR(50),
+        resume_text TEXT,
+        resume_text_hash VARCHAR(64),
+        resume_analysis JSONB,
+        city_research TEXT,
+        conversation_history JSONB DEFAULT '[]'::jsonb,
+        asked_questions JSONB DEFAULT '[]'::jsonb,
+        asked_categories JSONB DEFAULT '[]'::jsonb,
+        answer_analyses JSONB DEFAULT '[]'::jsonb,
+        areas_to_work_on TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await query(`
+      CREATE INDEX IF NOT EXISTS idx_session_profiles_user_id ON session_profiles(user_id);
+    `);
+
+    // Interview attempts - every analyzed answer, kept for history review
+    await query(`
+      CREATE TABLE IF NOT EXISTS interview_attempts (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        session_id VARCHAR(255),
+        question TEXT NOT NULL,
+        category VARCHAR(255),
+        difficulty VARCHAR(20),
+        transcript TEXT NOT NULL,
+        motion_score REAL,
+        local_scores JSONB,
+        ai_feedback TEXT,
+        credits_charged INTEGER DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await query(`
+      CREATE INDEX IF NOT EXISTS idx_interview_attempts_user_created ON interview_attempts(user_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_interview_attempts_session_id ON interview_attempts(session_id);
+    `);
+
+    // Mock panel interviews (timed multi-question sessions with a final scorecard)
+    await query(`
+      CREATE TABLE IF NOT EXISTS mock_interviews (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        session_id VARCHAR(255),
+        status VARCHAR(20) NOT NULL DEFAULT 'in_progress',
+        question_count INTEGER NOT NULL,
+        time_limit_seconds INTEGER NOT NULL,
+        include_followups BOOLEAN DEFAULT FALSE,
+        difficulty VARCHAR(20),
+        questions JSONB DEFAULT '[]',
+        answers JSONB DEFAULT '[]',
+        current_index INTEGER DEFAULT 0,
+        question_started_at TIMESTAMP,
+        scorecard JSONB,
+        credits_charged INTEGER DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        completed_at TIMESTAMP
+      );
+    `);
+
+    await query(`
+      CREATE INDEX IF NOT EXISTS idx_mock_interviews_user_created ON mock_interviews(user_id, created_at);
+    `);
+
+    // Spaced-repetition review queue (flagged and low-scoring questions)
+    await query(`
+      CREATE TABLE IF NOT EXISTS review_queue (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        question TEXT NOT NULL,
+        question_hash VARCHAR(64) NOT NULL,
+        category VARCHAR(255),
+        source VARCHAR(20) NOT NULL,
+        ease_factor REAL DEFAULT 2.5,
+        interval_days INTEGER DEFAULT 0,
+        repetitions INTEGER DEFAULT 0,
+        due_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_score REAL,
+        review_count INTEGER DEFAULT 0,
+        last_reviewed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, question_hash)
+      );
+    `);
+
+    await query(`
+      CREATE INDEX IF NOT EXISTS idx_review_queue_user_due ON review_queue(user_id, due_at);
+    `);
+
+    // Question bank (seeded from masterQuestions.json on first start, then managed via /api/admin/questions)
+    await query(`
+      CREATE TABLE IF NOT EXISTS questions (
+        id SERIAL PRIMARY KEY,
+        question TEXT NOT NULL,
+        question_hash VARCHAR(64) UNIQUE NOT NULL,
+        category VARCHAR(255) NOT NULL,
+        difficulty VARCHAR(20) NOT NULL DEFAULT 'medium',
+        type VARCHAR(20),
+        tags JSONB DEFAULT '[]',
+        retired BOOLEAN DEFAULT FALSE,
+        source VARCHAR(20) DEFAULT 'admin',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await query(`
+      CREATE INDEX IF NOT EXISTS idx_questions_retired ON questions(retired);
+    `);
+
+    // Department question packs (panel questions published or reported for a specific department/city)
+    await query(`
+      CREATE TABLE IF NOT EXISTS question_packs (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        department_name VARCHAR(255),
+        department_key VARCHAR(255),
+        city VARCHAR(255),
+        city_key VARCHAR(255),
+        state_province VARCHAR(255),
+        country VARCHAR(255),
+        description TEXT,
+        source VARCHAR(255),
+        active BOOLEAN DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await query(`
+      CREATE INDEX IF NOT EXISTS idx_question_packs_department_key ON question_packs(department_key);
+      CREATE INDEX IF NOT EXISTS idx_question_packs_city_key ON question_packs(city_key);
+    `);
+
+    await query(`
+      CREATE TABLE IF NOT EXISTS question_pack_items (
+        id SERIAL PRIMARY KEY,
+        pack_id INTEGER NOT NULL REFERENCES question_packs(id) ON DELETE CASCADE,
+        question TEXT NOT NULL,
+        question_hash VARCHAR(64) NOT NULL,
+        category VARCHAR(255) NOT NULL,
+        difficulty VARCHAR(20) NOT NULL DEFAULT 'medium',
+        type VARCHAR(20),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(pack_id, question_hash)
+      );
+    `);
+
+    // Which pack questions each signed-in user has been served (for the coverage report)
+    await query(`
+      CREATE TABLE IF NOT EXISTS question_pack_views (
+        id SERIAL PRIMARY KEY,
+        item_id INTEGER NOT NULL REFERENCES question_pack_items(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        times_served INTEGER DEFAULT 1,
+        first_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(item_id, user_id)
+      );
+    `);
+
+    await query(`
+      CREATE INDEX IF NOT EXISTS idx_question_pack_views_user ON question_pack_views(user_id);
+    `);
+
+    // Cached /api/research-city facts, one row per department + fact, with optional admin override
+    await query(`
+      CREATE TABLE IF NOT EXISTS department_research (
+        id SERIAL PRIMARY KEY,
+        research_key VARCHAR(512) NOT NULL,
+        country VARCHAR(255),
+        state_province VARCHAR(255),
+        city VARCHAR(255),
+        department_name VARCHAR(255),
+        fact_key VARCHAR(100) NOT NULL,
+        value TEXT,
+        source VARCHAR(50),
+        fetched_at TIMESTAMP,
+        override_value TEXT,
+        override_note TEXT,
+        overridden_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(research_key, fact_key)
+      );
+    `);
+
+    // Migration: Add source citations and confidence to cached research facts
+    await query('ALTER TABLE department_research ADD COLUMN IF NOT EXISTS source_urls JSONB');
+    await query('ALTER TABLE department_research ADD COLUMN IF NOT EXISTS confidence VARCHAR(10)');
+
+    // Department quiz mastery, one row per user + department + fact
+    await query(`
+      CREATE TABLE IF NOT EXISTS quiz_mastery (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        research_key VARCHAR(512) NOT NULL,
+        fact_key VARCHAR(100) NOT NULL,
+        answer_hash VARCHAR(64),
+        attempts INTEGER DEFAULT 0,
+        correct_count INTEGER DEFAULT 0,
+        streak INTEGER DEFAULT 0,
+        last_result VARCHAR(20),
+        last_answered_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, research_key, fact_key)
+      );
+    `);
+
+    // Uploaded answer videos; the file itself lives on disk (see recordingStorage.js)
+    await query(`
+      CREATE TABLE IF NOT EXISTS answer_recordings (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        attempt_id INTEGER REFERENCES interview_attempts(id) ON DELETE SET NULL,
+        storage_key VARCHAR(255) NOT NULL,
+        mime_type VARCHAR(100) NOT NULL,
+        size_bytes INTEGER NOT NULL,
+        duration_seconds REAL,
+        question TEXT,
+        markers JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await query(`
+      CREATE INDEX IF NOT EXISTS idx_answer_recordings_user_created ON answer_recordings(user_id, created_at);
+    `);
+
+    // Password reset / email verification links; the signed token carries token_id (see authTokens.js)
+    await query(`
+      CREATE TABLE IF NOT EXISTS auth_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        purpose VARCHAR(50) NOT NULL,
+        token_id VARCHAR(64) UNIQUE NOT NULL,
+        email VARCHAR(255) NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await query(`
+      CREATE INDEX IF NOT EXISTS idx_auth_tokens_user_purpose ON auth_tokens(user_id, purpose, created_at);
+    `);
+
+    // Signed-in devices: one row per login, holding the hash of its current refresh token (see sessionTokens.js)
+    await query(`
+      CREATE TABLE IF NOT EXISTS user_sessions (
+        id VARCHAR(64) PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        token_hash VARCHAR(64) NOT NULL,
+        previous_token_hash VARCHAR(64),
+        rotated_at TIMESTAMP,
+        user_agent TEXT,
+        ip_hash VARCHAR(32),
+        remember_me BOOLEAN DEFAULT FALSE,
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP,
+        revoked_reason VARCHAR(50),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await query(`
+      CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id, revoked_at);
+    `);
+
+    // External sign-in identities (Google now; Apple/Microsoft later) - a user can have several, plus a password on users
+    await query(`
+      CREATE TABLE IF NOT EXISTS user_identities (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        provider VARCHAR(50) NOT NULL,
+        provider_user_id VARCHAR(255) NOT NULL,
+        email VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(provider, provider_user_id)
+      );
+    `);
+
+    await query(`
+      CREATE INDEX IF NOT EXISTS idx_user_identities_user ON user_identities(user_id);
+    `);
+
+    // Migration: Copy sign-in identities from users.provider/provider_id (kept as the signup method)
+    await query(`
+      INSERT INTO user_identities (user_id, provider, provider_user_id, email)
+      SELECT id, provider, provider_id, email FROM users
+      WHERE provider IS NOT NULL AND provider <> 'email' AND provider_id IS NOT NULL
+      ON CONFLICT (provider, provider_user_id) DO NOTHING
+    `);
+
+    // Admin actions (every request to an admin route, including refused ones)
+    await query(`
+      CREATE TABLE IF NOT EXISTS admin_audit_log (
+        id SERIAL PRIMARY KEY,
+        actor_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        actor_email VARCHAR(255),
+        action VARCHAR(100) NOT NULL,
+        method VARCHAR(10),
+        path TEXT,
+        status_code INTEGER,
+        target_user_ids JSONB DEFAULT '[]',
+        details JSONB,
+        ip_hash VARCHAR(64),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await query(`
+      CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created ON admin_audit_log(created_at);
+      CREATE INDEX IF NOT EXISTS idx_admin_audit_log_actor ON admin_audit_log(actor_user_id);
+    `);
+
+    // Migration: Add request payload, balances before/after, ledger entries and reversal links to admin_audit_log
+    await query('ALTER TABLE admin_audit_log ADD COLUMN IF NOT EXISTS payload JSONB');
+    await query('ALTER TABLE admin_audit_log ADD COLUMN IF NOT EXISTS balances JSONB');
+    await query("ALTER TABLE admin_audit_log ADD COLUMN IF NOT EXISTS ledger_entry_ids JSONB DEFAULT '[]'");
+    await query('ALTER TABLE admin_audit_log ADD COLUMN IF NOT EXISTS reverses_log_id INTEGER REFERENCES admin_audit_log(id) ON DELETE SET NULL');
+    await query('ALTER TABLE admin_audit_log ADD COLUMN IF NOT EXISTS reversed_at TIMESTAMP');
+    await query('ALTER TABLE admin_audit_log ADD COLUMN IF NOT EXISTS reversed_by_log_id INTEGER REFERENCES admin_audit_log(id) ON DELETE SET NULL');
+
+    // Migration: Add structured AI score columns to interview_attempts
+    await query('ALTER TABLE interview_attempts ADD COLUMN IF NOT EXISTS overall_score REAL');
+    await query('ALTER TABLE interview_attempts ADD COLUMN IF NOT EXISTS ai_score JSONB');
+
+    // Migration: Add pose/face body language summary to interview_attempts
+    await query('ALTER TABLE interview_attempts ADD COLUMN IF NOT EXISTS body_language JSONB');
+
+    // Migration: Link a "try again" attempt to the attempt it retried
+    await query('ALTER TABLE interview_attempts ADD COLUMN IF NOT EXISTS previous_attempt_id INTEGER REFERENCES interview_attempts(id) ON DELETE SET NULL');
+
+    // Migration: Add interview date (onboarding) and the generated study plan
+    await query('ALTER TABLE users ADD COLUMN IF NOT EXISTS interview_date DATE');
+    await query('ALTER TABLE session_profiles ADD COLUMN IF NOT EXISTS interview_date DATE');
+    await query('ALTER TABLE session_profiles ADD COLUMN IF NOT EXISTS study_plan JSONB');
+
+    // Migration: Track when the account's email address was confirmed
+    await query('ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP');
+
+    // Migration: Add user role ('user' or 'admin'; admins use the /api/admin routes)
+    await query("ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) DEFAULT 'user'");
+
     // Migration: Add visit_count column if it doesn't exist
     try {
       await query('SELECT visit_count FROM analytics_visits LIMIT 1');
@@ -168,12 +556,20 @@ async function initializeSchema() {
   }
 }
 
-// Initialize schema on module load
-initializeSchema().catch(err => {
+// Initialize schema on module load (exported so startup tasks can wait for tables to exist)
+const schemaReady = initializeSchema().catch(err => {
   console.error('Failed to initialize database schema:', err);
   process.exit(1);
 });
 
+// DATE columns come back as local-midnight Date objects; the API uses plain "YYYY-MM-DD"
+function toDateString(value) {
+  if (!value) return null;
+  if (!(value instanceof Date)) return String(value).slice(0, 10);
+  const pad = n => String(n).padStart(2, '0');
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+}
+
 // User model
 const User = {
   async create(email, password, name = null, provider = 'email', providerId = null) {
@@ -221,35 +617,90 @@ const User = {
   },
 
   async addCredits(userId, amount, reason) {
-    const user = await this.findById(userId);
-    if (!user) throw new Error('User not found');
-    
-    const newBalance = user.credits_balance + amount;
-    await this.updateCredits(userId, newBalance);
-    
-    // Log in credit ledger
-    await CreditLedger.create(userId, amount, reason);
-    
-    return this.findById(userId);
+    const { user } = await this.adjustCredits(userId, amount, reason);
+    return user;
+  },
+
+  // Like addCredits (amount may be negative), but also returns the ledger entry for callers that keep a record of it.
+  // The balance is changed in place, so concurrent adjustments don't overwrite each other.
+  async adjustCredits(userId, amount, reason) {
+    return withTransaction(async () => {
+      const result = await query(
+        'UPDATE users SET credits_balance = credits_balance + $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
+        [amount, userId]
+      );
+      if (!result.rows[0]) throw new Error('User not found');
+      
+      // Log in credit ledger
+      const entry = await CreditLedger.create(userId, amount, reason);
+      
+      return { user: result.rows[0], entry };
+    });
   },
 
+  // The balance check and the decrement are one statement, so concurrent changes can't be overwritten
   async deductCredit(userId, reason) {
-    const user = await this.findById(userId);
-    if (!user) throw new Error('User not found');
-    
-    if (user.credits_balance <= 0) {
-      throw new Error('Insufficient credits');
-    }
-    
-    const newBalance = user.credits_balance - 1;
-    await this.updateCredits(userId, newBalance);
-    
-    // Log in credit ledger
-    await CreditLedger.create(userId, -1, reason);
-    
+    return withTransaction(async () => {
+      const result = await query(
+        'UPDATE users SET credits_balance = credits_balance - 1, updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND credits_balance > 0 RETURNING *',
+        [userId]
+      );
+      if (!result.rows[0]) throw new Error('Insufficient credits');
+      
+      // Log in credit ledger
+      await CreditLedger.create(userId, -1, reason);
+      
+      return result.rows[0];
+    });
+  },
+
+  async setPassword(userId, password) {
+    const passwordHash = await bcrypt.hash(password, 10);
+    await query(
+      'UPDATE users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [passwordHash, userId]
+    );
     return this.findById(userId);
   },
 
+  // Removes email/password sign-in; callers make sure another identity is linked first
+  async clearPassword(userId) {
+    await query(
+      'UPDATE users SET password_hash = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [userId]
+    );
+    return this.findById(userId);
+  },
+
+  async markEmailVerified(userId) {
+    await query(
+      'UPDATE users SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [userId]
+    );
+    return this.findById(userId);
+  },
+
+  // Row-locks the users for the rest of the transaction (in id order, so two callers can't deadlock);
+  // returns them in the order asked for, null for ids that don't exist
+  async lockForUpdate(userIds) {
+    const ids = userIds.map(id => parseInt(id));
+    const result = await query('SELECT * FROM users WHERE id = ANY($1::int[]) ORDER BY id FOR UPDATE', [ids]);
+    return ids.map(id => result.rows.find(user => user.id === id) || null);
+  },
+
+  async setRole(userId, role) {
+    await query(
+      'UPDATE users SET role = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [role, userId]
+    );
+    return this.findById(userId);
+  },
+
+  async countAdmins() {
+    const result = await query("SELECT COUNT(*) AS count FROM users WHERE role = 'admin'");
+    return parseInt(result.rows[0].count);
+  },
+
   async updateProfile(userId, name) {
     await query(
       'UPDATE users SET name = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
@@ -258,6 +709,7 @@ const User = {
     return this.findById(userId);
   },
 
+  // Missing fields keep their stored value; interviewDate is also cleared when it is sent as null or empty
   async updateOnboardingData(userId, onboardingData) {
     const {
       city,
@@ -268,7 +720,8 @@ const User = {
       voicePreference,
       resumeText,
       resumeAnalysis,
-      cityResearch
+      cityResearch,
+      interviewDate
     } = onboardingData;
 
     await query(
@@ -282,9 +735,10 @@ const User = {
         resume_text = COALESCE($7, resume_text),
         resume_analysis = COALESCE($8, resume_analysis),
         city_research = COALESCE($9, city_research),
+        interview_date = CASE WHEN $12 THEN $10 ELSE interview_date END,
         updated_at = CURRENT_TIMESTAMP
-      WHERE id = $10`,
-      [city, stateProvince, country, departmentName, jobType, voicePreference, resumeText, resumeAnalysis, cityResearch, userId]
+      WHERE id = $11`,
+      [city, stateProvince, country, departmentName, jobType, voicePreference, resumeText, resumeAnalysis, cityResearch, interviewDate || null, userId, interviewDate !== undefined]
     );
     return this.findById(userId);
   },
@@ -302,67 +756,314 @@ const User = {
       voicePreference: user.voice_preference,
       resumeText: user.resume_text,
       resumeAnalysis: user.resume_analysis,
-      cityResearch: user.city_research
+      cityResearch: user.city_research,
+      interviewDate: toDateString(user.interview_date)
     };
   }
 };
 
-// Transaction model
-const Transaction = {
-  async create(userId, packId, creditsPurchased, amountPaidCents, currency = 'usd', status = 'pending', stripePaymentIntentId = null) {
+// Auth token model (password reset and email verification links)
+const AuthToken = {
+  // Issuing a new link invalidates the user's earlier unused links for the same purpose
+  async create(userId, { purpose, tokenId, email, expiresAt }) {
+    await this.revoke(userId, purpose);
     const result = await query(`
-      INSERT INTO transactions (user_id, pack_id, credits_purchased, amount_paid_cents, currency, status, stripe_payment_intent_id)
-      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      INSERT INTO auth_tokens (user_id, purpose, token_id, email, expires_at)
+      VALUES ($1, $2, $3, $4, $5)
       RETURNING *
-    `, [userId, packId, creditsPurchased, amountPaidCents, currency, status, stripePaymentIntentId]);
-    
-    if (stripePaymentIntentId) {
-      const found = await this.findByPaymentIntent(stripePaymentIntentId);
-      if (found) return found;
-    }
+    `, [userId, purpose, tokenId, email, expiresAt]);
     return result.rows[0];
   },
 
-  async findByPaymentIntent(paymentIntentId) {
+  async countRecent(userId, purpose, since) {
     const result = await query(
-      'SELECT * FROM transactions WHERE stripe_payment_intent_id = $1',
-      [paymentIntentId]
+      'SELECT COUNT(*) AS count FROM auth_tokens WHERE user_id = $1 AND purpose = $2 AND created_at >= $3',
+      [userId, purpose, since]
     );
-    return result.rows[0] || null;
+    return parseInt(result.rows[0].count) || 0;
   },
 
-  async updateStatus(transactionId, status) {
-    await query('UPDATE transactions SET status = $1 WHERE id = $2', [status, transactionId]);
+  // Marks the token used and returns its row, or null if it is unknown, expired or already used.
+  // The used_at check in the UPDATE keeps two concurrent requests from both consuming it.
+  async consume(tokenId, purpose) {
+    const result = await query(`
+      UPDATE auth_tokens SET used_at = CURRENT_TIMESTAMP
+      WHERE token_id = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+      RETURNING *
+    `, [tokenId, purpose]);
+    return result.rows[0] || null;
   },
 
-  async getByUserId(userId, limit = 50) {
-    const result = await query(
-      'SELECT * FROM transactions WHERE user_id = $1 ORDER BY created_at DESC LIMIT $2',
-      [userId, limit]
+  async revoke(userId, purpose) {
+    await query(
+      'UPDATE auth_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL',
+      [userId, purpose]
     );
-    return result.rows;
   }
 };
 
-// Credit ledger model
-const CreditLedger = {
-  async getByUserId(userId, limit = 50) {
+// User identity model (linked external sign-in accounts)
+const UserIdentity = {
+  async find(provider, providerUserId) {
     const result = await query(
-      'SELECT * FROM credit_ledger WHERE user_id = $1 ORDER BY created_at DESC LIMIT $2',
-      [userId, limit]
+      'SELECT * FROM user_identities WHERE provider = $1 AND provider_user_id = $2',
+      [provider, String(providerUserId)]
     );
-    return result.rows;
+    return result.rows[0] || null;
   },
 
-  async create(userId, change, reason) {
-    await query(
-      'INSERT INTO credit_ledger (user_id, change, reason) VALUES ($1, $2, $3)',
-      [userId, change, reason]
+  async listForUser(userId) {
+    const result = await query(
+      'SELECT * FROM user_identities WHERE user_id = $1 ORDER BY created_at ASC',
+      [userId]
     );
-  }
-};
+    return result.rows;
+  },
 
-// Referral model
+  async create(userId, { provider, providerUserId, email = null }) {
+    const result = await query(`
+      INSERT INTO user_identities (user_id, provider, provider_user_id, email)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `, [userId, provider, String(providerUserId), email]);
+    return result.rows[0];
+  },
+
+  async touch(id) {
+    await query('UPDATE user_identities SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1', [id]);
+  },
+
+  // Returns how many identities were removed
+  async remove(userId, provider) {
+    const result = await query(
+      'DELETE FROM user_identities WHERE user_id = $1 AND provider = $2 RETURNING id',
+      [userId, provider]
+    );
+    return result.rows.length;
+  },
+
+  // Account merge: the source account's identities now sign in to the target account
+  async moveToUser(fromUserId, toUserId) {
+    const result = await query(
+      'UPDATE user_identities SET user_id = $2 WHERE user_id = $1 RETURNING *',
+      [fromUserId, toUserId]
+    );
+    return result.rows;
+  },
+
+  // Undoing a merge: move the given identities back, if they're still on the account the merge moved them to
+  async moveBack(ids, fromUserId, toUserId) {
+    const moved = [];
+    for (const id of ids) {
+      const result = await query(
+        'UPDATE user_identities SET user_id = $3 WHERE id = $1 AND user_id = $2 RETURNING *',
+        [id, fromUserId, toUserId]
+      );
+      if (result.rows[0]) moved.push(result.rows[0]);
+    }
+    return moved;
+  }
+};
+
+// User session model (refresh tokens / signed-in devices)
+const UserSession = {
+  async create({ id, userId, tokenHash, userAgent = null, ipHash = null, rememberMe = false, expiresAt }) {
+    const result = await query(`
+      INSERT INTO user_sessions (id, user_id, token_hash, user_agent, ip_hash, remember_me, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `, [id, userId, tokenHash, userAgent, ipHash, rememberMe, expiresAt]);
+    return result.rows[0];
+  },
+
+  async findById(id) {
+    const result = await query('SELECT * FROM user_sessions WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  },
+
+  // Swap the refresh token hash; returns null if another request rotated or revoked the session first
+  async rotate(id, currentHash, newHash) {
+    const result = await query(`
+      UPDATE user_sessions
+      SET previous_token_hash = token_hash, token_hash = $3, rotated_at = CURRENT_TIMESTAMP, last_used_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND token_hash = $2 AND revoked_at IS NULL
+      RETURNING *
+    `, [id, currentHash, newHash]);
+    return result.rows[0] || null;
+  },
+
+  async touch(id) {
+    await query('UPDATE user_sessions SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1', [id]);
+  },
+
+  async listActive(userId) {
+    const result = await query(`
+      SELECT * FROM user_sessions
+      WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+      ORDER BY last_used_at DESC
+    `, [userId]);
+    return result.rows;
+  },
+
+  // Pass userId to only revoke the session if it belongs to that user
+  async revoke(id, reason, userId = null) {
+    const conditions = ['id = $1', 'revoked_at IS NULL'];
+    const params = [id, reason];
+    if (userId) {
+      params.push(userId);
+      conditions.push(`user_id = $${params.length}`);
+    }
+    const result = await query(
+      `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2 WHERE ${conditions.join(' AND ')} RETURNING id`,
+      params
+    );
+    return result.rows.length > 0;
+  },
+
+  // Revoke every active session of the user except `exceptId` (the device making the request); returns how many
+  async revokeAllForUser(userId, reason, exceptId = null) {
+    const conditions = ['user_id = $1', 'revoked_at IS NULL'];
+    const params = [userId, reason];
+    if (exceptId) {
+      params.push(exceptId);
+      conditions.push(`id <> $${params.length}`);
+    }
+    const result = await query(
+      `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2 WHERE ${conditions.join(' AND ')} RETURNING id`,
+      params
+    );
+    return result.rows.length;
+  }
+};
+
+// Admin audit log model (one row per admin request; merges can be reversed)
+const AdminAuditLog = {
+  async record({ actorUserId, actorEmail = null, action, method = null, path = null, statusCode = null, targetUserIds = [], details = null, payload = null, balances = null, ledgerEntryIds = [], reversesLogId = null, ipHash = null }) {
+    const result = await query(`
+      INSERT INTO admin_audit_log (actor_user_id, actor_email, action, method, path, status_code, target_user_ids, details, payload, balances, ledger_entry_ids, reverses_log_id, ip_hash)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      RETURNING *
+    `, [
+      actorUserId, actorEmail, action, method, path, statusCode,
+      JSON.stringify(targetUserIds),
+      details ? JSON.stringify(details) : null,
+      payload ? JSON.stringify(payload) : null,
+      balances ? JSON.stringify(balances) : null,
+      JSON.stringify(ledgerEntryIds),
+      reversesLogId,
+      ipHash
+    ]);
+    return result.rows[0];
+  },
+
+  async findById(id) {
+    const result = await query('SELECT * FROM admin_audit_log WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  },
+
+  // Newest first; filters: actorUserId, targetUserId (any of the entry's target users), action
+  async list({ actorUserId = null, targetUserId = null, action = null, limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (actorUserId) {
+      params.push(actorUserId);
+      conditions.push(`actor_user_id = $${params.length}`);
+    }
+    if (targetUserId) {
+      params.push(JSON.stringify([targetUserId]));
+      conditions.push(`target_user_ids @> $${params.length}::jsonb`);
+    }
+    if (action) {
+      params.push(action);
+      conditions.push(`action = $${params.length}`);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const countResult = await query(`SELECT COUNT(*) AS count FROM admin_audit_log ${where}`, params);
+    const result = await query(
+      `SELECT * FROM admin_audit_log ${where} ORDER BY created_at DESC, id DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+    return { entries: result.rows, total: parseInt(countResult.rows[0].count) };
+  },
+
+  // Claims the entry for reversal; null when it was already reversed (so an undo can't run twice)
+  async markReversed(id) {
+    const result = await query(
+      'UPDATE admin_audit_log SET reversed_at = CURRENT_TIMESTAMP WHERE id = $1 AND reversed_at IS NULL RETURNING *',
+      [id]
+    );
+    return result.rows[0] || null;
+  },
+
+  async linkReversal(id, reversedByLogId) {
+    await query('UPDATE admin_audit_log SET reversed_by_log_id = $2 WHERE id = $1', [id, reversedByLogId]);
+  }
+};
+
+// Transaction model
+const Transaction = {
+  async create(userId, packId, creditsPurchased, amountPaidCents, currency = 'usd', status = 'pending', stripePaymentIntentId = null) {
+    const result = await query(`
+      INSERT INTO transactions (user_id, pack_id, credits_purchased, amount_paid_cents, currency, status, stripe_payment_intent_id)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `, [userId, packId, creditsPurchased, amountPaidCents, currency, status, stripePaymentIntentId]);
+    
+    if (stripePaymentIntentId) {
+      const found = await this.findByPaymentIntent(stripePaymentIntentId);
+      if (found) return found;
+    }
+    return result.rows[0];
+  },
+
+  async findByPaymentIntent(paymentIntentId) {
+    const result = await query(
+      'SELECT * FROM transactions WHERE stripe_payment_intent_id = $1',
+      [paymentIntentId]
+    );
+    return result.rows[0] || null;
+  },
+
+  async updateStatus(transactionId, status) {
+    await query('UPDATE transactions SET status = $1 WHERE id = $2', [status, transactionId]);
+  },
+
+  async getByUserId(userId, limit = 50) {
+    const result = await query(
+      'SELECT * FROM transactions WHERE user_id = $1 ORDER BY created_at DESC LIMIT $2',
+      [userId, limit]
+    );
+    return result.rows;
+  }
+};
+
+// Credit ledger model
+const CreditLedger = {
+  async getByUserId(userId, limit = 50) {
+    const result = await query(
+      'SELECT * FROM credit_ledger WHERE user_id = $1 ORDER BY created_at DESC LIMIT $2',
+      [userId, limit]
+    );
+    return result.rows;
+  },
+
+  async create(userId, change, reason) {
+    const result = await query(
+      'INSERT INTO credit_ledger (user_id, change, reason) VALUES ($1, $2, $3) RETURNING *',
+      [userId, change, reason]
+    );
+    return result.rows[0];
+  },
+
+  async findByIds(ids) {
+    if (ids.length === 0) return [];
+    const result = await query('SELECT * FROM credit_ledger WHERE id = ANY($1::int[]) ORDER BY id', [ids]);
+    return result.rows;
+  }
+};
+
+// Referral model
 const Referral = {
   async generateCode(userId) {
     // Generate a unique referral code
@@ -532,10 +1233,907 @@ const Analytics = {
   }
 };
 
+// Session profile model
+// Maps the camelCase profile fields used by the API routes to session_profiles columns
+const SESSION_PROFILE_COLUMNS = {
+  name: 'name',
+  city: 'city',
+  stateProvince: 'state_province',
+  country: 'country',
+  departmentName: 'department_name',
+  jobType: 'job_type',
+  voicePreference: 'voice_preference',
+  resumeText: 'resume_text',
+  resumeTextHash: 'resume_text_hash',
+  resumeAnalysis: 'resume_analysis',
+  cityResearch: 'city_research',
+  conversationHistory: 'conversation_history',
+  askedQuestions: 'asked_questions',
+  askedCategories: 'asked_categories',
+  answerAnalyses: 'answer_analyses',
+  areasToWorkOn: 'areas_to_work_on',
+  interviewDate: 'interview_date',
+  studyPlan: 'study_plan'
+};
+
+// JSONB columns - must be stringified, pg would otherwise send JS arrays as Postgres arrays
+const SESSION_PROFILE_JSON_FIELDS = ['resumeAnalysis', 'conversationHistory', 'askedQuestions', 'askedCategories', 'answerAnalyses', 'studyPlan'];
+
+const SessionProfile = {
+  toProfile(row) {
+    if (!row) return null;
+    return {
+      sessionId: row.session_id,
+      userId: row.user_id,
+      name: row.name,
+      city: row.city,
+      stateProvince: row.state_province,
+      country: row.country,
+      departmentName: row.department_name,
+      jobType: row.job_type,
+      voicePreference: row.voice_preference,
+      resumeText: row.resume_text,
+      resumeTextHash: row.resume_text_hash,
+      resumeAnalysis: row.resume_analysis,
+      cityResearch: row.city_research,
+      conversationHistory: row.conversation_history || [],
+      askedQuestions: row.asked_questions || [],
+      askedCategories: row.asked_categories || [],
+      answerAnalyses: row.answer_analyses || [],
+      areasToWorkOn: row.areas_to_work_on,
+      interviewDate: toDateString(row.interview_date),
+      studyPlan: row.study_plan,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  },
+
+  async findBySession(sessionId) {
+    const result = await query('SELECT * FROM session_profiles WHERE session_id = $1', [sessionId]);
+    return this.toProfile(result.rows[0]);
+  },
+
+  async getOrCreate(sessionId) {
+    await query(
+      'INSERT INTO session_profiles (session_id) VALUES ($1) ON CONFLICT (session_id) DO NOTHING',
+      [sessionId]
+    );
+    return this.findBySession(sessionId);
+  },
+
+  async update(sessionId, updates) {
+    await this.getOrCreate(sessionId);
+
+    const assignments = [];
+    const params = [];
+    Object.entries(updates).forEach(([field, value]) => {
+      const column = SESSION_PROFILE_COLUMNS[field];
+      if (!column || value === undefined) return;
+      const isJson = SESSION_PROFILE_JSON_FIELDS.includes(field);
+      params.push(isJson && value !== null ? JSON.stringify(value) : value);
+      assignments.push(`${column} = $${params.length}`);
+    });
+
+    if (assignments.length > 0) {
+      params.push(sessionId);
+      await query(
+        `UPDATE session_profiles SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE session_id = $${params.length}`,
+        params
+      );
+    }
+    return this.findBySession(sessionId);
+  },
+
+  // Only an unclaimed (anonymous) profile is linked; one that belongs to a user is never moved to another
+  async linkUser(sessionId, userId) {
+    await query(
+      'UPDATE session_profiles SET user_id = $1, updated_at = CURRENT_TIMESTAMP WHERE session_id = $2 AND user_id IS NULL',
+      [userId, sessionId]
+    );
+    return this.findBySession(sessionId);
+  },
+
+  async getByUserId(userId) {
+    const result = await query(
+      'SELECT * FROM session_profiles WHERE user_id = $1 ORDER BY updated_at DESC',
+      [userId]
+    );
+    return result.rows.map(row => this.toProfile(row));
+  }
+};
+
+// Interview attempt model
+const InterviewAttempt = {
+  async create(attempt) {
+    const {
+      userId,
+      sessionId,
+      question,
+      category,
+      difficulty,
+      transcript,
+      motionScore,
+      bodyLanguage,
+      localScores,
+      aiFeedback,
+      aiScore,
+      creditsCharged,
+      previousAttemptId
+    } = attempt;
+
+    const result = await query(`
+      INSERT INTO interview_attempts (user_id, session_id, question, category, difficulty, transcript, motion_score, local_scores, ai_feedback, overall_score, ai_score, credits_charged, body_language, previous_attempt_id)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+      RETURNING *
+    `, [
+      userId || null,
+      sessionId || null,
+      question,
+      category || null,
+      difficulty || null,
+      transcript,
+      Number.isFinite(motionScore) ? motionScore : null,
+      localScores ? JSON.stringify(localScores) : null,
+      aiFeedback || null,
+      aiScore && Number.isFinite(aiScore.overallScore) ? aiScore.overallScore : null,
+      aiScore ? JSON.stringify(aiScore) : null,
+      creditsCharged || 0,
+      bodyLanguage ? JSON.stringify(bodyLanguage) : null,
+      previousAttemptId || null
+    ]);
+    return result.rows[0];
+  },
+
+  async findById(id) {
+    const result = await query('SELECT * FROM interview_attempts WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  },
+
+  // Paginated history for a user, optionally filtered by category and date range
+  async getByUserId(userId, { limit = 20, offset = 0, category = null, from = null, to = null } = {}) {
+    const conditions = ['user_id = $1'];
+    const params = [userId];
+
+    if (category) {
+      params.push(category);
+      conditions.push(`LOWER(category) = LOWER($${params.length})`);
+    }
+    if (from) {
+      params.push(from);
+      conditions.push(`created_at >= $${params.length}`);
+    }
+    if (to) {
+      params.push(to);
+      conditions.push(`created_at < $${params.length}`);
+    }
+
+    const where = conditions.join(' AND ');
+    const countResult = await query(`SELECT COUNT(*) as total FROM interview_attempts WHERE ${where}`, params);
+
+    const result = await query(
+      `SELECT * FROM interview_attempts WHERE ${where} ORDER BY created_at DESC, id DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    return {
+      attempts: result.rows,
+      total: parseInt(countResult.rows[0].total) || 0
+    };
+  },
+
+  // Attempts since a date with just the columns progress trends need (oldest first)
+  async getForProgress(userId, since) {
+    const result = await query(
+      'SELECT category, overall_score, transcript, created_at FROM interview_attempts WHERE user_id = $1 AND created_at >= $2 ORDER BY created_at ASC',
+      [userId, since]
+    );
+    return result.rows;
+  },
+
+  // Average AI score per category for a user (or an anonymous session), used to find weak areas
+  async getCategoryAverages({ userId = null, sessionId = null }) {
+    const result = await query(`
+      SELECT category, AVG(overall_score) as average_score, COUNT(*) as attempts
+      FROM interview_attempts
+      WHERE ${userId ? 'user_id = $1' : 'session_id = $1'} AND overall_score IS NOT NULL AND category IS NOT NULL
+      GROUP BY category
+    `, [userId || sessionId]);
+    return result.rows.map(row => ({
+      category: row.category,
+      averageScore: Math.round(parseFloat(row.average_score) * 10) / 10,
+      attempts: parseInt(row.attempts) || 0
+    }));
+  },
+
+  // When every attempt was made, for practice streaks
+  async getPracticeDates(userId) {
+    const result = await query('SELECT created_at FROM interview_attempts WHERE user_id = $1', [userId]);
+    return result.rows.map(row => row.created_at);
+  },
+
+  // Distinct questions a user has answered, with attempt counts (used by pack coverage reports)
+  async getAnsweredQuestions(userId) {
+    const result = await query(`
+      SELECT question, COUNT(*) as attempts, MAX(created_at) as last_answered_at
+      FROM interview_attempts
+      WHERE user_id = $1
+      GROUP BY question
+    `, [userId]);
+    return result.rows.map(row => ({
+      question: row.question,
+      attempts: parseInt(row.attempts) || 0,
+      lastAnsweredAt: row.last_answered_at
+    }));
+  },
+
+  // Attach anonymous attempts to a user once their session logs in
+  async claimSession(sessionId, userId) {
+    await query(
+      'UPDATE interview_attempts SET user_id = $1 WHERE session_id = $2 AND user_id IS NULL',
+      [userId, sessionId]
+    );
+  }
+};
+
+const MOCK_INTERVIEW_COLUMNS = {
+  status: 'status',
+  questions: 'questions',
+  answers: 'answers',
+  currentIndex: 'current_index',
+  questionStartedAt: 'question_started_at',
+  scorecard: 'scorecard',
+  creditsCharged: 'credits_charged',
+  completedAt: 'completed_at'
+};
+
+const MOCK_INTERVIEW_JSON_FIELDS = ['questions', 'answers', 'scorecard'];
+
+// Mock panel interview model
+const MockInterview = {
+  toMockInterview(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      userId: row.user_id,
+      sessionId: row.session_id,
+      status: row.status,
+      questionCount: row.question_count,
+      timeLimitSeconds: row.time_limit_seconds,
+      includeFollowups: !!row.include_followups,
+      difficulty: row.difficulty,
+      questions: row.questions || [],
+      answers: row.answers || [],
+      currentIndex: row.current_index,
+      questionStartedAt: row.question_started_at,
+      scorecard: row.scorecard,
+      creditsCharged: row.credits_charged,
+      createdAt: row.created_at,
+      completedAt: row.completed_at
+    };
+  },
+
+  async create({ userId, sessionId, questionCount, timeLimitSeconds, includeFollowups, difficulty, questions }) {
+    const result = await query(`
+      INSERT INTO mock_interviews (user_id, session_id, question_count, time_limit_seconds, include_followups, difficulty, questions, question_started_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP)
+      RETURNING *
+    `, [userId, sessionId || null, questionCount, timeLimitSeconds, !!includeFollowups, difficulty || null, JSON.stringify(questions || [])]);
+    return this.toMockInterview(result.rows[0]);
+  },
+
+  // Scoped to the owner so one user can't read or answer another user's interview
+  async findForUser(id, userId) {
+    const result = await query('SELECT * FROM mock_interviews WHERE id = $1 AND user_id = $2', [id, userId]);
+    return this.toMockInterview(result.rows[0]);
+  },
+
+  async update(id, updates) {
+    const assignments = [];
+    const params = [];
+    Object.entries(updates).forEach(([field, value]) => {
+      const column = MOCK_INTERVIEW_COLUMNS[field];
+      if (!column || value === undefined) return;
+      const isJson = MOCK_INTERVIEW_JSON_FIELDS.includes(field);
+      params.push(isJson && value !== null ? JSON.stringify(value) : value);
+      assignments.push(`${column} = $${params.length}`);
+    });
+
+    if (assignments.length > 0) {
+      params.push(id);
+      await query(`UPDATE mock_interviews SET ${assignments.join(', ')} WHERE id = $${params.length}`, params);
+    }
+    const result = await query('SELECT * FROM mock_interviews WHERE id = $1', [id]);
+    return this.toMockInterview(result.rows[0]);
+  },
+
+  // Atomically marks the interview completed with its scorecard. Returns null when another
+  // request completed it first, so only one caller goes on to charge for it.
+  async claimCompletion(id, userId, scorecard) {
+    const result = await query(`
+      UPDATE mock_interviews
+      SET status = 'completed', scorecard = $3, completed_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND user_id = $2 AND status <> 'completed'
+      RETURNING *
+    `, [id, userId, JSON.stringify(scorecard)]);
+    return this.toMockInterview(result.rows[0]);
+  },
+
+  async getByUserId(userId, limit = 20) {
+    const result = await query(
+      'SELECT * FROM mock_interviews WHERE user_id = $1 ORDER BY created_at DESC LIMIT $2',
+      [userId, limit]
+    );
+    return result.rows.map(row => this.toMockInterview(row));
+  }
+};
+
+// Spaced-repetition review queue model (SM-2 scheduling lives in spacedRepetition.js)
+const ReviewQueue = {
+  toItem(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      question: row.question,
+      category: row.category,
+      source: row.source,
+      easeFactor: row.ease_factor,
+      intervalDays: row.interval_days,
+      repetitions: row.repetitions,
+      dueAt: row.due_at,
+      lastScore: row.last_score,
+      reviewCount: row.review_count,
+      lastReviewedAt: row.last_reviewed_at,
+      createdAt: row.created_at
+    };
+  },
+
+  async findByQuestion(userId, question) {
+    const result = await query(
+      'SELECT * FROM review_queue WHERE user_id = $1 AND question_hash = $2',
+      [userId, questionKey(question)]
+    );
+    return this.toItem(result.rows[0]);
+  },
+
+  // Flagged questions are due immediately; an existing entry keeps its schedule but is marked flagged
+  async enrollFlagged(userId, { question, category }) {
+    const result = await query(`
+      INSERT INTO review_queue (user_id, question, question_hash, category, source)
+      VALUES ($1, $2, $3, $4, 'flagged')
+      ON CONFLICT (user_id, question_hash) DO UPDATE SET source = 'flagged'
+      RETURNING *
+    `, [userId, question, questionKey(question), category || null]);
+    return this.toItem(result.rows[0]);
+  },
+
+  // Called after every scored answer: reschedules enrolled questions that were due (or served
+  // as review `reviewId`), resets ones that weren't due on a low score, and enrolls new ones that
+  // scored below the threshold. Returns the item, or null if not queued.
+  async recordScore(userId, { question, category, score, reviewId = null }) {
+    const existing = await this.findByQuestion(userId, question);
+    const isLowScore = typeof score === 'number' && score < LOW_SCORE_THRESHOLD;
+    if (!existing && !isLowScore) {
+      return null;
+    }
+    if (existing && !isReviewAttempt(existing, reviewId) && !isLowScore) {
+      return existing;
+    }
+
+    const schedule = nextReview(existing || {}, scoreToQuality(score));
+
+    if (existing) {
+      const result = await query(`
+        UPDATE review_queue
+        SET ease_factor = $1, interval_days = $2, repetitions = $3, due_at = $4, last_score = $5,
+            review_count = review_count + 1, last_reviewed_at = CURRENT_TIMESTAMP
+        WHERE id = $6
+        RETURNING *
+      `, [schedule.easeFactor, schedule.intervalDays, schedule.repetitions, schedule.dueAt, score, existing.id]);
+      return this.toItem(result.rows[0]);
+    }
+
+    const result = await query(`
+      INSERT INTO review_queue (user_id, question, question_hash, category, source, ease_factor, interval_days, repetitions, due_at, last_score, review_count, last_reviewed_at)
+      VALUES ($1, $2, $3, $4, 'low_score', $5, $6, $7, $8, $9, 1, CURRENT_TIMESTAMP)
+      ON CONFLICT (user_id, question_hash) DO NOTHING
+      RETURNING *
+    `, [userId, question, questionKey(question), category || null, schedule.easeFactor, schedule.intervalDays, schedule.repetitions, schedule.dueAt, score]);
+    return this.toItem(result.rows[0]);
+  },
+
+  // Most overdue first
+  async getDue(userId, limit = 20) {
+    const result = await query(
+      'SELECT * FROM review_queue WHERE user_id = $1 AND due_at <= CURRENT_TIMESTAMP ORDER BY due_at ASC LIMIT $2',
+      [userId, limit]
+    );
+    return result.rows.map(row => this.toItem(row));
+  },
+
+  async getByUserId(userId) {
+    const result = await query(
+      'SELECT * FROM review_queue WHERE user_id = $1 ORDER BY due_at ASC',
+      [userId]
+    );
+    return result.rows.map(row => this.toItem(row));
+  },
+
+  async countDue(userId) {
+    const result = await query(
+      'SELECT COUNT(*) as total FROM review_queue WHERE user_id = $1 AND due_at <= CURRENT_TIMESTAMP',
+      [userId]
+    );
+    return parseInt(result.rows[0].total) || 0;
+  },
+
+  async remove(userId, id) {
+    const result = await query('DELETE FROM review_queue WHERE id = $1 AND user_id = $2', [id, userId]);
+    return result.rowCount > 0;
+  }
+};
+
+const QUESTION_COLUMNS = {
+  question: 'question',
+  category: 'category',
+  difficulty: 'difficulty',
+  type: 'type',
+  tags: 'tags',
+  retired: 'retired'
+};
+
+// Question bank model
+const Question = {
+  toQuestion(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      question: row.question,
+      category: row.category,
+      difficulty: row.difficulty,
+      type: row.type,
+      tags: row.tags || [],
+      retired: !!row.retired,
+      source: row.source,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  },
+
+  async count() {
+    const result = await query('SELECT COUNT(*) as total FROM questions');
+    return parseInt(result.rows[0].total) || 0;
+  },
+
+  // Active (non-retired) questions, used to build the in-memory bank
+  async getActive() {
+    const result = await query('SELECT * FROM questions WHERE retired = FALSE ORDER BY id');
+    return result.rows.map(row => this.toQuestion(row));
+  },
+
+  async list({ includeRetired = true, category = null, difficulty = null, type = null, search = null, limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (!includeRetired) conditions.push('retired = FALSE');
+    if (category) {
+      params.push(category);
+      conditions.push(`LOWER(category) = LOWER($${params.length})`);
+    }
+    if (difficulty) {
+      params.push(difficulty);
+      conditions.push(`difficulty = $${params.length}`);
+    }
+    if (type) {
+      params.push(type);
+      conditions.push(`type = $${params.length}`);
+    }
+    if (search) {
+      params.push(`%${search.toLowerCase()}%`);
+      conditions.push(`LOWER(question) LIKE $${params.length}`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const countResult = await query(`SELECT COUNT(*) as total FROM questions ${where}`, params);
+    const result = await query(
+      `SELECT * FROM questions ${where} ORDER BY id LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    return {
+      questions: result.rows.map(row => this.toQuestion(row)),
+      total: parseInt(countResult.rows[0].total) || 0
+    };
+  },
+
+  async findById(id) {
+    const result = await query('SELECT * FROM questions WHERE id = $1', [id]);
+    return this.toQuestion(result.rows[0]);
+  },
+
+  async findByText(question) {
+    const result = await query('SELECT * FROM questions WHERE question_hash = $1', [questionKey(question)]);
+    return this.toQuestion(result.rows[0]);
+  },
+
+  async create({ question, category, difficulty = 'medium', type = null, tags = [], retired = false, source = 'admin' }) {
+    const result = await query(`
+      INSERT INTO questions (question, question_hash, category, difficulty, type, tags, retired, source)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `, [question, questionKey(question), category, difficulty, type, JSON.stringify(tags || []), !!retired, source]);
+    return this.toQuestion(result.rows[0]);
+  },
+
+  async update(id, updates) {
+    const assignments = [];
+    const params = [];
+    Object.entries(updates).forEach(([field, value]) => {
+      const column = QUESTION_COLUMNS[field];
+      if (!column || value === undefined) return;
+      params.push(field === 'tags' ? JSON.stringify(value || []) : value);
+      assignments.push(`${column} = $${params.length}`);
+      // Keep the duplicate-detection hash in sync with the text
+      if (field === 'question') {
+        params.push(questionKey(value));
+        assignments.push(`question_hash = $${params.length}`);
+      }
+    });
+
+    if (assignments.length > 0) {
+      params.push(id);
+      await query(
+        `UPDATE questions SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = $${params.length}`,
+        params
+      );
+    }
+    return this.findById(id);
+  },
+
+  async delete(id) {
+    const result = await query('DELETE FROM questions WHERE id = $1', [id]);
+    return result.rowCount > 0;
+  }
+};
+
+// Department question pack model
+const QuestionPack = {
+  toPack(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      name: row.name,
+      departmentName: row.department_name,
+      city: row.city,
+      stateProvince: row.state_province,
+      country: row.country,
+      description: row.description,
+      source: row.source,
+      active: !!row.active,
+      questionCount: row.question_count !== undefined ? parseInt(row.question_count) || 0 : undefined,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  },
+
+  toItem(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      packId: row.pack_id,
+      question: row.question,
+      category: row.category,
+      difficulty: row.difficulty,
+      type: row.type,
+      createdAt: row.created_at
+    };
+  },
+
+  async create({ name, departmentName = null, city = null, stateProvince = null, country = null, description = null, source = null }) {
+    const result = await query(`
+      INSERT INTO question_packs (name, department_name, department_key, city, city_key, state_province, country, description, source)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *
+    `, [
+      name,
+      departmentName,
+      normalizeLocationKey(departmentName),
+      city,
+      normalizeLocationKey(city),
+      stateProvince,
+      country,
+      description,
+      source
+    ]);
+    return this.toPack(result.rows[0]);
+  },
+
+  async list({ includeInactive = true } = {}) {
+    const result = await query(`
+      SELECT p.*, COALESCE(c.question_count, 0) as question_count
+      FROM question_packs p
+      LEFT JOIN (SELECT pack_id, COUNT(*) as question_count FROM question_pack_items GROUP BY pack_id) c ON c.pack_id = p.id
+      ${includeInactive ? '' : 'WHERE p.active = TRUE'}
+      ORDER BY p.id
+    `);
+    return result.rows.map(row => this.toPack(row));
+  },
+
+  async findById(id) {
+    const result = await query('SELECT * FROM question_packs WHERE id = $1', [id]);
+    return this.toPack(result.rows[0]);
+  },
+
+  async setActive(id, active) {
+    await query('UPDATE question_packs SET active = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2', [!!active, id]);
+    return this.findById(id);
+  },
+
+  // Candidate packs for a profile: same department or same city. Callers narrow with packMatchesProfile().
+  async findCandidates({ departmentName, city }) {
+    const departmentKey = normalizeLocationKey(departmentName);
+    const cityKey = normalizeLocationKey(city);
+    if (!departmentKey && !cityKey) return [];
+    const result = await query(
+      'SELECT * FROM question_packs WHERE active = TRUE AND (department_key = $1 OR city_key = $2) ORDER BY id',
+      [departmentKey || '', cityKey || '']
+    );
+    return result.rows.map(row => this.toPack(row));
+  },
+
+  // Adds questions, skipping any already in the pack. Returns { added, skipped }.
+  async addItems(packId, items) {
+    let added = 0;
+    let skipped = 0;
+    for (const item of items) {
+      const result = await query(`
+        INSERT INTO question_pack_items (pack_id, question, question_hash, category, difficulty, type)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        ON CONFLICT (pack_id, question_hash) DO NOTHING
+        RETURNING id
+      `, [packId, item.question, questionKey(item.question), item.category, item.difficulty || 'medium', item.type || null]);
+      if (result.rows.length > 0) added++;
+      else skipped++;
+    }
+    await query('UPDATE question_packs SET updated_at = CURRENT_TIMESTAMP WHERE id = $1', [packId]);
+    return { added, skipped };
+  },
+
+  async getItems(packIds) {
+    const ids = Array.isArray(packIds) ? packIds : [packIds];
+    if (ids.length === 0) return [];
+    const result = await query('SELECT * FROM question_pack_items WHERE pack_id = ANY($1::int[]) ORDER BY pack_id, id', [ids]);
+    return result.rows.map(row => this.toItem(row));
+  },
+
+  async recordView(itemId, userId) {
+    await query(`
+      INSERT INTO question_pack_views (item_id, user_id)
+      VALUES ($1, $2)
+      ON CONFLICT (item_id, user_id)
+      DO UPDATE SET times_served = question_pack_views.times_served + 1, last_seen_at = CURRENT_TIMESTAMP
+    `, [itemId, userId]);
+  },
+
+  async getViews(userId, packIds) {
+    const ids = Array.isArray(packIds) ? packIds : [packIds];
+    if (ids.length === 0) return [];
+    const result = await query(`
+      SELECT v.* FROM question_pack_views v
+      JOIN question_pack_items i ON i.id = v.item_id
+      WHERE v.user_id = $1 AND i.pack_id = ANY($2::int[])
+    `, [userId, ids]);
+    return result.rows.map(row => ({
+      itemId: row.item_id,
+      timesServed: row.times_served,
+      firstSeenAt: row.first_seen_at,
+      lastSeenAt: row.last_seen_at
+    }));
+  }
+};
+
+// Department research cache model
+const DepartmentResearch = {
+  toEntry(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      researchKey: row.research_key,
+      country: row.country,
+      stateProvince: row.state_province,
+      city: row.city,
+      departmentName: row.department_name,
+      factKey: row.fact_key,
+      value: row.value,
+      source: row.source,
+      sourceUrls: row.source_urls || [],
+      confidence: row.confidence,
+      fetchedAt: row.fetched_at,
+      overrideValue: row.override_value,
+      overrideNote: row.override_note,
+      overriddenAt: row.overridden_at
+    };
+  },
+
+  async getByKey(researchKey) {
+    const result = await query('SELECT * FROM department_research WHERE research_key = $1 ORDER BY id', [researchKey]);
+    return result.rows.map(row => this.toEntry(row));
+  },
+
+  async findById(id) {
+    const result = await query('SELECT * FROM department_research WHERE id = $1', [id]);
+    return this.toEntry(result.rows[0]);
+  },
+
+  // Admin listing, filtered by city and/or department name (partial, case-insensitive)
+  async list({ city = null, departmentName = null, limit = 200 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (city) {
+      params.push(`%${city.toLowerCase()}%`);
+      conditions.push(`LOWER(city) LIKE $${params.length}`);
+    }
+    if (departmentName) {
+      params.push(`%${departmentName.toLowerCase()}%`);
+      conditions.push(`LOWER(department_name) LIKE $${params.length}`);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const result = await query(
+      `SELECT * FROM department_research ${where} ORDER BY research_key, fact_key LIMIT $${params.length + 1}`,
+      [...params, limit]
+    );
+    return result.rows.map(row => this.toEntry(row));
+  },
+
+  // Store a search result (value may be null when nothing was found); leaves any override untouched
+  async saveFetched(researchKey, location, factKey, { value, source, sourceUrls = [], confidence = null }) {
+    const result = await query(`
+      INSERT INTO department_research (research_key, country, state_province, city, department_name, fact_key, value, source, source_urls, confidence, fetched_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, CURRENT_TIMESTAMP)
+      ON CONFLICT (research_key, fact_key)
+      DO UPDATE SET value = $7, source = $8, source_urls = $9, confidence = $10, fetched_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [researchKey, location.country || null, location.stateProvince || null, location.city || null, location.departmentName || null, factKey, value, source, JSON.stringify(sourceUrls || []), confidence]);
+    return this.toEntry(result.rows[0]);
+  },
+
+  // Pin (or with a null value, clear) an admin-corrected value for one fact
+  async setOverride(researchKey, location, factKey, value, note = null) {
+    const result = await query(`
+      INSERT INTO department_research (research_key, country, state_province, city, department_name, fact_key, override_value, override_note, overridden_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CASE WHEN $7::text IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END)
+      ON CONFLICT (research_key, fact_key)
+      DO UPDATE SET override_value = $7, override_note = $8, overridden_at = CASE WHEN $7::text IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END
+      RETURNING *
+    `, [researchKey, location.country || null, location.stateProvince || null, location.city || null, location.departmentName || null, factKey, value, note]);
+    return this.toEntry(result.rows[0]);
+  },
+
+  // Force a fact to be re-searched on the next research run
+  async expire(id) {
+    await query('UPDATE department_research SET fetched_at = NULL WHERE id = $1', [id]);
+    return this.findById(id);
+  }
+};
+
+// Department quiz mastery model
+const QuizMastery = {
+  toEntry(row) {
+    if (!row) return null;
+    return {
+      factKey: row.fact_key,
+      answerHash: row.answer_hash,
+      attempts: row.attempts,
+      correctCount: row.correct_count,
+      streak: row.streak,
+      lastResult: row.last_result,
+      lastAnsweredAt: row.last_answered_at
+    };
+  },
+
+  async getForKey(userId, researchKey) {
+    const result = await query(
+      'SELECT * FROM quiz_mastery WHERE user_id = $1 AND research_key = $2',
+      [userId, researchKey]
+    );
+    return result.rows.map(row => this.toEntry(row));
+  },
+
+  // Record one graded answer and return the updated mastery
+  async record(userId, researchKey, factKey, result, answerHash) {
+    const existing = await query(
+      'SELECT * FROM quiz_mastery WHERE user_id = $1 AND research_key = $2 AND fact_key = $3',
+      [userId, researchKey, factKey]
+    );
+    const next = updateMastery(this.toEntry(existing.rows[0]), result, answerHash);
+    const saved = await query(`
+      INSERT INTO quiz_mastery (user_id, research_key, fact_key, answer_hash, attempts, correct_count, streak, last_result, last_answered_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CURRENT_TIMESTAMP)
+      ON CONFLICT (user_id, research_key, fact_key)
+      DO UPDATE SET answer_hash = $4, attempts = $5, correct_count = $6, streak = $7, last_result = $8, last_answered_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [userId, researchKey, factKey, answerHash, next.attempts, next.correctCount, next.streak, result]);
+    return { ...this.toEntry(saved.rows[0]), mastered: next.mastered };
+  }
+};
+
+// Uploaded answer recording model
+const AnswerRecording = {
+  toRecording(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      attemptId: row.attempt_id,
+      mimeType: row.mime_type,
+      sizeBytes: row.size_bytes,
+      durationSeconds: row.duration_seconds,
+      question: row.question,
+      markers: row.markers || [],
+      createdAt: row.created_at
+    };
+  },
+
+  async create(userId, { storageKey, mimeType, sizeBytes, durationSeconds = null, question = null, attemptId = null, markers = null }) {
+    const result = await query(`
+      INSERT INTO answer_recordings (user_id, attempt_id, storage_key, mime_type, size_bytes, duration_seconds, question, markers)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `, [userId, attemptId, storageKey, mimeType, sizeBytes, durationSeconds, question, markers ? JSON.stringify(markers) : null]);
+    return this.toRecording(result.rows[0]);
+  },
+
+  async listForUser(userId) {
+    const result = await query(
+      'SELECT * FROM answer_recordings WHERE user_id = $1 ORDER BY created_at DESC',
+      [userId]
+    );
+    return result.rows.map(row => this.toRecording(row));
+  },
+
+  async countForUser(userId) {
+    const result = await query('SELECT COUNT(*) AS count FROM answer_recordings WHERE user_id = $1', [userId]);
+    return parseInt(result.rows[0].count);
+  },
+
+  // Raw row (including storage_key) for a recording the user owns
+  async findRowForUser(userId, id) {
+    const result = await query(
+      'SELECT * FROM answer_recordings WHERE id = $1 AND user_id = $2',
+      [id, userId]
+    );
+    return result.rows[0] || null;
+  },
+
+  // Attach the analyzed attempt and/or replace the playback markers
+  async update(userId, id, { attemptId, markers }) {
+    const result = await query(`
+      UPDATE answer_recordings
+      SET attempt_id = COALESCE($3, attempt_id), markers = COALESCE($4, markers)
+      WHERE id = $1 AND user_id = $2
+      RETURNING *
+    `, [id, userId, attemptId ?? null, markers ? JSON.stringify(markers) : null]);
+    return this.toRecording(result.rows[0]);
+  },
+
+  // Deletes the row and returns its storage key so the caller can remove the file
+  async delete(userId, id) {
+    const result = await query(
+      'DELETE FROM answer_recordings WHERE id = $1 AND user_id = $2 RETURNING storage_key',
+      [id, userId]
+    );
+    return result.rows[0] ? result.rows[0].storage_key : null;
+  },
+
+  async storageKeysForUser(userId) {
+    const result = await query('SELECT storage_key FROM answer_recordings WHERE user_id = $1', [userId]);
+    return result.rows.map(row => row.storage_key);
+  }
+};
+
 // Export query function for direct use
 const db = {
   query,
-  pool
+  pool,
+  withTransaction
 };
 
 // Legacy exports for compatibility (will be removed after migration)
@@ -546,11 +2144,26 @@ const referralQueries = {};
 module.exports = {
   db,
   query,
+  withTransaction,
   User,
+  AuthToken,
+  UserIdentity,
+  UserSession,
+  AdminAuditLog,
   Transaction,
   CreditLedger,
   Analytics,
   Referral,
+  SessionProfile,
+  InterviewAttempt,
+  MockInterview,
+  ReviewQueue,
+  Question,
+  QuestionPack,
+  DepartmentResearch,
+  QuizMastery,
+  AnswerRecording,
+  schemaReady,
   userQueries,
   analyticsQueries,
   referralQueries
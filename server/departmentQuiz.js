@@ -0,0 +1,246 @@
+// Department Quiz - deterministic flashcards built from researched department facts
+// Cards are templated from fact keys (no AI call), answers are graded locally with
+// number extraction, phonetic name matching and keyword overlap, and mastery is tracked per fact.
+
+const { questionKey } = require('./spacedRepetition');
+
+// Consecutive correct answers needed before a fact counts as mastered
+const MASTERY_STREAK = 3;
+const NAME_SIMILARITY_THRESHOLD = 0.8;
+const TEXT_CORRECT_RATIO = 0.6;
+const TEXT_PARTIAL_RATIO = 0.3;
+
+// Fact key → question template and how the answer is graded
+const CARD_TEMPLATES = {
+  'fire chief name': { question: 'Who is the Fire Chief of {department}?', answerType: 'name' },
+  'deputy chiefs': { question: 'Name a Deputy or Assistant Chief of {department}.', answerType: 'name' },
+  'mayor name': { question: 'Who is the Mayor of {city}?', answerType: 'name' },
+  'city manager': { question: 'Who is the City Manager (or Chief Administrative Officer) of {city}?', answerType: 'name' },
+  'union number': { question: 'What is the IAFF local number of the {department} union?', answerType: 'number' },
+  'union president': { question: 'Who is the president of the {department} union?', answerType: 'name' },
+  'number of fire stations': { question: 'How many fire stations does {department} operate?', answerType: 'number' },
+  'number of members': { question: 'Roughly how many members does {department} have?', answerType: 'number' },
+  'department history': { question: 'When was {department} established?', answerType: 'year' },
+  'department mission': { question: 'What is the mission statement of {department}?', answerType: 'text' },
+  'city demographics': { question: 'What is the population of {city}?', answerType: 'number' }
+};
+
+const NAME_TITLES = ['chief', 'deputy', 'assistant', 'fire', 'mayor', 'mr', 'mrs', 'ms', 'dr', 'the', 'and', 'of', 'captain', 'president', 'manager', 'city'];
+const STOP_WORDS = ['the', 'and', 'for', 'with', 'that', 'this', 'our', 'their', 'from', 'into', 'are', 'was', 'were', 'will', 'its', 'all', 'through'];
+const NUMBER_WORDS = {
+  zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17,
+  eighteen: 18, nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70,
+  eighty: 80, ninety: 90
+};
+
+function tokenize(text) {
+  return String(text || '').toLowerCase().replace(/['’]/g, '').split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+// American Soundex: "Siemens" and "Simmons" both code to S552
+function soundex(word) {
+  const letters = String(word || '').toLowerCase().replace(/[^a-z]/g, '');
+  if (!letters) return '';
+  const codes = { b: 1, f: 1, p: 1, v: 1, c: 2, g: 2, j: 2, k: 2, q: 2, s: 2, x: 2, z: 2, d: 3, t: 3, l: 4, m: 5, n: 5, r: 6 };
+  let result = letters[0].toUpperCase();
+  let previous = codes[letters[0]] || 0;
+  for (let i = 1; i < letters.length && result.length < 4; i++) {
+    const char = letters[i];
+    const code = codes[char] || 0;
+    if (code && code !== previous) result += code;
+    // h and w don't separate letters with the same code; vowels do
+    if (char !== 'h' && char !== 'w') previous = code;
+  }
+  return result.padEnd(4, '0');
+}
+
+function levenshtein(a, b) {
+  const dp = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) dp[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      dp[i][j] = Math.min(
+        dp[i - 1][j] + 1,
+        dp[i][j - 1] + 1,
+        dp[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+  }
+  return dp[a.length][b.length];
+}
+
+function similarity(a, b) {
+  const longest = Math.max(a.length, b.length);
+  return longest === 0 ? 1 : 1 - levenshtein(a, b) / longest;
+}
+
+// Same word allowing for speech-to-text spelling: identical sound code or close spelling
+function wordsMatch(expected, given) {
+  if (expected === given) return true;
+  if (expected.length > 2 && soundex(expected) === soundex(given)) return true;
+  return similarity(expected, given) >= NAME_SIMILARITY_THRESHOLD;
+}
+
+// Digits plus simple spoken numbers ("twelve", "forty two")
+function extractNumbers(text) {
+  const numbers = (String(text || '').replace(/,(\d{3})/g, '$1').match(/\d+(\.\d+)?/g) || []).map(Number);
+  const words = tokenize(text);
+  for (let i = 0; i < words.length; i++) {
+    const value = NUMBER_WORDS[words[i]];
+    if (value === undefined) continue;
+    const next = NUMBER_WORDS[words[i + 1]];
+    if (value >= 20 && next !== undefined && next < 10) {
+      numbers.push(value + next);
+      i++;
+    } else {
+      numbers.push(value);
+    }
+  }
+  return numbers;
+}
+
+function fillTemplate(template, { city, departmentName }) {
+  return template
+    .replace('{department}', departmentName || 'the department')
+    .replace('{city}', city || 'the city');
+}
+
+// One card per researched fact that has a template. Deterministic for the same facts and location.
+function buildQuizCards(facts, location = {}) {
+  return facts
+    .filter(fact => CARD_TEMPLATES[fact.key] && fact.value)
+    .map(fact => {
+      const template = CARD_TEMPLATES[fact.key];
+      let answerType = template.answerType;
+      // Fall back to keyword grading when a "number" fact came back without any digits
+      if ((answerType === 'number' || answerType === 'year') && extractNumbers(fact.value).length === 0) {
+        answerType = 'text';
+      }
+      return {
+        factKey: fact.key,
+        question: fillTemplate(template.question, location),
+        answer: fact.value,
+        answerType,
+        answerHash: questionKey(fact.value),
+        confidence: fact.confidence,
+        pinned: !!fact.pinned,
+        retrievedAt: fact.retrievedAt || null,
+        sources: fact.sources || []
+      };
+    });
+}
+
+function gradeNumber(expected, response, { yearsOnly = false } = {}) {
+  let expectedNumbers = extractNumbers(expected);
+  if (yearsOnly) {
+    const years = expectedNumbers.filter(n => n >= 1000 && n <= 2100);
+    if (years.length > 0) expectedNumbers = years;
+  }
+  const given = extractNumbers(response);
+  if (given.length === 0) return { result: 'incorrect', score: 0 };
+  if (given.some(n => expectedNumbers.includes(n))) return { result: 'correct', score: 1 };
+  // Within 10% counts as close (e.g. staffing numbers that change month to month)
+  const close = given.some(n => expectedNumbers.some(e => e > 20 && Math.abs(n - e) / e <= 0.1));
+  return close ? { result: 'partial', score: 0.5 } : { result: 'incorrect', score: 0 };
+}
+
+// Every name in the answer is checked; naming any one of several people (e.g. deputy chiefs) is correct
+function gradeName(expected, response) {
+  const given = tokenize(response).filter(w => !NAME_TITLES.includes(w));
+  if (given.length === 0) return { result: 'incorrect', score: 0 };
+
+  const people = String(expected).split(/,|;|\band\b|&/i)
+    .map(name => tokenize(name).filter(w => !NAME_TITLES.includes(w)))
+    .filter(tokens => tokens.length > 0);
+
+  let best = 0;
+  people.forEach(tokens => {
+    const matched = tokens.filter(token => given.some(word => wordsMatch(token, word))).length;
+    const lastNameMatched = given.some(word => wordsMatch(tokens[tokens.length - 1], word));
+    const score = matched === tokens.length ? 1 : (lastNameMatched ? 0.5 : 0);
+    best = Math.max(best, score);
+  });
+
+  if (best === 1) return { result: 'correct', score: 1 };
+  if (best > 0) return { result: 'partial', score: best };
+  return { result: 'incorrect', score: 0 };
+}
+
+function gradeText(expected, response) {
+  const keywords = [...new Set(tokenize(expected).filter(w => w.length > 3 && !STOP_WORDS.includes(w)))];
+  if (keywords.length === 0) return { result: 'incorrect', score: 0 };
+  const given = tokenize(response);
+  const matched = keywords.filter(keyword => given.some(word => wordsMatch(keyword, word))).length;
+  const ratio = matched / keywords.length;
+  const score = Math.round(ratio * 100) / 100;
+  if (ratio >= TEXT_CORRECT_RATIO) return { result: 'correct', score };
+  if (ratio >= TEXT_PARTIAL_RATIO) return { result: 'partial', score };
+  return { result: 'incorrect', score };
+}
+
+// Grade a typed or spoken answer. Returns { result: 'correct' | 'partial' | 'incorrect', score: 0-1 }.
+function gradeQuizAnswer(card, response) {
+  if (!response || !String(response).trim()) return { result: 'incorrect', score: 0 };
+  switch (card.answerType) {
+    case 'number': return gradeNumber(card.answer, response);
+    case 'year': return gradeNumber(card.answer, response, { yearsOnly: true });
+    case 'name': return gradeName(card.answer, response);
+    default: return gradeText(card.answer, response);
+  }
+}
+
+// Update a fact's mastery record. Partial answers neither build nor break the streak,
+// and a changed fact (e.g. a new chief) restarts the streak.
+function updateMastery(previous, result, answerHash) {
+  const prev = previous || { attempts: 0, correctCount: 0, streak: 0, answerHash };
+  let streak = prev.answerHash === answerHash ? prev.streak : 0;
+  if (result === 'correct') streak += 1;
+  else if (result === 'incorrect') streak = 0;
+
+  return {
+    attempts: prev.attempts + 1,
+    correctCount: prev.correctCount + (result === 'correct' ? 1 : 0),
+    streak,
+    lastResult: result,
+    answerHash,
+    mastered: streak >= MASTERY_STREAK
+  };
+}
+
+// Unmastered cards first (weakest streak, then least recently practised)
+function orderCards(cards, masteryByFact) {
+  return cards
+    .map(card => {
+      const mastery = masteryByFact.get(card.factKey);
+      const current = mastery && mastery.answerHash === card.answerHash ? mastery : null;
+      return {
+        ...card,
+        mastery: {
+          attempts: mastery ? mastery.attempts : 0,
+          streak: current ? current.streak : 0,
+          mastered: !!current && current.streak >= MASTERY_STREAK,
+          lastResult: mastery ? mastery.lastResult : null,
+          lastAnsweredAt: mastery ? mastery.lastAnsweredAt : null
+        }
+      };
+    })
+    .sort((a, b) => {
+      if (a.mastery.mastered !== b.mastery.mastered) return a.mastery.mastered ? 1 : -1;
+      if (a.mastery.streak !== b.mastery.streak) return a.mastery.streak - b.mastery.streak;
+      const aTime = a.mastery.lastAnsweredAt ? new Date(a.mastery.lastAnsweredAt).getTime() : 0;
+      const bTime = b.mastery.lastAnsweredAt ? new Date(b.mastery.lastAnsweredAt).getTime() : 0;
+      return aTime - bTime;
+    });
+}
+
+module.exports = {
+  MASTERY_STREAK,
+  CARD_TEMPLATES,
+  soundex,
+  extractNumbers,
+  buildQuizCards,
+  gradeQuizAnswer,
+  updateMastery,
+  orderCards
+};
@@ -0,0 +1,156 @@
+// Department Research - cache keys, freshness rules and fact cleanup for /api/research-city
+// Facts are cached per department in the department_research table so repeat onboarding runs
+// only re-search the facts that have gone stale. Admin overrides always win over search results.
+
+const { normalizeLocationKey } = require('./questionPacks');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long a found fact stays fresh. People change jobs more often than departments change history.
+const FACT_TTL_DAYS = {
+  'fire chief name': 14,
+  'deputy chiefs': 14,
+  'mayor name': 14,
+  'city council members': 14,
+  'city manager': 14,
+  'union president': 14,
+  'department history': 180,
+  'department mission': 90
+};
+const DEFAULT_FACT_TTL_DAYS = 30;
+// Searches that came back empty are retried sooner
+const NOT_FOUND_TTL_DAYS = 3;
+
+// One cache entry per normalized country/state/city/department
+function buildResearchKey({ country, stateProvince, city, departmentName }) {
+  return [country, stateProvince, city, departmentName]
+    .map(part => normalizeLocationKey(part) || '')
+    .join('|');
+}
+
+// The 17 web searches run for each department (fact key → search query)
+function buildCriticalSearches({ country, stateProvince, city, departmentName }) {
+  return [
+    { query: `current fire chief ${city} ${stateProvince || ''} ${country} 2024 2025`, fact: 'fire chief name' },
+    { query: `current deputy chief assistant chief ${city} ${stateProvince || ''} ${country} 2024 2025`, fact: 'deputy chiefs' },
+    { query: `current mayor ${city} ${stateProvince || ''} ${country} 2024 2025`, fact: 'mayor name' },
+    { query: `city council public safety committee ${city} ${stateProvince || ''} ${country} 2024 2025`, fact: 'city council members' },
+    { query: `city manager chief administrative officer ${city} ${stateProvince || ''} ${country} 2024 2025`, fact: 'city manager' },
+    { query: `${departmentName} union number IAFF local ${city} ${country}`, fact: 'union number' },
+    { query: `${departmentName} union president ${city} ${country} 2024 2025`, fact: 'union president' },
+    { query: `${departmentName} number of fire stations ${city} ${country} 2024 2025`, fact: 'number of fire stations' },
+    { query: `${departmentName} number of members staff firefighters ${city} ${country} 2024 2025`, fact: 'number of members' },
+    { query: `${departmentName} established founded history ${city} ${country}`, fact: 'department history' },
+    { query: `${departmentName} mission statement values motto ${city} ${country}`, fact: 'department mission' },
+    { query: `${departmentName} community programs initiatives ${city} ${country} 2024 2025`, fact: 'community programs' },
+    { query: `${departmentName} equipment apparatus capabilities ${city} ${country} 2024 2025`, fact: 'equipment information' },
+    { query: `${departmentName} response areas coverage zones ${city} ${country}`, fact: 'response areas' },
+    { query: `population demographics ${city} ${stateProvince || ''} ${country} 2024 2025`, fact: 'city demographics' },
+    { query: `major industries economic drivers ${city} ${stateProvince || ''} ${country} 2024 2025`, fact: 'city industries' },
+    { query: `${city} emergency services structure fire police EMS ${stateProvince || ''} ${country} 2024 2025`, fact: 'emergency services structure' }
+  ];
+}
+
+// Strip quotes/prefixes and keep the first sentence; returns null for refusals and "not found" answers
+function cleanFactResult(raw) {
+  let factResult = String(raw || '').trim();
+  factResult = factResult.replace(/^["']|["']$/g, '');
+  // Remove common prefixes like "The current fire chief is" but keep the name
+  factResult = factResult.replace(/^(the current|current|the|is|are):?\s*/i, '');
+  factResult = factResult.trim();
+  // Take first sentence/line but allow longer responses for full names
+  factResult = factResult.split('\n')[0].split('.')[0].trim();
+
+  const lower = factResult.toLowerCase();
+  if (!factResult ||
+      factResult === 'NOT FOUND' ||
+      lower.includes('not found') ||
+      lower.includes('outdated') ||
+      lower.includes('uncertain') ||
+      lower.includes('i cannot') ||
+      lower.includes('i don\'t') ||
+      lower.includes('i do not') ||
+      factResult.length >= 200) {
+    return null;
+  }
+  return factResult;
+}
+
+// A cached fact is fresh if it was fetched within its TTL (shorter when the last search found nothing)
+function isFactFresh(entry, now = new Date()) {
+  if (!entry || !entry.fetchedAt) return false;
+  const ttlDays = entry.value ? (FACT_TTL_DAYS[entry.factKey] || DEFAULT_FACT_TTL_DAYS) : NOT_FOUND_TTL_DAYS;
+  return now.getTime() - new Date(entry.fetchedAt).getTime() < ttlDays * DAY_MS;
+}
+
+// Collect cited URLs from a Responses API result (web_search adds url_citation annotations to message text)
+function extractSourceUrls(searchResponse, max = 5) {
+  const sources = [];
+  const output = searchResponse && Array.isArray(searchResponse.output) ? searchResponse.output : [];
+  output.forEach(item => {
+    (Array.isArray(item.content) ? item.content : []).forEach(part => {
+      (Array.isArray(part.annotations) ? part.annotations : []).forEach(annotation => {
+        if (annotation.type === 'url_citation' && annotation.url && !sources.some(s => s.url === annotation.url)) {
+          sources.push({ url: annotation.url, title: annotation.title || null });
+        }
+      });
+    });
+  });
+  return sources.slice(0, max);
+}
+
+// high: web search with citations, medium: web search without citations, low: model answer only
+function assessConfidence({ value, source, sourceUrls = [] }) {
+  if (!value) return null;
+  if (source === 'web_search') return sourceUrls.length > 0 ? 'high' : 'medium';
+  return 'low';
+}
+
+// The value to serve: an admin override if pinned, otherwise the searched value
+function resolveFactValue(entry) {
+  if (!entry) return null;
+  return entry.overrideValue || entry.value || null;
+}
+
+// Structured fact returned to clients and used for knowledge verification (null if there's no value)
+function buildFactRecord(entry) {
+  const value = resolveFactValue(entry);
+  if (!value) return null;
+  const pinned = !!entry.overrideValue;
+  return {
+    key: entry.factKey,
+    value,
+    sources: pinned ? [] : (entry.sourceUrls || []),
+    retrievedAt: pinned ? entry.overriddenAt : entry.fetchedAt,
+    confidence: pinned ? 'high' : (entry.confidence || assessConfidence(entry)),
+    pinned,
+    note: pinned ? entry.overrideNote : null
+  };
+}
+
+// One line per fact with its provenance, for the analyze-answer verification prompt
+function formatFactsForVerification(facts) {
+  return facts.map(fact => {
+    const provenance = [
+      fact.pinned ? 'verified by admin' : `confidence: ${fact.confidence}`,
+      fact.retrievedAt ? `retrieved ${new Date(fact.retrievedAt).toISOString().slice(0, 10)}` : null,
+      fact.sources.length > 0 ? `source: ${fact.sources[0].url}` : null
+    ].filter(Boolean).join('; ');
+    return `- [${fact.key}] ${fact.value} (${provenance})`;
+  }).join('\n');
+}
+
+module.exports = {
+  FACT_TTL_DAYS,
+  DEFAULT_FACT_TTL_DAYS,
+  NOT_FOUND_TTL_DAYS,
+  buildResearchKey,
+  buildCriticalSearches,
+  cleanFactResult,
+  isFactFresh,
+  extractSourceUrls,
+  assessConfidence,
+  resolveFactValue,
+  buildFactRecord,
+  formatFactsForVerification
+};
@@ -7,10 +7,28 @@ const fetchModule = require('node-fetch');
 const cookieParser = require('cookie-parser');
 const jwt = require('jsonwebtoken');
 const { OAuth2Client } = require('google-auth-library');
-const { User, Transaction, CreditLedger, Analytics, Referral, referralQueries, query } = require('./db');
+const { User, AuthToken, UserIdentity, UserSession, AdminAuditLog, Transaction, CreditLedger, Analytics, Referral, SessionProfile, InterviewAttempt, MockInterview, ReviewQueue, Question, QuestionPack, DepartmentResearch, QuizMastery, AnswerRecording, referralQueries, query, withTransaction } = require('./db');
 const crypto = require('crypto');
 // Import question bank
-const { getRandomQuestion, getQuestions, getQuestionStats } = require('./questionBank');
+const { buildResearchKey, buildCriticalSearches, cleanFactResult, isFactFresh, extractSourceUrls, assessConfidence, resolveFactValue, buildFactRecord, formatFactsForVerification } = require('./departmentResearch');
+const { DEFAULT_PACK_CATEGORY, packMatchesProfile, pickPackQuestion, buildCoverageReport } = require('./questionPacks');
+const { getRandomQuestion, getQuestions, getQuestionStats, initQuestionBank, reloadQuestionBank, validateQuestionInput, questionsToCSV, parseQuestionsCSV } = require('./questionBank');
+const { buildScoringFormatPrompt, buildRetryPrompt, validateAnswerScore, renderAnswerScoreMarkdown, renderPartialAnswerMarkdown } = require('./answerScoring');
+const { MASTERY_STREAK, buildQuizCards, gradeQuizAnswer, orderCards } = require('./departmentQuiz');
+const { createLLMProvider } = require('./llmProvider');
+const { MAX_AUDIO_BYTES, AUDIO_TYPES, createTranscriber } = require('./transcription');
+const { analyzeDelivery } = require('./voiceMetrics');
+const { normalizeBodyLanguage, describeBodyLanguage } = require('./bodyLanguage');
+const { summarizeResume, buildModelAnswerPrompt, parseModelAnswer } = require('./modelAnswer');
+const { normalizeTzOffset, normalizeWeeks, windowStart, buildProgress } = require('./progressStats');
+const { normalizeInterviewDate, localToday, daysBetween, buildStudyPlan, findPlanDay, pickPlanCategory } = require('./studyPlan');
+const { MAX_TOKENS_PER_HOUR, MIN_PASSWORD_LENGTH, createLinkToken, verifyLinkToken, buildLinkUrl, buildAuthEmail } = require('./authTokens');
+const { createMailer } = require('./mailer');
+const { USER_ROLES, parseAdminEmails, isBootstrapAdmin, buildAuditEntry, balanceChanges, planMergeReversal, formatAuditEntry } = require('./adminAudit');
+const { ACCESS_TOKEN_TTL_SECONDS, hashRefreshToken, createRefreshToken, refreshTokenExpiry, isGraceReuse, describeDevice } = require('./sessionTokens');
+const { MAX_RECORDING_BYTES, MAX_RECORDINGS_PER_USER, VIDEO_TYPES, baseMimeType, normalizeMarkers, createStorageKey, recordingPath, saveRecording, deleteRecording } = require('./recordingStorage');
+const { normalizeSettings, planCategories, buildQuestionPlanPrompt, parseQuestionPlan, computeAnswerTiming, shouldAskFollowup, buildScorecardPrompt, buildScorecard } = require('./mockInterview');
+const { createRateLimiter } = require('./rateLimit');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -18,6 +36,8 @@ const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-producti
 const GOOGLE_CLIENT_ID = process.env.GOOGLE_CLIENT_ID;
 const googleClient = GOOGLE_CLIENT_ID ? new OAuth2Client(GOOGLE_CLIENT_ID) : null;
 const ANALYTICS_SECRET = process.env.ANALYTICS_SECRET || 'change-this-secret-key-for-analytics';
+// Verified accounts with these emails are given the admin role (see applyBootstrapAdmin)
+const ADMIN_EMAILS = parseAdminEmails(process.env.ADMIN_EMAILS);
 
 // Helper function to hash IP addresses for privacy
 function hashIP(ip) {
@@ -25,10 +45,20 @@ function hashIP(ip) {
   return crypto.createHash('sha256').update(ip + ANALYTICS_SECRET).digest('hex').substring(0, 16);
 }
 
-// Initialize OpenAI client
-const openai = new OpenAI({
+// Initialize OpenAI client (text-to-speech only; chat goes through the LLM provider below)
+// Not created without a key so the server can run offline with LLM_PROVIDER=stub
+const openai = process.env.OPENAI_API_KEY ? new OpenAI({
   apiKey: process.env.OPENAI_API_KEY
-});
+}) : null;
+
+// Chat / web-search provider, selected with LLM_PROVIDER (openai, azure, openai-compatible, stub)
+const llm = createLLMProvider();
+
+// Speech-to-text for recorded answers, selected with TRANSCRIBE_PROVIDER (openai, whisper-cpp, stub)
+const transcriber = createTranscriber();
+
+// Outgoing email (reset / verification links), selected with MAIL_TRANSPORT (smtp, file, console)
+const mailer = createMailer();
 
 // Middleware
 const FRONTEND_URL = process.env.FRONTEND_URL || 'https://fire-interview-coach.onrender.com';
@@ -50,10 +80,12 @@ app.use(cors({
     callback(new Error('Not allowed by CORS'));
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization'],
   exposedHeaders: ['Set-Cookie']
 }));
+// Bulk question imports can be larger than the default 100kb body limit (and may be raw CSV)
+app.use('/api/admin/questions/import', express.json({ limit: '5mb' }), express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }));
 app.use(express.json());
 app.use(cookieParser());
 
@@ -66,6 +98,12 @@ function getClientIP(req) {
          null;
 }
 
+// Positive integer id from a route param or request body value (42 or "42"); null for anything else
+function parseId(value) {
+  if (typeof value === 'number') return Number.isInteger(value) && value > 0 ? value : null;
+  return typeof value === 'string' && /^[1-9]\d*$/.test(value) ? parseInt(value) : null;
+}
+
 // Authentication middleware
 function authenticateToken(req, res, next) {
   // Try to get token from cookie first, then from Authorization header
@@ -78,6 +116,10 @@ function authenticateToken(req, res, next) {
   
   try {
     const decoded = jwt.verify(token, JWT_SECRET);
+    // Access tokens carry their session id; older session-less tokens can't be revoked, so their users sign in again
+    if (!decoded.sid) {
+      return res.status(401).json({ error: 'Session expired', code: 'SESSION_REQUIRED' });
+    }
     req.user = decoded;
     next();
   } catch (error) {
@@ -93,7 +135,7 @@ function optionalAuth(req, res, next) {
   if (token) {
     try {
       const decoded = jwt.verify(token, JWT_SECRET);
-      req.user = decoded;
+      req.user = decoded.sid ? decoded : null;
     } catch (error) {
       // Invalid token, but continue without user
       req.user = null;
@@ -105,6 +147,119 @@ function optionalAuth(req, res, next) {
   next();
 }
 
+// Gives the admin role to a verified account listed in ADMIN_EMAILS (checked on /api/auth/me and admin routes)
+async function applyBootstrapAdmin(user) {
+  if (!user || user.role === 'admin' || !isBootstrapAdmin(user, ADMIN_EMAILS)) return user;
+  const promoted = await User.setRole(user.id, 'admin');
+  console.log(`[ADMIN] Granted admin role to user ${user.id} (${user.email}) from ADMIN_EMAILS`);
+  await AdminAuditLog.record({
+    actorUserId: user.id,
+    actorEmail: user.email,
+    action: 'role.bootstrap',
+    targetUserIds: [user.id],
+    details: { role: 'admin', source: 'ADMIN_EMAILS' }
+  });
+  return promoted;
+}
+
+// Admin routes - signed in (authenticateToken) with role "admin". The request is written to admin_audit_log
+// once the response is sent, whether or not access was granted.
+function requireAdmin(req, res, next) {
+  authenticateToken(req, res, async () => {
+    try {
+      const user = await applyBootstrapAdmin(await User.findById(req.user.userId));
+      
+      res.on('finish', () => {
+        if (res.locals.audit && res.locals.audit.recorded) return;
+        AdminAuditLog.record(buildAuditEntry(req, res, user, hashIP(getClientIP(req))))
+          .catch(error => console.error('Admin audit log error:', error));
+      });
+      
+      if (!user || user.role !== 'admin') {
+        console.log(`[ADMIN] Refused ${req.method} ${req.path} for user ${req.user.userId}`);
+        return res.status(403).json({ error: 'Admin access required' });
+      }
+      req.admin = user;
+      next();
+    } catch (error) {
+      console.error('Admin auth error:', error);
+      res.status(500).json({ error: 'Failed to check admin access', message: error.message });
+    }
+  });
+}
+
+// Writes the request's audit entry right away instead of when the response finishes, for routes that
+// return the entry id (e.g. so a merge can be undone)
+async function recordAdminAction(req, res, audit) {
+  res.locals.audit = { ...audit, recorded: true };
+  return AdminAuditLog.record(buildAuditEntry(req, res, req.admin, hashIP(getClientIP(req))));
+}
+
+// Admin pages opened directly in the browser authenticate with the authToken cookie, which lapses after
+// 15 minutes; without a usable one, serve a page that renews it (refresh cookie) and reloads.
+function requireAdminPage(req, res, next) {
+  if (req.query.format === 'json' || req.accepts(['json', 'html']) !== 'html') {
+    return requireAdmin(req, res, next);
+  }
+  const token = req.cookies?.authToken || req.headers?.authorization?.split(' ')[1];
+  let decoded = null;
+  try {
+    decoded = token ? jwt.verify(token, JWT_SECRET) : null;
+  } catch (error) {
+    decoded = null;
+  }
+  if (!decoded || !decoded.sid) {
+    return res.status(401).send(renderAdminSignInPage());
+  }
+  requireAdmin(req, res, next);
+}
+
+function renderAdminSignInPage() {
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Sign in - Fire Interview Coach Admin</title>
+  <style>
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+      background: linear-gradient(135deg, #0f172a 0%, #1e293b 100%);
+      color: #e2e8f0;
+      min-height: 100vh;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      margin: 0;
+    }
+    .card { background: rgba(30, 41, 59, 0.8); border: 1px solid rgba(148, 163, 184, 0.2); border-radius: 12px; padding: 30px; max-width: 420px; text-align: center; }
+    h1 { color: #fbbf24; font-size: 1.4rem; margin: 0 0 12px 0; }
+    a { color: #fbbf24; }
+  </style>
+</head>
+<body>
+  <div class="card">
+    <h1>🔥 Admin sign-in required</h1>
+    <p id="message">Checking your session...</p>
+  </div>
+  <script>
+    // Try the refresh cookie once (per 30 seconds, so a failed renewal can't loop), then ask the admin to sign in
+    (async () => {
+      const lastAttempt = Number(sessionStorage.getItem('adminRefreshAttempt') || 0);
+      if (Date.now() - lastAttempt > 30000) {
+        sessionStorage.setItem('adminRefreshAttempt', String(Date.now()));
+        const response = await fetch('/api/auth/refresh', { method: 'POST', credentials: 'same-origin' }).catch(() => null);
+        if (response && response.ok) return window.location.reload();
+      }
+      document.getElementById('message').innerHTML = 'Sign in to <a href="${FRONTEND_URL}">Fire Interview Coach</a> with an admin account, then reload this page.';
+    })();
+  </script>
+</body>
+</html>
+  `;
+}
+
 // Root route
 app.get('/', (req, res) => {
   res.json({ 
@@ -122,12 +277,20 @@ app.get('/', (req, res) => {
         google: 'POST /api/auth/google',
         profile: 'PUT /api/auth/profile',
         purchaseHistory: 'GET /api/auth/purchase-history',
-        deleteAccount: 'DELETE /api/auth/delete-account'
+        deleteAccount: 'DELETE /api/auth/delete-account',
+        forgotPassword: 'POST /api/auth/forgot-password (email)',
+        resetPassword: 'POST /api/auth/reset-password (token, password)',
+        verifyEmail: 'GET /api/auth/verify-email?token=',
+        resendVerification: 'POST /api/auth/resend-verification (auth required)',
+        refresh: 'POST /api/auth/refresh (refreshToken cookie; rotates it)',
+        logoutAll: 'POST /api/auth/logout-all (auth required; signs out every device)',
+        sessions: 'GET /api/auth/sessions, DELETE /api/auth/sessions/:id (auth required)',
+        identities: 'GET /api/auth/identities, POST /api/auth/identities/google, DELETE /api/auth/identities/:provider (auth required; provider "email" removes the password)'
       },
       analytics: {
         visit: 'POST /api/analytics/visit',
         question: 'POST /api/analytics/question',
-        dashboard: 'GET /api/analytics/dashboard?secret=YOUR_SECRET'
+        dashboard: 'GET /api/analytics/dashboard[?format=json] (admin role required)'
       },
       credits: {
         createCheckout: 'POST /api/credits/create-checkout-session',
@@ -140,12 +303,28 @@ app.get('/', (req, res) => {
       question: 'POST /api/question',
       followup: 'POST /api/followup',
       analyze: 'POST /api/analyze-answer',
+      analyzeStream: 'POST /api/analyze-answer/stream (Server-Sent Events)',
+      modelAnswer: 'POST /api/model-answer (auth required; STAR exemplar from the resume, with the key points the answer missed)',
       parseResume: 'POST /api/parse-resume',
       tts: 'POST /api/tts',
+      transcribe: 'POST /api/transcribe?trialCreditsRemaining= (raw audio body, e.g. audio/webm; returns transcript, word timings and delivery metrics; credits required, rate limited per IP)',
       researchCity: 'POST /api/research-city',
+      departmentFacts: 'GET /api/department-facts?country=&stateProvince=&city=&departmentName=',
       searchLocation: 'POST /api/search-location',
       feedback: 'POST /api/feedback',
-      areasToWorkOn: 'POST /api/areas-to-work-on (generate), GET /api/areas-to-work-on (retrieve)'
+      areasToWorkOn: 'POST /api/areas-to-work-on (generate), GET /api/areas-to-work-on (retrieve)',
+      history: 'GET /api/history?page=1&limit=20&category=&from=&to=',
+      progress: 'GET /api/progress?weeks=12&tzOffset= (auth required)',
+      studyPlan: 'POST /api/study-plan (interviewDate, sessionId, tzOffset); POST /api/question with practiceMode "plan" follows today\'s plan',
+      recordings: 'GET/POST /api/recordings (raw video body, e.g. video/webm), PATCH/DELETE /api/recordings/:id, GET /api/recordings/:id/video (auth required)',
+      adminQuestions: 'GET/POST /api/admin/questions, GET/PUT/DELETE /api/admin/questions/:id, GET /api/admin/questions/export?format=csv|json, POST /api/admin/questions/import, GET /api/admin/questions/editor (admin role required)',
+      questionPacks: 'GET /api/question-packs/coverage (auth required), GET/POST /api/admin/question-packs, GET/PUT /api/admin/question-packs/:id, POST /api/admin/question-packs/:id/questions, GET /api/admin/question-packs/:id/coverage?userId= (admin routes require the admin role)',
+      departmentResearch: 'GET /api/admin/department-research, PUT /api/admin/department-research/override, POST /api/admin/department-research/:id/expire (admin role required)',
+      adminAccounts: 'GET /api/admin/find-accounts?email=, POST /api/admin/merge-accounts, POST /api/admin/merge-accounts/:auditLogId/undo, PUT /api/admin/users/:id/role (admin role required)',
+      adminAuditLog: 'GET /api/admin/audit-log?actorUserId=&userId=&action=&page=&limit= (admin role required; HTML viewer in the browser, JSON with ?format=json)',
+      departmentQuiz: 'GET /api/quiz/cards?sessionId=, POST /api/quiz/answers (auth required)',
+      reviewQueue: 'GET /api/review-queue[?due=true], POST /api/review-queue (flag), DELETE /api/review-queue/:id',
+      mockInterviews: 'POST /api/mock-interviews (start), GET /api/mock-interviews[/:id], POST /api/mock-interviews/:id/answers, POST /api/mock-interviews/:id/complete'
     },
     message: 'API is running. Use the endpoints above to interact with the service.'
   });
@@ -170,18 +349,109 @@ app.get('/api/config', (req, res) => {
   });
 });
 
-// GET /api/analytics/check-secret - Check if analytics secret is configured (for debugging)
-app.get('/api/analytics/check-secret', (req, res) => {
-  const isConfigured = !!ANALYTICS_SECRET && ANALYTICS_SECRET !== 'change-this-secret-key-for-analytics';
-  res.json({
-    configured: isConfigured,
-    secretLength: ANALYTICS_SECRET ? ANALYTICS_SECRET.length : 0,
-    firstChars: ANALYTICS_SECRET ? ANALYTICS_SECRET.substring(0, 8) + '...' : 'not set',
-    hint: isConfigured ? 'Secret is configured. Use it in the dashboard URL.' : 'ANALYTICS_SECRET not set or using default value. Set it in Render environment variables.'
+// ========== AUTHENTICATION ENDPOINTS ==========
+
+// Access tokens live in the authToken cookie for ACCESS_TOKEN_TTL_SECONDS; the refresh token cookie is only sent to /api/auth
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+function authCookieOptions(maxAge, path = '/') {
+  return {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
+    maxAge,
+    path,
+    domain: process.env.NODE_ENV === 'production' ? '.onrender.com' : undefined
+  };
+}
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { userId: user.id, email: user.email, sid: sessionId },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  );
+}
+
+function setAuthCookies(res, token, refreshToken = null, refreshExpiresAt = null) {
+  res.cookie('authToken', token, authCookieOptions(ACCESS_TOKEN_TTL_SECONDS * 1000));
+  if (refreshToken) {
+    res.cookie('refreshToken', refreshToken, authCookieOptions(new Date(refreshExpiresAt).getTime() - Date.now(), REFRESH_COOKIE_PATH));
+  }
+}
+
+function clearAuthCookies(res) {
+  // clearCookie must not get maxAge, or Express sets a fresh expiry instead of clearing
+  const { maxAge, ...options } = authCookieOptions(0);
+  res.clearCookie('authToken', options);
+  res.clearCookie('refreshToken', { ...options, path: REFRESH_COOKIE_PATH });
+}
+
+// Start a session (one signed-in device) for the user and set its cookies.
+// Returns { token } for the response body; the refresh token is only ever sent as the httpOnly cookie.
+async function startSession(req, res, user, { rememberMe = false, expiresAt = null } = {}) {
+  const sessionId = crypto.randomUUID();
+  const { refreshToken, tokenHash } = createRefreshToken(sessionId);
+  const sessionExpiresAt = expiresAt || refreshTokenExpiry(rememberMe);
+  await UserSession.create({
+    id: sessionId,
+    userId: user.id,
+    tokenHash,
+    userAgent: req.headers['user-agent'] || null,
+    ipHash: hashIP(getClientIP(req)),
+    rememberMe: !!rememberMe,
+    expiresAt: sessionExpiresAt
   });
-});
+  const token = signAccessToken(user, sessionId);
+  setAuthCookies(res, token, refreshToken, sessionExpiresAt);
+  return { token };
+}
 
-// ========== AUTHENTICATION ENDPOINTS ==========
+function readRefreshToken(req) {
+  return req.cookies?.refreshToken || null;
+}
+
+// Session id of the request, from the refresh token or the (possibly expired) access token
+function requestSessionId(req) {
+  const refreshToken = readRefreshToken(req);
+  if (refreshToken) return refreshToken.split('.')[0];
+  const token = req.cookies?.authToken || req.headers?.authorization?.split(' ')[1];
+  if (!token) return null;
+  try {
+    return jwt.verify(token, JWT_SECRET, { ignoreExpiration: true }).sid || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Issue a password reset / verification link for the user and email it.
+// Returns false without sending when the account already requested too many links this hour.
+async function sendAuthLink(user, purpose) {
+  const recent = await AuthToken.countRecent(user.id, purpose, new Date(Date.now() - 60 * 60 * 1000));
+  if (recent >= MAX_TOKENS_PER_HOUR) {
+    console.warn(`[AUTH LINK] ${purpose} limit reached for user ${user.id} - not sending`);
+    return false;
+  }
+
+  const { token, tokenId, expiresAt } = createLinkToken(JWT_SECRET, { userId: user.id, purpose });
+  await AuthToken.create(user.id, { purpose, tokenId, email: user.email, expiresAt });
+  const email = buildAuthEmail(purpose, { name: user.name, link: buildLinkUrl(FRONTEND_URL, purpose, token) });
+  const sent = await mailer.send({ to: user.email, ...email });
+  console.log(`[AUTH LINK] Sent ${purpose} email to user ${user.id} via ${mailer.name} (${sent.id})`);
+  return true;
+}
+
+// Check a link token and mark it used. Returns the user, or null when the link is invalid, expired,
+// already used, or was issued for an email address the account no longer has.
+async function consumeAuthLink(token, purpose) {
+  const verified = verifyLinkToken(JWT_SECRET, token, purpose);
+  if (!verified) return null;
+  const row = await AuthToken.consume(verified.tokenId, purpose);
+  if (!row || row.user_id !== verified.userId) return null;
+  const user = await User.findById(row.user_id);
+  if (!user || user.email.toLowerCase() !== row.email.toLowerCase()) return null;
+  return user;
+}
 
 // POST /api/auth/signup
 app.post('/api/auth/signup', async (req, res) => {
@@ -239,24 +509,8 @@ app.post('/api/auth/signup', async (req, res) => {
       await User.addCredits(user.id, trialCredits, 'Trial credits transferred on signup');
     }
     
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      JWT_SECRET,
-      { expiresIn: '30d' }
-    );
-    
-    // Set cookie
-    const cookieOptions = {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
-      maxAge: 30 * 24 * 60 * 60 * 1000, // 30 days
-      path: '/',
-      domain: process.env.NODE_ENV === 'production' ? '.onrender.com' : undefined
-    };
-    
-    res.cookie('authToken', token, cookieOptions);
+    // Start a session: short-lived access token plus refresh token (both also set as cookies)
+    const { token } = await startSession(req, res, user);
     
     // Save onboarding data if provided (from pre-signup onboarding)
     if (onboardingData) {
@@ -269,6 +523,13 @@ app.post('/api/auth/signup', async (req, res) => {
       }
     }
     
+    // Ask the new user to confirm their address (a mail failure shouldn't fail signup; they can resend)
+    try {
+      await sendAuthLink(user, 'email_verification');
+    } catch (mailError) {
+      console.error('Error sending verification email on signup:', mailError);
+    }
+    
     // Refresh user from database to get latest credits after any updates
     const freshUser = await User.findById(user.id);
     const onboardingDataResponse = await User.getOnboardingData(user.id);
@@ -279,7 +540,9 @@ app.post('/api/auth/signup', async (req, res) => {
         id: freshUser.id,
         email: freshUser.email,
         name: freshUser.name,
-        credits_balance: freshUser.credits_balance
+        credits_balance: freshUser.credits_balance,
+        emailVerified: !!freshUser.email_verified_at,
+        hasPassword: !!freshUser.password_hash
       },
       onboardingData: onboardingDataResponse,
       token // Include token in response for localStorage fallback
@@ -353,26 +616,8 @@ app.post('/api/auth/login', async (req, res) => {
       console.log(`[TRIAL CREDITS] Skipped transfer - user ${user.id} already has ${user.credits_balance} credits`);
     }
     
-    // Generate JWT token with extended expiration if "Remember Me" is checked
-    const tokenExpiration = rememberMe ? '365d' : '30d'; // 1 year if remember me, 30 days otherwise
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      JWT_SECRET,
-      { expiresIn: tokenExpiration }
-    );
-    
-    // Set cookie with extended expiration if "Remember Me" is checked
-    const cookieMaxAge = rememberMe ? 365 * 24 * 60 * 60 * 1000 : 30 * 24 * 60 * 60 * 1000; // 1 year or 30 days
-    const cookieOptions = {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
-      maxAge: cookieMaxAge,
-      path: '/',
-      domain: process.env.NODE_ENV === 'production' ? '.onrender.com' : undefined
-    };
-    
-    res.cookie('authToken', token, cookieOptions);
+    // Start a session; "Remember Me" keeps the refresh token for a year instead of 30 days
+    const { token } = await startSession(req, res, user, { rememberMe });
     
     // Refresh user from database to get latest credits after any updates
     const freshUser = await User.findById(user.id);
@@ -384,7 +629,9 @@ app.post('/api/auth/login', async (req, res) => {
         id: freshUser.id,
         email: freshUser.email,
         name: freshUser.name,
-        credits_balance: freshUser.credits_balance
+        credits_balance: freshUser.credits_balance,
+        emailVerified: !!freshUser.email_verified_at,
+        hasPassword: !!freshUser.password_hash
       },
       onboardingData: onboardingData,
       token // Include token in response for localStorage fallback
@@ -395,139 +642,360 @@ app.post('/api/auth/login', async (req, res) => {
   }
 });
 
-// POST /api/auth/logout
-app.post('/api/auth/logout', (req, res) => {
-  res.clearCookie('authToken');
+// POST /api/auth/refresh - Exchange a refresh token for a new access token and a rotated refresh token
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const refreshToken = readRefreshToken(req);
+    if (!refreshToken) {
+      return res.status(401).json({ error: 'Refresh token required' });
+    }
+
+    const session = await UserSession.findById(refreshToken.split('.')[0]);
+    if (!session || session.revoked_at || new Date(session.expires_at) <= new Date()) {
+      clearAuthCookies(res);
+      return res.status(401).json({ error: 'Session expired or signed out' });
+    }
+    const user = await User.findById(session.user_id);
+    if (!user) {
+      clearAuthCookies(res);
+      return res.status(401).json({ error: 'Session expired or signed out' });
+    }
+
+    const presentedHash = hashRefreshToken(refreshToken);
+    if (session.token_hash !== presentedHash) {
+      if (isGraceReuse(session, presentedHash)) {
+        // Another tab refreshed a moment ago and already holds the new refresh token
+        await UserSession.touch(session.id);
+        const token = signAccessToken(user, session.id);
+        setAuthCookies(res, token);
+        return res.json({ success: true, token });
+      }
+      // A refresh token that was already rotated away came back: someone else has a copy
+      await UserSession.revoke(session.id, 'token_reuse');
+      console.warn(`[REFRESH] Refresh token reuse on session ${session.id} (user ${user.id}) - session revoked`);
+      clearAuthCookies(res);
+      return res.status(401).json({ error: 'Session expired or signed out' });
+    }
+
+    const next = createRefreshToken(session.id);
+    const rotated = await UserSession.rotate(session.id, presentedHash, next.tokenHash);
+    const token = signAccessToken(user, session.id);
+    if (!rotated) {
+      // Lost a race with a concurrent refresh of the same token
+      setAuthCookies(res, token);
+      return res.json({ success: true, token });
+    }
+    setAuthCookies(res, token, next.refreshToken, session.expires_at);
+    res.json({ success: true, token });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ error: 'Failed to refresh session', message: error.message });
+  }
+});
+
+// POST /api/auth/logout - Sign out this device (revokes its session)
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    const sessionId = requestSessionId(req);
+    if (sessionId) {
+      await UserSession.revoke(sessionId, 'logout');
+    }
+  } catch (error) {
+    // Still clear the cookies; the session expires on its own
+    console.error('Logout session error:', error);
+  }
+  clearAuthCookies(res);
   res.json({ success: true, message: 'Logged out successfully' });
 });
 
-// POST /api/auth/google - Google OAuth sign-in
-app.post('/api/auth/google', async (req, res) => {
+// POST /api/auth/logout-all - Sign out every device, including this one
+app.post('/api/auth/logout-all', authenticateToken, async (req, res) => {
   try {
-    console.log('Google auth request received');
-    const { idToken, accessToken, userInfo, trialCredits } = req.body;
-    
-    // Check if Google OAuth is configured
-    if (!GOOGLE_CLIENT_ID || !googleClient) {
-      console.error('Google OAuth not configured - GOOGLE_CLIENT_ID:', !!GOOGLE_CLIENT_ID, 'googleClient:', !!googleClient);
-      return res.status(500).json({ error: 'Google OAuth not configured on server' });
+    const revoked = await UserSession.revokeAllForUser(req.user.userId, 'logout_all');
+    console.log(`[LOGOUT ALL] Revoked ${revoked} sessions for user ${req.user.userId}`);
+    clearAuthCookies(res);
+    res.json({ success: true, revoked });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Failed to sign out everywhere', message: error.message });
+  }
+});
+
+// GET /api/auth/sessions - Signed-in devices
+app.get('/api/auth/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await UserSession.listActive(req.user.userId);
+    res.json({
+      sessions: sessions.map(session => ({
+        id: session.id,
+        device: describeDevice(session.user_agent),
+        userAgent: session.user_agent,
+        rememberMe: session.remember_me,
+        createdAt: session.created_at,
+        lastUsedAt: session.last_used_at,
+        expiresAt: session.expires_at,
+        current: session.id === req.user.sid
+      }))
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({ error: 'Failed to list sessions', message: error.message });
+  }
+});
+
+// DELETE /api/auth/sessions/:id - Sign out one device
+app.delete('/api/auth/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await UserSession.revoke(req.params.id, 'revoked', req.user.userId);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
     }
-    
-    let email, name, providerId;
-    
-    // Support both ID token (preferred) and access token (fallback)
-    if (idToken) {
-      console.log('Verifying ID token...');
-      try {
-        const ticket = await googleClient.verifyIdToken({
-          idToken,
-          audience: GOOGLE_CLIENT_ID
-        });
-        
-        const payload = ticket.getPayload();
-        providerId = payload.sub;
-        email = payload.email;
-        name = payload.name;
-        console.log('ID token verified - email:', email, 'name:', name);
-      } catch (verifyError) {
-        console.error('ID token verification failed:', verifyError);
-        return res.status(401).json({ error: 'Invalid ID token', message: verifyError.message });
-      }
-    } else if (accessToken && userInfo) {
-      console.log('Verifying access token...');
-      // Fallback: verify access token and use userInfo
-      try {
-        const verifyRes = await fetchModule(`https://www.googleapis.com/oauth2/v1/tokeninfo?access_token=${accessToken}`);
-        if (!verifyRes.ok) {
-          const errorText = await verifyRes.text();
-          console.error('Token verification failed:', verifyRes.status, errorText);
-          return res.status(401).json({ error: 'Invalid access token' });
-        }
-        
-        const tokenInfo = await verifyRes.json();
-        providerId = tokenInfo.user_id || userInfo.id;
-        email = userInfo.email;
-        name = userInfo.name || (userInfo.given_name + ' ' + (userInfo.family_name || ''));
-        console.log('Access token verified - email:', email, 'name:', name);
-      } catch (error) {
-        console.error('Token verification error:', error);
-        return res.status(401).json({ error: 'Failed to verify access token', message: error.message });
-      }
+    const current = req.params.id === req.user.sid;
+    if (current) clearAuthCookies(res);
+    res.json({ success: true, current });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Failed to sign out session', message: error.message });
+  }
+});
+
+// POST /api/auth/forgot-password - Email a password reset link
+// Always answers the same way so the endpoint can't be used to find out which emails have accounts
+app.post('/api/auth/forgot-password', async (req, res) => {
+  try {
+    const email = typeof req.body.email === 'string' ? req.body.email.trim() : '';
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    const user = await User.findByEmail(email);
+    if (user && user.password_hash) {
+      await sendAuthLink(user, 'password_reset');
     } else {
-      console.error('Missing tokens - idToken:', !!idToken, 'accessToken:', !!accessToken, 'userInfo:', !!userInfo);
-      return res.status(400).json({ error: 'ID token or access token is required' });
+      console.log(`[FORGOT PASSWORD] No password account for "${email}" - nothing sent`);
     }
-    
-    if (!email) {
-      console.error('No email extracted from Google Sign-In');
-      return res.status(400).json({ error: 'Email is required from Google Sign-In' });
+
+    res.json({ success: true, message: 'If an account with a password exists for that email, a reset link is on its way.' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to send reset link', message: error.message });
+  }
+});
+
+// POST /api/auth/reset-password - Set a new password with a reset link token
+app.post('/api/auth/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!token || !password) {
+      return res.status(400).json({ error: 'Token and password are required' });
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const user = await consumeAuthLink(token, 'password_reset');
+    if (!user) {
+      return res.status(400).json({ error: 'This reset link is invalid, expired or already used. Please request a new one.' });
+    }
+
+    await User.setPassword(user.id, password);
+    // Receiving the link proves the user owns the address
+    await User.markEmailVerified(user.id);
+    await AuthToken.revoke(user.id, 'password_reset');
+    // Whoever knew the old password may still be signed in
+    const revokedSessions = await UserSession.revokeAllForUser(user.id, 'password_reset');
+    console.log(`[RESET PASSWORD] Password reset for user ${user.id} - signed out ${revokedSessions} sessions`);
+
+    res.json({ success: true, email: user.email, message: 'Your password has been reset. You can now log in.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Failed to reset password', message: error.message });
+  }
+});
+
+// GET /api/auth/verify-email - Confirm an email address with a verification link token
+app.get('/api/auth/verify-email', async (req, res) => {
+  try {
+    const { token } = req.query;
+    if (!token) {
+      return res.status(400).json({ error: 'Token is required' });
+    }
+
+    const user = await consumeAuthLink(token, 'email_verification');
+    if (!user) {
+      return res.status(400).json({ error: 'This verification link is invalid, expired or already used.' });
+    }
+
+    await User.markEmailVerified(user.id);
+    console.log(`[VERIFY EMAIL] Email verified for user ${user.id}`);
+    res.json({ success: true, email: user.email });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Failed to verify email', message: error.message });
+  }
+});
+
+// POST /api/auth/resend-verification - Email a new verification link to the logged-in user
+app.post('/api/auth/resend-verification', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user.email_verified_at) {
+      return res.json({ success: true, alreadyVerified: true });
+    }
+
+    const sent = await sendAuthLink(user, 'email_verification');
+    if (!sent) {
+      return res.status(429).json({ error: 'Too many verification emails requested. Please try again in an hour.' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Failed to send verification email', message: error.message });
+  }
+});
+
+// Verify a Google sign-in from the client: an ID token (preferred) or an access token plus userInfo (fallback).
+// Returns { profile: { providerId, email, name, emailVerified } }, or { status, body } for the error response.
+async function verifyGoogleSignIn({ idToken, accessToken, userInfo }) {
+  // Check if Google OAuth is configured
+  if (!GOOGLE_CLIENT_ID || !googleClient) {
+    console.error('Google OAuth not configured - GOOGLE_CLIENT_ID:', !!GOOGLE_CLIENT_ID, 'googleClient:', !!googleClient);
+    return { status: 500, body: { error: 'Google OAuth not configured on server' } };
+  }
+  
+  let email, name, providerId, emailVerified;
+  
+  // Support both ID token (preferred) and access token (fallback)
+  if (idToken) {
+    console.log('Verifying ID token...');
+    try {
+      const ticket = await googleClient.verifyIdToken({
+        idToken,
+        audience: GOOGLE_CLIENT_ID
+      });
+      
+      const payload = ticket.getPayload();
+      providerId = payload.sub;
+      email = payload.email;
+      name = payload.name;
+      emailVerified = payload.email_verified === true;
+      console.log('ID token verified - email:', email, 'name:', name);
+    } catch (verifyError) {
+      console.error('ID token verification failed:', verifyError);
+      return { status: 401, body: { error: 'Invalid ID token', message: verifyError.message } };
+    }
+  } else if (accessToken && userInfo) {
+    console.log('Verifying access token...');
+    // Fallback: verify access token and use userInfo
+    try {
+      const verifyRes = await fetchModule(`https://www.googleapis.com/oauth2/v1/tokeninfo?access_token=${accessToken}`);
+      if (!verifyRes.ok) {
+        const errorText = await verifyRes.text();
+        console.error('Token verification failed:', verifyRes.status, errorText);
+        return { status: 401, body: { error: 'Invalid access token' } };
+      }
+      
+      const tokenInfo = await verifyRes.json();
+      providerId = tokenInfo.user_id || userInfo.id;
+      // The email comes from Google's token info, not the client-supplied userInfo, since accounts are matched on it
+      email = tokenInfo.email || userInfo.email;
+      name = userInfo.name || (userInfo.given_name + ' ' + (userInfo.family_name || ''));
+      emailVerified = !!tokenInfo.email && (tokenInfo.verified_email === true || tokenInfo.verified_email === 'true');
+      console.log('Access token verified - email:', email, 'name:', name);
+    } catch (error) {
+      console.error('Token verification error:', error);
+      return { status: 401, body: { error: 'Failed to verify access token', message: error.message } };
     }
+  } else {
+    console.error('Missing tokens - idToken:', !!idToken, 'accessToken:', !!accessToken, 'userInfo:', !!userInfo);
+    return { status: 400, body: { error: 'ID token or access token is required' } };
+  }
+  
+  if (!email) {
+    console.error('No email extracted from Google Sign-In');
+    return { status: 400, body: { error: 'Email is required from Google Sign-In' } };
+  }
+  
+  if (!providerId) {
+    console.error('No provider ID extracted from Google Sign-In');
+    return { status: 400, body: { error: 'Provider ID is required from Google Sign-In' } };
+  }
+  
+  return { profile: { providerId: String(providerId), email, name, emailVerified } };
+}
+
+// POST /api/auth/google - Google OAuth sign-in
+app.post('/api/auth/google', async (req, res) => {
+  try {
+    console.log('Google auth request received');
+    const { trialCredits } = req.body;
     
-    if (!providerId) {
-      console.error('No provider ID extracted from Google Sign-In');
-      return res.status(400).json({ error: 'Provider ID is required from Google Sign-In' });
+    const verified = await verifyGoogleSignIn(req.body);
+    if (!verified.profile) {
+      return res.status(verified.status).json(verified.body);
     }
+    const { providerId, email, name, emailVerified: emailVerifiedByGoogle } = verified.profile;
     
-    // Find or create user
-    console.log('Looking up user by provider:', providerId);
-    let user = await User.findByProvider('google', providerId);
+    // Find the user this Google account is linked to
+    console.log('Looking up user by Google identity:', providerId);
+    const identity = await UserIdentity.find('google', providerId);
+    let user = identity ? await User.findById(identity.user_id) : null;
     
-    if (!user) {
-      console.log('User not found by provider, checking for existing email...');
+    if (user) {
+      console.log(`[GOOGLE AUTH] Existing user found - ID: ${user.id}, Email: ${user.email}, Credits: ${user.credits_balance}`);
+      await UserIdentity.touch(identity.id);
+    } else {
+      console.log('No linked Google identity, checking for existing email...');
       console.log(`[GOOGLE AUTH] Searching for email: "${email}"`);
       
-      // CRITICAL FIX: Use case-insensitive email lookup (now handled in User.findByEmail)
-      // This is the ROOT CAUSE - email lookups were case-sensitive, causing duplicate accounts
+      // Case-insensitive email lookup (handled in User.findByEmail) - case-sensitive lookups used to create duplicate accounts
       const existingUser = await User.findByEmail(email);
       
       if (existingUser) {
-        console.log(`[GOOGLE AUTH] ✅ FOUND EXISTING ACCOUNT - User ID: ${existingUser.id}, Email: ${existingUser.email}, Provider: ${existingUser.provider}, Credits: ${existingUser.credits_balance}`);
-        
-        // CRITICAL: Link Google account to existing account if it's the same email
-        // This handles the case where user signed in with Google on computer, then phone
-        if (existingUser.provider === 'google') {
-          // Same email, same provider, but different provider_id - update the provider_id to link accounts
-          // This allows the same Google account to work across devices
-          console.log(`[GOOGLE AUTH] Linking Google account - updating provider_id for existing user ${existingUser.id} (old: ${existingUser.provider_id}, new: ${providerId})`);
-          const { query } = require('./db');
-          await query('UPDATE users SET provider_id = $1 WHERE id = $2', [providerId, existingUser.id]);
-          
-          // Refresh user to get updated data
-          user = await User.findById(existingUser.id);
-          console.log(`[GOOGLE AUTH] ✅ Account linked successfully - User ID: ${user.id}, Credits: ${user.credits_balance}`);
-        } else if (existingUser.provider === 'email') {
-          // Email/password account exists - link Google to it
-          console.log(`[GOOGLE AUTH] Linking Google account to existing email/password account ${existingUser.id}`);
-          const { query } = require('./db');
-          await query('UPDATE users SET provider = $1, provider_id = $2 WHERE id = $3', ['google', providerId, existingUser.id]);
-          
-          // Refresh user to get updated data
-          user = await User.findById(existingUser.id);
-          console.log(`[GOOGLE AUTH] ✅ Account linked successfully - User ID: ${user.id}, Credits: ${user.credits_balance}`);
-        } else {
-          // Different provider - block to prevent account confusion
-          console.log(`[GOOGLE AUTH] Email exists with different provider ${existingUser.provider} - blocking`);
-          return res.status(409).json({ 
-            error: 'An account with this email already exists with a different sign-in method.',
-            credits_preserved: existingUser.credits_balance
+        // Same email: link Google to the existing account only when Google vouches for the address.
+        // Otherwise the owner has to sign in and link Google from Settings (/api/auth/identities/google).
+        if (!emailVerifiedByGoogle) {
+          console.log(`[GOOGLE AUTH] Not linking to user ${existingUser.id} - Google has not verified ${email}`);
+          return res.status(409).json({
+            error: 'An account with this email already exists. Sign in with your password, then link Google in Settings.',
+            code: 'ACCOUNT_EXISTS'
           });
         }
+        
+        console.log(`[GOOGLE AUTH] ✅ FOUND EXISTING ACCOUNT - User ID: ${existingUser.id}, Email: ${existingUser.email}, Credits: ${existingUser.credits_balance} - linking Google identity`);
+        // An unconfirmed account's password may have been set by someone else who signed up with this
+        // address first (account pre-hijacking): drop it, its reset links and its sessions before linking.
+        if (!existingUser.email_verified_at && existingUser.password_hash) {
+          await User.clearPassword(existingUser.id);
+          await AuthToken.revoke(existingUser.id, 'password_reset');
+          const revokedSessions = await UserSession.revokeAllForUser(existingUser.id, 'unverified_password_removed');
+          console.log(`[GOOGLE AUTH] Removed unverified password of user ${existingUser.id} and revoked ${revokedSessions} sessions`);
+        }
+        await UserIdentity.create(existingUser.id, { provider: 'google', providerUserId: providerId, email });
+        user = existingUser;
       } else {
         // No existing user found - create new one
         console.log(`[GOOGLE AUTH] No existing account found for email "${email}" - creating new account`);
         try {
           user = await User.create(email, null, name || email.split('@')[0], 'google', providerId);
+          await UserIdentity.create(user.id, { provider: 'google', providerUserId: providerId, email });
           console.log(`[GOOGLE AUTH] New user created - ID: ${user.id}, Email: ${user.email}, Credits: ${user.credits_balance}`);
         } catch (createError) {
           console.error('User creation failed:', createError);
           return res.status(500).json({ error: 'Failed to create user', message: createError.message });
         }
       }
-    } else {
-      console.log(`[GOOGLE AUTH] Existing user found - ID: ${user.id}, Email: ${user.email}, Credits: ${user.credits_balance}`);
-      // CRITICAL: Refresh user from database to ensure we have latest credits
-      user = await User.findById(user.id);
-      console.log(`[GOOGLE AUTH] Refreshed user credits: ${user.credits_balance}`);
+    }
+    
+    // CRITICAL: Refresh user from database to ensure we have latest credits
+    user = await User.findById(user.id);
+    
+    // Google has already confirmed the address
+    if (emailVerifiedByGoogle && !user.email_verified_at) {
+      user = await User.markEmailVerified(user.id);
     }
     
     // Handle referral code if provided (for new signups via Google)
@@ -582,24 +1050,9 @@ app.post('/api/auth/google', async (req, res) => {
       console.log(`[GOOGLE AUTH] SKIPPING trial credit transfer - user already has ${user.credits_balance} credits (trial credits: ${trialCredits})`);
     }
     
-    // Generate JWT token
-    console.log('Generating JWT token...');
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      JWT_SECRET,
-      { expiresIn: '30d' }
-    );
-    
-    // Set cookie
-    const cookieOptions = {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
-      maxAge: 30 * 24 * 60 * 60 * 1000, // 30 days
-      path: '/'
-    };
-    
-    res.cookie('authToken', token, cookieOptions);
+    // Start a session
+    console.log('Starting session...');
+    const { token } = await startSession(req, res, user);
     
     // Refresh user from database to get latest credits after any updates
     const freshUser = await User.findById(user.id);
@@ -611,7 +1064,8 @@ app.post('/api/auth/google', async (req, res) => {
         email: freshUser.email,
         name: freshUser.name,
         credits_balance: freshUser.credits_balance,
-        provider: freshUser.provider
+        provider: freshUser.provider,
+        hasPassword: !!freshUser.password_hash
       },
       token
     });
@@ -622,33 +1076,142 @@ app.post('/api/auth/google', async (req, res) => {
   }
 });
 
-// GET /api/auth/me
-app.get('/api/auth/me', authenticateToken, async (req, res) => {
+// Sign-in methods of the account: the password (on users) plus linked external identities
+async function listSignInMethods(user) {
+  const identities = await UserIdentity.listForUser(user.id);
+  return {
+    hasPassword: !!user.password_hash,
+    identities: identities.map(identity => ({
+      id: identity.id,
+      provider: identity.provider,
+      email: identity.email,
+      linkedAt: identity.created_at,
+      lastUsedAt: identity.last_used_at
+    }))
+  };
+}
+
+// GET /api/auth/identities - Sign-in methods linked to the account
+app.get('/api/auth/identities', authenticateToken, async (req, res) => {
   try {
     const user = await User.findById(req.user.userId);
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
-    
-    // Log credits for debugging
-    console.log(`[AUTH/ME] User ${user.id} (${user.email}) - Credits: ${user.credits_balance}`);
-    
-    res.json({
-      id: user.id,
-      email: user.email,
-      name: user.name,
-      credits_balance: user.credits_balance,
-      provider: user.provider || 'email',
-      created_at: user.created_at
-    });
+    res.json(await listSignInMethods(user));
   } catch (error) {
-    console.error('Get user error:', error);
-    res.status(500).json({ error: 'Failed to get user', message: error.message });
+    console.error('List identities error:', error);
+    res.status(500).json({ error: 'Failed to list sign-in methods', message: error.message });
   }
 });
 
-// PUT /api/auth/profile - Update user profile
-app.put('/api/auth/profile', authenticateToken, async (req, res) => {
+// POST /api/auth/identities/google - Link a Google account to the logged-in user (same body as /api/auth/google)
+app.post('/api/auth/identities/google', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const verified = await verifyGoogleSignIn(req.body);
+    if (!verified.profile) {
+      return res.status(verified.status).json(verified.body);
+    }
+    const { providerId, email, emailVerified } = verified.profile;
+    
+    const existing = await UserIdentity.find('google', providerId);
+    if (existing && existing.user_id !== user.id) {
+      return res.status(409).json({ error: 'This Google account is already linked to a different account.' });
+    }
+    if (!existing) {
+      const linked = (await UserIdentity.listForUser(user.id)).find(identity => identity.provider === 'google');
+      if (linked) {
+        return res.status(409).json({ error: `Another Google account${linked.email ? ` (${linked.email})` : ''} is already linked. Unlink it first.` });
+      }
+      await UserIdentity.create(user.id, { provider: 'google', providerUserId: providerId, email });
+      console.log(`[IDENTITIES] Linked Google account ${email} to user ${user.id}`);
+    }
+    
+    // Google confirmed the address, so it counts as verified when it's the account's own email
+    if (emailVerified && email.toLowerCase() === user.email.toLowerCase() && !user.email_verified_at) {
+      await User.markEmailVerified(user.id);
+    }
+    
+    res.json({ success: true, alreadyLinked: !!existing, ...(await listSignInMethods(user)) });
+  } catch (error) {
+    console.error('Link identity error:', error);
+    res.status(500).json({ error: 'Failed to link Google account', message: error.message });
+  }
+});
+
+// DELETE /api/auth/identities/:provider - Unlink a sign-in method ("email" removes the password)
+app.delete('/api/auth/identities/:provider', authenticateToken, async (req, res) => {
+  try {
+    const { provider } = req.params;
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const methods = await listSignInMethods(user);
+    const isLinked = provider === 'email'
+      ? methods.hasPassword
+      : methods.identities.some(identity => identity.provider === provider);
+    if (!isLinked) {
+      return res.status(404).json({ error: `No ${provider} sign-in is linked to this account` });
+    }
+    
+    const remaining = (methods.hasPassword ? 1 : 0) + methods.identities.length - (provider === 'email' ? 1 : methods.identities.filter(identity => identity.provider === provider).length);
+    if (remaining < 1) {
+      return res.status(400).json({ error: 'You need at least one way to sign in. Link another sign-in method before removing this one.' });
+    }
+    
+    if (provider === 'email') {
+      await User.clearPassword(user.id);
+      // A pending reset link would otherwise put the password back
+      await AuthToken.revoke(user.id, 'password_reset');
+    } else {
+      await UserIdentity.remove(user.id, provider);
+    }
+    console.log(`[IDENTITIES] Unlinked ${provider} sign-in from user ${user.id}`);
+    
+    res.json({ success: true, ...(await listSignInMethods(await User.findById(user.id))) });
+  } catch (error) {
+    console.error('Unlink identity error:', error);
+    res.status(500).json({ error: 'Failed to unlink sign-in method', message: error.message });
+  }
+});
+
+// GET /api/auth/me
+app.get('/api/auth/me', authenticateToken, async (req, res) => {
+  try {
+    const user = await applyBootstrapAdmin(await User.findById(req.user.userId));
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    // Log credits for debugging
+    console.log(`[AUTH/ME] User ${user.id} (${user.email}) - Credits: ${user.credits_balance}`);
+    
+    res.json({
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      credits_balance: user.credits_balance,
+      provider: user.provider || 'email',
+      role: user.role || 'user',
+      hasPassword: !!user.password_hash,
+      emailVerified: !!user.email_verified_at,
+      created_at: user.created_at
+    });
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({ error: 'Failed to get user', message: error.message });
+  }
+});
+
+// PUT /api/auth/profile - Update user profile
+app.put('/api/auth/profile', authenticateToken, async (req, res) => {
   try {
     const { name, password, currentPassword } = req.body;
     const user = await User.findById(req.user.userId);
@@ -662,24 +1225,34 @@ app.put('/api/auth/profile', authenticateToken, async (req, res) => {
       await User.updateProfile(user.id, name);
     }
     
-    // Update password if provided (only for email/password users)
-    if (password && user.provider === 'email') {
-      if (!currentPassword) {
-        return res.status(400).json({ error: 'Current password is required to change password' });
+    // Update password if provided. Accounts without one (Google-only) can set a password,
+    // which links email/password sign-in alongside their other identities.
+    let signedOutSessions = 0;
+    if (password) {
+      if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
       }
       
-      const isValid = await User.verifyPassword(user, currentPassword);
-      if (!isValid) {
-        return res.status(401).json({ error: 'Current password is incorrect' });
+      if (user.password_hash) {
+        if (!currentPassword) {
+          return res.status(400).json({ error: 'Current password is required to change password' });
+        }
+        
+        const isValid = await User.verifyPassword(user, currentPassword);
+        if (!isValid) {
+          return res.status(401).json({ error: 'Current password is incorrect' });
+        }
       }
       
-      // Update password
-      const bcrypt = require('bcrypt');
-      const passwordHash = await bcrypt.hash(password, 10);
-      const { query } = require('./db');
-      await query('UPDATE users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2', [passwordHash, user.id]);
-    } else if (password && user.provider !== 'email') {
-      return res.status(400).json({ error: 'Password cannot be changed for OAuth accounts' });
+      await User.setPassword(user.id, password);
+      
+      if (user.password_hash) {
+        // Sign out every other device; this one stays signed in
+        signedOutSessions = await UserSession.revokeAllForUser(user.id, 'password_change', req.user.sid);
+        console.log(`[PROFILE] Password changed for user ${user.id} - signed out ${signedOutSessions} other sessions`);
+      } else {
+        console.log(`[PROFILE] Password set for user ${user.id} - email/password sign-in linked`);
+      }
     }
     
     // Refresh user data
@@ -692,8 +1265,12 @@ app.put('/api/auth/profile', authenticateToken, async (req, res) => {
         email: updatedUser.email,
         name: updatedUser.name,
         credits_balance: updatedUser.credits_balance,
-        provider: updatedUser.provider || 'email'
-      }
+        provider: updatedUser.provider || 'email',
+        role: updatedUser.role || 'user',
+        hasPassword: !!updatedUser.password_hash,
+        emailVerified: !!updatedUser.email_verified_at
+      },
+      signedOutSessions
     });
   } catch (error) {
     console.error('Update profile error:', error);
@@ -749,32 +1326,24 @@ app.delete('/api/auth/delete-account', authenticateToken, async (req, res) => {
     );
     console.log(`[DELETE ACCOUNT] Anonymized analytics visits for user ${userId}`);
     
+    // Uploaded answer videos live on disk; their rows go with the cascade below
+    const recordingKeys = await AnswerRecording.storageKeysForUser(userId);
+    for (const storageKey of recordingKeys) {
+      await deleteRecording(storageKey);
+    }
+    if (recordingKeys.length > 0) {
+      console.log(`[DELETE ACCOUNT] Deleted ${recordingKeys.length} answer recording(s) for user ${userId}`);
+    }
+    
     // 2. Delete user from database (CASCADE will automatically delete):
     //    - credit_ledger entries
     //    - transactions
     //    - referrals (where user is referrer or referred)
+    //    - session_profiles linked to the user
+    //    - answer_recordings
     await query('DELETE FROM users WHERE id = $1', [userId]);
     console.log(`[DELETE ACCOUNT] Deleted user ${userId} from database`);
     
-    // 3. Clean up in-memory userProfiles
-    // Since userProfiles are session-based, we can't directly match by user ID
-    // However, we can try to clean up profiles that might be associated
-    // Note: This is best-effort since sessionId is not directly linked to user ID
-    // The profiles will be cleared on server restart anyway
-    let profilesCleaned = 0;
-    for (const [sessionId, profile] of userProfiles.entries()) {
-      // If profile has email matching the deleted user, remove it
-      // Note: Most profiles don't store email, so this may not catch everything
-      // This is acceptable since profiles are temporary session data
-      if (profile.email && profile.email.toLowerCase() === user.email.toLowerCase()) {
-        userProfiles.delete(sessionId);
-        profilesCleaned++;
-      }
-    }
-    if (profilesCleaned > 0) {
-      console.log(`[DELETE ACCOUNT] Cleaned up ${profilesCleaned} in-memory profiles`);
-    }
-    
     console.log(`[DELETE ACCOUNT] Successfully deleted account for user ${userId} (${user.email})`);
     
     res.json({
@@ -1164,15 +1733,22 @@ app.get('/api/mapbox-search', async (req, res) => {
 });
 
 // POST /api/user-profile - Create or update user profile
-app.post('/api/user-profile', async (req, res) => {
+app.post('/api/user-profile', optionalAuth, async (req, res) => {
   try {
-    const { sessionId, name, city, stateProvince, country, departmentName, jobType, voicePreference, resumeText, resumeAnalysis, cityResearch } = req.body;
+    const { sessionId, name, city, stateProvince, country, departmentName, jobType, voicePreference, resumeText, resumeAnalysis, cityResearch, interviewDate } = req.body;
     
     if (!sessionId) {
       return res.status(400).json({ error: 'Session ID is required' });
     }
+    if (interviewDate && !normalizeInterviewDate(interviewDate)) {
+      return res.status(400).json({ error: 'interviewDate must be a date (YYYY-MM-DD)' });
+    }
     
-    const profile = updateUserProfile(sessionId, {
+    const existing = await getUserProfile(sessionId, req.user?.userId);
+    if (!canAccessProfile(existing, req.user?.userId)) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+    const profile = await updateUserProfile(sessionId, {
       name: name || null,
       city: city || null,
       stateProvince: stateProvince || null,
@@ -1182,8 +1758,14 @@ app.post('/api/user-profile', async (req, res) => {
       voicePreference: voicePreference || null,
       resumeText: resumeText || null,
       resumeAnalysis: resumeAnalysis || null,
-      cityResearch: cityResearch || null
+      cityResearch: cityResearch || null,
+      // Older clients don't send it; only clear the date when it is explicitly sent empty
+      interviewDate: interviewDate === undefined ? undefined : normalizeInterviewDate(interviewDate)
     });
+    // Keep the account's copy in step, so a cleared date doesn't come back from it (e.g. in /api/study-plan)
+    if (req.user && interviewDate !== undefined) {
+      await User.updateOnboardingData(req.user.userId, { interviewDate: normalizeInterviewDate(interviewDate) });
+    }
     
     res.json({ 
       success: true, 
@@ -1196,6 +1778,7 @@ app.post('/api/user-profile', async (req, res) => {
         departmentName: profile.departmentName,
         jobType: profile.jobType,
         voicePreference: profile.voicePreference,
+        interviewDate: profile.interviewDate,
         hasResume: !!profile.resumeText,
         hasCityResearch: !!profile.cityResearch,
         updatedAt: profile.updatedAt
@@ -1208,10 +1791,13 @@ app.post('/api/user-profile', async (req, res) => {
 });
 
 // GET /api/user-profile/:sessionId - Get user profile
-app.get('/api/user-profile/:sessionId', (req, res) => {
+app.get('/api/user-profile/:sessionId', optionalAuth, async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const profile = getUserProfile(sessionId);
+    const profile = await getUserProfile(sessionId, req.user?.userId);
+    if (!canAccessProfile(profile, req.user?.userId)) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
     
     res.json({
       sessionId: profile.sessionId,
@@ -1222,6 +1808,7 @@ app.get('/api/user-profile/:sessionId', (req, res) => {
       departmentName: profile.departmentName,
       jobType: profile.jobType,
       voicePreference: profile.voicePreference,
+      interviewDate: profile.interviewDate,
       hasResume: !!profile.resumeText,
       hasCityResearch: !!profile.cityResearch,
       conversationCount: profile.conversationHistory.length,
@@ -1235,6 +1822,51 @@ app.get('/api/user-profile/:sessionId', (req, res) => {
   }
 });
 
+// POST /api/study-plan - Build a day-by-day plan up to the interview date, weighted toward weak categories
+// The plan is saved on the session profile so Next Question can follow it (practiceMode "plan")
+app.post('/api/study-plan', optionalAuth, async (req, res) => {
+  try {
+    const { sessionId, interviewDate, tzOffset } = req.body;
+    if (!sessionId) {
+      return res.status(400).json({ error: 'Session ID is required' });
+    }
+    if (interviewDate && !normalizeInterviewDate(interviewDate)) {
+      return res.status(400).json({ error: 'interviewDate must be a date (YYYY-MM-DD)' });
+    }
+
+    let profile = await getUserProfile(sessionId, req.user?.userId);
+    const onboarding = req.user ? await User.getOnboardingData(req.user.userId) : null;
+    const date = normalizeInterviewDate(interviewDate) || profile.interviewDate || onboarding?.interviewDate || null;
+    if (!date) {
+      return res.status(400).json({ error: 'Interview date is required', message: 'Add your interview date to build a study plan.' });
+    }
+
+    const today = localToday(normalizeTzOffset(tzOffset));
+    if (daysBetween(today, date) < 1) {
+      return res.status(400).json({ error: 'Interview date must be in the future' });
+    }
+
+    const categoryScores = await InterviewAttempt.getCategoryAverages({ userId: req.user?.userId, sessionId });
+    const plan = buildStudyPlan({
+      interviewDate: date,
+      today,
+      categoryScores,
+      hasDepartment: !!(profile.departmentName || onboarding?.departmentName),
+      hasResume: !!(profile.resumeAnalysis || profile.resumeText || onboarding?.resumeAnalysis)
+    });
+
+    profile = await updateUserProfile(sessionId, { interviewDate: date, studyPlan: plan });
+    if (req.user && interviewDate) {
+      await User.updateOnboardingData(req.user.userId, { interviewDate: date });
+    }
+
+    res.json({ plan, today: findPlanDay(plan, today) });
+  } catch (error) {
+    console.error('Study plan error:', error);
+    res.status(500).json({ error: 'Failed to build study plan', message: error.message });
+  }
+});
+
 // GET /api/question-stats - Get question bank statistics
 app.get('/api/question-stats', (req, res) => {
   try {
@@ -1246,19 +1878,32 @@ app.get('/api/question-stats', (req, res) => {
   }
 });
 
+// Base category set we want to cycle through over a session (also used to plan mock interviews)
+const baseCategories = [
+  "Behavioural – High Stress",
+  "Behavioural – Conflict",
+  "Safety & Accountability",
+  "Medical / EMR",
+  "Teamwork",
+  "Community Focus",
+  "Resilience",
+  "Technical – Fireground"
+];
+
 // POST /api/question - Generate a new interview question
-app.post('/api/question', async (req, res) => {
+app.post('/api/question', optionalAuth, async (req, res) => {
   try {
-    const { sessionId, resumeText, resumeAnalysis, history, askedQuestions = [], askedCategories = [], practiceMode = "simulation", selectedCategory = "", onboardingData = null, questionType = null, difficulty = null, useQuestionBank = true } = req.body;
+    const { sessionId, resumeText, resumeAnalysis, history, askedQuestions = [], askedCategories = [], onboardingData = null, questionType = null, difficulty = null, useQuestionBank = true, tzOffset = 0 } = req.body;
+    let { practiceMode = "simulation", selectedCategory = "" } = req.body;
     
     // Get or create user profile
     let userProfile = null;
     if (sessionId) {
-      userProfile = getUserProfile(sessionId);
+      userProfile = await getUserProfile(sessionId, req.user?.userId);
       
       // Update profile with latest data if provided
       if (onboardingData) {
-        updateUserProfile(sessionId, {
+        userProfile = await updateUserProfile(sessionId, {
           name: onboardingData.name || userProfile.name,
           city: onboardingData.city || userProfile.city,
           stateProvince: onboardingData.stateProvince || userProfile.stateProvince,
@@ -1268,32 +1913,61 @@ app.post('/api/question', async (req, res) => {
           voicePreference: onboardingData.voicePreference || userProfile.voicePreference,
           cityResearch: onboardingData.cityResearch || userProfile.cityResearch
         });
-        userProfile = getUserProfile(sessionId); // Refresh
       }
       
       if (resumeText) {
-        updateUserProfile(sessionId, { resumeText });
-        userProfile = getUserProfile(sessionId);
+        userProfile = await updateUserProfile(sessionId, { resumeText });
       }
       
-    if (resumeAnalysis) {
-        updateUserProfile(sessionId, { resumeAnalysis });
-        userProfile = getUserProfile(sessionId);
+      if (resumeAnalysis) {
+        userProfile = await updateUserProfile(sessionId, { resumeAnalysis });
       }
       
       // Update conversation history
       if (history && history.length > 0) {
-        updateUserProfile(sessionId, { conversationHistory: history });
-        userProfile = getUserProfile(sessionId);
+        userProfile = await updateUserProfile(sessionId, { conversationHistory: history });
       }
       
       // Update asked questions and categories
       if (askedQuestions.length > 0 || askedCategories.length > 0) {
-        updateUserProfile(sessionId, { 
+        userProfile = await updateUserProfile(sessionId, { 
           askedQuestions: askedQuestions,
           askedCategories: askedCategories
         });
-        userProfile = getUserProfile(sessionId);
+      }
+    }
+    
+    // Review mode: serve the most overdue review-queue question instead of generating a new one
+    if (practiceMode === "review" && req.user) {
+      const [dueItem] = await ReviewQueue.getDue(req.user.userId, 1);
+      if (dueItem) {
+        const dueCount = await ReviewQueue.countDue(req.user.userId);
+        console.log(`[REVIEW QUEUE] Serving due question #${dueItem.id} to user ${req.user.userId} (${dueCount} due)`);
+        return res.json({
+          category: dueItem.category || 'Review',
+          template: dueItem.question,
+          tags: [],
+          type: null,
+          difficulty: difficulty || null,
+          isAI: false,
+          isFollowup: false,
+          isReview: true,
+          reviewId: dueItem.id,
+          dueCount: dueCount
+        });
+      }
+      // Nothing due - fall through to a freshly generated question
+    }
+    
+    // Study plan mode: drill one of today's planned categories; days without a plan fall back to the simulation rotation
+    let studyPlanDay = null;
+    if (practiceMode === "plan") {
+      studyPlanDay = findPlanDay(userProfile?.studyPlan, localToday(normalizeTzOffset(tzOffset)));
+      const planCategory = pickPlanCategory(studyPlanDay, userProfile?.askedCategories || askedCategories);
+      practiceMode = planCategory ? "specific" : "simulation";
+      selectedCategory = planCategory || "";
+      if (planCategory) {
+        console.log(`[STUDY PLAN] Day ${studyPlanDay.dayNumber}: drilling "${planCategory}"`);
       }
     }
     
@@ -1311,6 +1985,54 @@ app.post('/api/question', async (req, res) => {
     const profileAskedQuestions = userProfile?.askedQuestions || askedQuestions || [];
     const profileAskedCategories = userProfile?.askedCategories || askedCategories || [];
 
+    // Department packs: prefer unseen questions from a pack matching the candidate's department/city
+    if (useQuestionBank && (profileDepartmentName || profileCity)) {
+      try {
+        const packProfile = {
+          departmentName: profileDepartmentName,
+          city: profileCity,
+          stateProvince: profileStateProvince,
+          country: profileCountry
+        };
+        const packs = (await QuestionPack.findCandidates(packProfile)).filter(pack => packMatchesProfile(pack, packProfile));
+        
+        if (packs.length > 0) {
+          const packIds = packs.map(pack => pack.id);
+          const items = await QuestionPack.getItems(packIds);
+          const views = req.user ? await QuestionPack.getViews(req.user.userId, packIds) : [];
+          const packItem = pickPackQuestion(items, {
+            excludeQuestions: profileAskedQuestions,
+            seenItemIds: views.map(v => v.itemId),
+            category: practiceMode === "specific" && selectedCategory ? selectedCategory : null,
+            type: questionType || null
+          });
+          
+          if (packItem) {
+            const pack = packs.find(p => p.id === packItem.packId);
+            if (req.user) {
+              await QuestionPack.recordView(packItem.id, req.user.userId);
+            }
+            console.log(`[QUESTION PACKS] Serving pack question #${packItem.id} from "${pack.name}"`);
+            return res.json({
+              category: packItem.category,
+              template: packItem.question,
+              tags: [],
+              type: packItem.type,
+              difficulty: packItem.difficulty,
+              isAI: false,
+              isFollowup: false,
+              isDepartmentPack: true,
+              packId: pack.id,
+              packName: pack.name
+            });
+          }
+        }
+      } catch (error) {
+        console.error('[QUESTION PACKS] Error selecting pack question:', error);
+        // Fall through to a generated question
+      }
+    }
+
     // Build optimized resume context (summary only, no full JSON)
     // For Resume-Based questions, include more detail
     let resumeContext = "";
@@ -1365,18 +2087,6 @@ IMPORTANT: You MUST reference specific details from the above resume (job titles
     // Normalize asked categories (usually sent as lowercase from frontend)
     const normalizedAskedCategories = profileAskedCategories.map(c => String(c).toLowerCase());
 
-    // Base category set we want to cycle through over a session
-    const baseCategories = [
-      "Behavioural – High Stress",
-      "Behavioural – Conflict",
-      "Safety & Accountability",
-      "Medical / EMR",
-      "Teamwork",
-      "Community Focus",
-      "Resilience",
-      "Technical – Fireground"
-    ];
-
     const unusedCategories = baseCategories.filter(
       c => !normalizedAskedCategories.includes(c.toLowerCase())
     );
@@ -1855,8 +2565,7 @@ IMPORTANT: You MUST reference specific details from the above resume (job titles
       bankReferenceText = "";
     }
 
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
+    const response = await llm.chat('question', {
       messages: [
         {
           role: "system",
@@ -1946,8 +2655,11 @@ Format: "Category: [category]\nQuestion: [question text]"`
       category,
       template: question,
       tags: [],
+      type: questionTypeToUse,
+      difficulty: difficultyToUse,
       isAI: true,
-      isFollowup: false
+      isFollowup: false,
+      studyPlanCategory: studyPlanDay ? selectedCategory || null : null
     });
   } catch (error) {
     console.error('Error generating question:', error);
@@ -1955,21 +2667,17 @@ Format: "Category: [category]\nQuestion: [question text]"`
   }
 });
 
-// POST /api/followup - Generate a follow-up question
-app.post('/api/followup', async (req, res) => {
-  try {
-    const { lastQuestion, lastAnswer, history } = req.body;
-
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: [
-        {
-          role: "system",
-          content: "You are an expert firefighter interview panel member. Generate a followup question that digs deeper into the candidate's answer, just like a real panel would. Ask for clarification, more detail, or explore a related aspect."
-        },
-        {
-          role: "user",
-          content: `The candidate was asked: "${lastQuestion}"
+// Generate a panel-style followup that probes the candidate's last answer
+async function generateFollowupQuestion(lastQuestion, lastAnswer) {
+  const response = await llm.chat('followup', {
+    messages: [
+      {
+        role: "system",
+        content: "You are an expert firefighter interview panel member. Generate a followup question that digs deeper into the candidate's answer, just like a real panel would. Ask for clarification, more detail, or explore a related aspect."
+      },
+      {
+        role: "user",
+        content: `The candidate was asked: "${lastQuestion}"
 
 Their answer: "${lastAnswer.slice(0, 1000)}"
 
@@ -1982,16 +2690,26 @@ Generate a followup question that:
 Format: "Category: [category]\nQuestion: [question text]"
 
 Return ONLY the category and question.`
-        }
-      ]
-    });
+      }
+    ]
+  });
 
-    const content = response.choices[0].message.content;
-    const categoryMatch = content.match(/Category:\s*(.+)/i);
-    const questionMatch = content.match(/Question:\s*(.+)/is);
-    
-    const category = categoryMatch ? categoryMatch[1].trim() : "Followup";
-    const question = questionMatch ? questionMatch[1].trim() : content.trim();
+  const content = response.choices[0].message.content;
+  const categoryMatch = content.match(/Category:\s*(.+)/i);
+  const questionMatch = content.match(/Question:\s*(.+)/is);
+  
+  return {
+    category: categoryMatch ? categoryMatch[1].trim() : "Followup",
+    question: questionMatch ? questionMatch[1].trim() : content.trim()
+  };
+}
+
+// POST /api/followup - Generate a follow-up question
+app.post('/api/followup', async (req, res) => {
+  try {
+    const { lastQuestion, lastAnswer, history } = req.body;
+
+    const { category, question } = await generateFollowupQuestion(lastQuestion, lastAnswer);
 
     res.json({
       category,
@@ -2006,97 +2724,147 @@ Return ONLY the category and question.`
   }
 });
 
-// POST /api/analyze-answer - Analyze candidate's answer
-app.post('/api/analyze-answer', optionalAuth, async (req, res) => {
-  try {
-    const { question, answer, motionScore, resumeAnalysis, resumeText, conversationHistory = [], cityResearch, category, sessionId, questionCount, trialCreditsRemaining } = req.body;
-    
-    // Check credits: trial or paid
-    let hasPaidCredits = false;
-    let isTrialUser = false;
-    let canAccessDetailedFeedback = false;
-    
-    if (req.user) {
-      // Authenticated user - check paid credits
-      const user = await User.findById(req.user.userId);
-      if (user && user.credits_balance > 0) {
-        hasPaidCredits = true;
-        canAccessDetailedFeedback = true;
-      } else {
-        // Authenticated but no credits - need to purchase
-        return res.status(402).json({ 
-          error: 'NO_CREDITS',
-          message: 'You have no credits remaining. Please purchase credits to continue.',
-          requiresPayment: true
-        });
-      }
+// Credit check shared by /api/analyze-answer, /api/analyze-answer/stream and /api/transcribe.
+// Returns the caller's access level, or a `rejection` ({ status, body }) to send instead of analyzing.
+async function checkAnalysisCredits(req, trialCreditsRemaining) {
+  // Check credits: trial or paid
+  let hasPaidCredits = false;
+  let isTrialUser = false;
+  let canAccessDetailedFeedback = false;
+  
+  if (req.user) {
+    // Authenticated user - check paid credits
+    const user = await User.findById(req.user.userId);
+    if (user && user.credits_balance > 0) {
+      hasPaidCredits = true;
+      canAccessDetailedFeedback = true;
     } else {
-      // Anonymous user - check trial credits
-      const trialRemaining = trialCreditsRemaining !== undefined ? parseInt(trialCreditsRemaining) : 3;
-      if (trialRemaining > 0) {
-        isTrialUser = true;
-        canAccessDetailedFeedback = false; // Trial users never get detailed feedback
-      } else {
-        // Trial exhausted - need to sign up and purchase
-        return res.status(402).json({ 
-          error: 'NO_CREDITS',
-          message: 'You have used all 3 free sessions. Please sign up and purchase credits to continue.',
-          requiresPayment: true,
-          requiresSignup: true
-        });
-      }
+      // Authenticated but no credits - need to purchase
+      return { rejection: { status: 402, body: {
+        error: 'NO_CREDITS',
+        message: 'You have no credits remaining. Please purchase credits to continue.',
+        requiresPayment: true
+      } } };
+    }
+  } else {
+    // Anonymous user - check trial credits
+    const trialRemaining = trialCreditsRemaining !== undefined ? parseInt(trialCreditsRemaining) : 3;
+    if (trialRemaining > 0) {
+      isTrialUser = true;
+      canAccessDetailedFeedback = false; // Trial users never get detailed feedback
+    } else {
+      // Trial exhausted - need to sign up and purchase
+      return { rejection: { status: 402, body: {
+        error: 'NO_CREDITS',
+        message: 'You have used all 3 free sessions. Please sign up and purchase credits to continue.',
+        requiresPayment: true,
+        requiresSignup: true
+      } } };
     }
+  }
 
-    // Check if this is a knowledge-testing question (City & Department Specific)
-    const isKnowledgeQuestion = category === "City & Department Specific" ||
-                                question.toLowerCase().match(/^(who is|what is|how many|when was|what are)/) ||
-                                question.toLowerCase().includes('who is the') ||
-                                question.toLowerCase().includes('what is the') ||
-                                question.toLowerCase().includes('how many') ||
-                                question.toLowerCase().includes('when was');
+  return { hasPaidCredits, isTrialUser, canAccessDetailedFeedback };
+}
 
-    // Optimize resume context - send summary only, not full JSON
-    let resumeContext = "";
-    if (resumeAnalysis) {
-      const analysis = resumeAnalysis;
-      const jobs = (analysis.allJobs || analysis.workHistory || []).slice(0, 3);
-      resumeContext = `Resume: ${analysis.experience || 'N/A'} exp. Jobs: ${jobs.join("; ")}. Certs: ${Array.isArray(analysis.certifications) ? analysis.certifications.slice(0, 3).join(", ") : 'None'}. Skills: ${Array.isArray(analysis.skills) ? analysis.skills.slice(0, 5).join(", ") : 'General'}.`;
-    } else if (resumeText) {
-      // Only send first 300 chars if no analysis
-      resumeContext = `Resume: ${resumeText.substring(0, 300)}${resumeText.length > 300 ? "..." : ""}`;
-    }
-    
-    // Extract proper names from research data to help with transcript error matching
-    function extractProperNames(text) {
-      if (!text) return [];
-      // Look for patterns like "Mayor [Name]", "Chief [Name]", "[Name] is the", etc.
-      const namePatterns = [
-        /(?:Mayor|mayor|Mayor of)\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*)/gi,
-        /(?:Chief|chief|Fire Chief|fire chief|Fire Chief of)\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*)/gi,
-        /([A-Z][a-z]+\s+[A-Z][a-z]+)\s+(?:is|was|serves as|served as|the current|the)\s+(?:mayor|chief|fire chief|director|manager)/gi,
-        /(?:named|called|known as)\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*)/gi,
-        /(?:current|Current)\s+(?:mayor|chief|fire chief|director)\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*)/gi
-      ];
-      const names = new Set();
-      namePatterns.forEach(pattern => {
-        let match;
-        while ((match = pattern.exec(text)) !== null) {
-          if (match[1] && match[1].length > 2 && !match[1].match(/^(The|Current|Mayor|Chief|Fire|City|Department)$/i)) {
-            names.add(match[1].trim());
-          }
+// The attempt a "try again" answer retries, if it belongs to this user (or anonymous session) and is the same question.
+// Returns what the retry prompt and progress report need, or null.
+async function findPreviousAttempt(req) {
+  const { previousAttemptId, question, sessionId } = req.body;
+  if (!previousAttemptId) return null;
+
+  const attempt = await InterviewAttempt.findById(parseInt(previousAttemptId));
+  const isOwner = attempt && (attempt.user_id
+    ? attempt.user_id === req.user?.userId
+    : !!sessionId && attempt.session_id === sessionId);
+  if (!isOwner || attempt.question !== question) {
+    console.warn(`[ANALYZE] Ignoring previousAttemptId ${previousAttemptId}: not a matching attempt`);
+    return null;
+  }
+
+  const aiScore = attempt.ai_score || {};
+  return {
+    id: attempt.id,
+    answer: attempt.transcript,
+    overallScore: attempt.overall_score ?? null,
+    improvements: Array.isArray(aiScore.improvements) ? aiScore.improvements : []
+  };
+}
+
+// Prompt for answer analysis, plus the research facts a knowledge answer is verified against
+// (and, for a retry, the previous attempt it is compared with)
+async function buildAnswerAnalysisRequest(req) {
+  const { question, answer, motionScore, bodyLanguage, resumeAnalysis, resumeText, cityResearch, category, sessionId } = req.body;
+  const body = normalizeBodyLanguage(bodyLanguage);
+
+  let previousAttempt = null;
+  try {
+    previousAttempt = await findPreviousAttempt(req);
+  } catch (previousError) {
+    console.error('[ANALYZE] Error loading previous attempt:', previousError);
+  }
+  
+  // Check if this is a knowledge-testing question (City & Department Specific)
+  const isKnowledgeQuestion = category === "City & Department Specific" ||
+                              question.toLowerCase().match(/^(who is|what is|how many|when was|what are)/) ||
+                              question.toLowerCase().includes('who is the') ||
+                              question.toLowerCase().includes('what is the') ||
+                              question.toLowerCase().includes('how many') ||
+                              question.toLowerCase().includes('when was');
+
+  // Optimize resume context - send summary only, not full JSON
+  let resumeContext = "";
+  if (resumeAnalysis) {
+    const analysis = resumeAnalysis;
+    const jobs = (analysis.allJobs || analysis.workHistory || []).slice(0, 3);
+    resumeContext = `Resume: ${analysis.experience || 'N/A'} exp. Jobs: ${jobs.join("; ")}. Certs: ${Array.isArray(analysis.certifications) ? analysis.certifications.slice(0, 3).join(", ") : 'None'}. Skills: ${Array.isArray(analysis.skills) ? analysis.skills.slice(0, 5).join(", ") : 'General'}.`;
+  } else if (resumeText) {
+    // Only send first 300 chars if no analysis
+    resumeContext = `Resume: ${resumeText.substring(0, 300)}${resumeText.length > 300 ? "..." : ""}`;
+  }
+  
+  // Extract proper names from research data to help with transcript error matching
+  function extractProperNames(text) {
+    if (!text) return [];
+    // Look for patterns like "Mayor [Name]", "Chief [Name]", "[Name] is the", etc.
+    const namePatterns = [
+      /(?:Mayor|mayor|Mayor of)\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*)/gi,
+      /(?:Chief|chief|Fire Chief|fire chief|Fire Chief of)\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*)/gi,
+      /([A-Z][a-z]+\s+[A-Z][a-z]+)\s+(?:is|was|serves as|served as|the current|the)\s+(?:mayor|chief|fire chief|director|manager)/gi,
+      /(?:named|called|known as)\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*)/gi,
+      /(?:current|Current)\s+(?:mayor|chief|fire chief|director)\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*)/gi
+    ];
+    const names = new Set();
+    namePatterns.forEach(pattern => {
+      let match;
+      while ((match = pattern.exec(text)) !== null) {
+        if (match[1] && match[1].length > 2 && !match[1].match(/^(The|Current|Mayor|Chief|Fire|City|Department)$/i)) {
+          names.add(match[1].trim());
         }
-      });
-      return Array.from(names);
+      }
+    });
+    return Array.from(names);
+  }
+  
+  // Structured research facts (value + sources) for the candidate's department, from the research cache
+  let knowledgeFacts = [];
+  if (isKnowledgeQuestion) {
+    try {
+      const location = await getResearchLocation(sessionId, req.user?.userId);
+      knowledgeFacts = await getDepartmentFacts(location);
+    } catch (factsError) {
+      console.error('[ANALYZE] Error loading department facts:', factsError);
     }
-    
-    // Build knowledge verification context if this is a knowledge question
-    let knowledgeVerificationContext = "";
-    let properNamesList = "";
-    if (isKnowledgeQuestion && cityResearch) {
-      // Extract proper names from research data
-      const properNames = extractProperNames(cityResearch);
-      if (properNames.length > 0) {
-        properNamesList = `\n\n⚠️ CRITICAL - PROPER NAMES FROM RESEARCH DATA:
+  }
+  const researchData = knowledgeFacts.length > 0 ? formatFactsForVerification(knowledgeFacts) : cityResearch;
+  
+  // Build knowledge verification context if this is a knowledge question
+  let knowledgeVerificationContext = "";
+  let properNamesList = "";
+  if (isKnowledgeQuestion && researchData) {
+    // Extract proper names from research data
+    const properNames = extractProperNames(researchData);
+    if (properNames.length > 0) {
+      properNamesList = `\n\n⚠️ CRITICAL - PROPER NAMES FROM RESEARCH DATA:
 The following proper names appear in the research data. Speech transcripts OFTEN mis-transcribe these names. You MUST consider phonetically similar variations as CORRECT:
 
 ${properNames.map(name => `- Correct name: "${name}"`).join('\n')}
@@ -2111,12 +2879,12 @@ ONLY mark as INCORRECT if:
 - The name refers to a completely different person (e.g., research says "Ross Siemens" but transcript says "Mike Johnson")
 - The FACTS are wrong (wrong position, wrong department, etc.)
 - NOT if it's just a transcript/spelling variation of the same name`;
-      }
-      
-      knowledgeVerificationContext = `\n\nCRITICAL: This is a KNOWLEDGE-TESTING question. You MUST verify the candidate's answer against the research data provided below.
+    }
+    
+    knowledgeVerificationContext = `\n\nCRITICAL: This is a KNOWLEDGE-TESTING question. You MUST verify the candidate's answer against the research data provided below.
 
 CITY/DEPARTMENT RESEARCH DATA (use this to verify the answer):
-${cityResearch}${properNamesList}
+${researchData}${properNamesList}${knowledgeFacts.length > 0 ? `\n\nEach fact above starts with its [fact key]. Prefer high-confidence and admin-verified facts, and list the keys you verified against in knowledge.factKeys.` : ''}
 
 VERIFICATION REQUIREMENTS:
 1. Check if the candidate's answer is CORRECT or INCORRECT based on the research data
@@ -2134,116 +2902,355 @@ The feedback MUST include:
 - What specific facts they missed (if any)
 - How accurate their knowledge is of the city/department
 - DO NOT penalize for spelling/transcript differences in proper names - only mark incorrect if facts are wrong`;
-    } else if (isKnowledgeQuestion && !cityResearch) {
-      // If it's a knowledge question but we don't have research, note this in feedback
-      knowledgeVerificationContext = `\n\nNOTE: This appears to be a knowledge-testing question, but research data is not available to verify the answer. Provide general feedback on the answer's completeness and structure.`;
-    }
-
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: [
-        {
-          role: "system",
-          content: "You are an expert firefighter interview coach. Help candidates develop better answers.\n\nQuestion Types:\n1. BEHAVIORAL (past): \"Tell me about a time...\" → Use STAR method (Situation-Task-Action-Result)\n2. SITUATIONAL (hypothetical): \"How would you...\" → Focus on approach, reasoning, chain of command, ethics, steps.\n\nIMPORTANT: Answers are from SPEECH TRANSCRIPTS. Spelling variations (especially in names) are expected. Focus on CONTENT accuracy, not spelling. Phonetically similar names should be considered CORRECT.\n\nBe encouraging, specific, and actionable."
-        },
-        {
-          role: "user",
-          content: ("Question: " + question + "\n" +
-            `Category: ${category || 'General'}\n` +
-            "Answer: \"" + String(answer).replace(/"/g, '\\"') + "\"\n" +
-            "Motion Score: " + (motionScore ?? "unknown") + "\n" +
-            (resumeContext ? resumeContext + "\n" : "") + 
-            knowledgeVerificationContext + "\n" +
-            (isKnowledgeQuestion ? 
-            "Knowledge question: Verify against research. Transcript spelling variations in names are CORRECT if phonetically similar. Score on CONTENT only.\n\nFormat:\n## Answer Summary & Score\n- **Summary:** [1–2 sentences, correctness]\n- **Correctness:** [CORRECT/INCORRECT/PARTIALLY CORRECT - content only]\n- **Score:** [X/10 - content accuracy]\n\n## What You Did Well\n- **Positive 1:** [Specific]\n- **Positive 2:** [Specific]\n\n## What To Improve Next\n- **Focus 1:** [Correct answer if wrong, or missing facts]\n- **Focus 2:** [Another tweak]\n\n## Correct Answer\n- **Correct Answer:** [From research]\n- **Additional Details:** [Context]\n\n## Panel-Ready Answer\n[1 opening + 1–2 paragraphs. Natural language.]" :
-            "Determine: BEHAVIORAL (past) → STAR. HYPOTHETICAL (future) → Approach/steps.\n\nFormat:\n## Answer Summary & Score\n- **Summary:** [1–2 sentences]\n- **Score:** [X/10 - brief why]\n\n## What You Did Well\n- **Positive 1:** [Specific]\n- **Positive 2:** [Specific]\n\n## What To Improve Next\n- **Focus 1:** [Practical change]\n- **Focus 2:** [Another tweak]\n\n## STAR or Approach\nBEHAVIORAL: **Situation:** [1 sentence] **Task:** [1 sentence] **Action:** [1–2 sentences] **Result:** [1 sentence]\n\nHYPOTHETICAL: **Step 1:** [First action] **Step 2:** [Chain of command/safety] **Step 3:** [Follow-up]\n\n## Panel-Ready Answer\n[1 opening + 1–2 paragraphs. Natural language.]") +
-            "\n\nUse markdown with **bold** labels. Keep concise, skimmable, encouraging.")
-        }
-      ]
-    });
+  } else if (isKnowledgeQuestion && !researchData) {
+    // If it's a knowledge question but we don't have research, note this in feedback
+    knowledgeVerificationContext = `\n\nNOTE: This appears to be a knowledge-testing question, but research data is not available to verify the answer. Provide general feedback on the answer's completeness and structure.`;
+  }
 
-    const aiFeedback = response.choices[0].message.content;
-    
-    // Deduct credit for paid users (only after successful AI response)
-    if (hasPaidCredits && req.user) {
-      try {
-        await User.deductCredit(req.user.userId, 'coached_question');
-        console.log(`[CREDITS] Deducted 1 credit from user ${req.user.userId}`);
-      } catch (creditError) {
-        console.error('Error deducting credit:', creditError);
-        // Don't fail the request, but log the error
+  return {
+    isKnowledgeQuestion: !!isKnowledgeQuestion,
+    knowledgeFacts,
+    previousAttempt,
+    messages: [
+      {
+        role: "system",
+        content: "You are an expert firefighter interview coach. Help candidates develop better answers.\n\nQuestion Types:\n1. BEHAVIORAL (past): \"Tell me about a time...\" → Use STAR method (Situation-Task-Action-Result)\n2. SITUATIONAL (hypothetical): \"How would you...\" → Focus on approach, reasoning, chain of command, ethics, steps.\n\nIMPORTANT: Answers are from SPEECH TRANSCRIPTS. Spelling variations (especially in names) are expected. Focus on CONTENT accuracy, not spelling. Phonetically similar names should be considered CORRECT.\n\nBe encouraging, specific, and actionable."
+      },
+      {
+        role: "user",
+        content: ("Question: " + question + "\n" +
+          `Category: ${category || 'General'}\n` +
+          "Answer: \"" + String(answer).replace(/"/g, '\\"') + "\"\n" +
+          (body
+            ? "Body Language (camera): " + describeBodyLanguage(body) + "\n"
+            : "Motion Score: " + (motionScore ?? "unknown") + "\n") +
+          (resumeContext ? resumeContext + "\n" : "") + 
+          knowledgeVerificationContext + "\n" +
+          (isKnowledgeQuestion ?
+          "Knowledge question: Verify against research. Transcript spelling variations in names are CORRECT if phonetically similar. Score on CONTENT only.\n\n" :
+          "Determine: BEHAVIORAL (past) → STAR. HYPOTHETICAL (future) → Approach/steps.\n\n") +
+          buildScoringFormatPrompt(isKnowledgeQuestion) +
+          (previousAttempt ? buildRetryPrompt(previousAttempt) : ""))
       }
+    ]
+  };
+}
+
+// Validate the model's JSON, then charge the credit and record the attempt. Returns the response body.
+// Nothing is charged unless the analysis is complete and valid.
+async function finalizeAnswerAnalysis(req, content, { isKnowledgeQuestion, knowledgeFacts, previousAttempt }, { hasPaidCredits, isTrialUser, canAccessDetailedFeedback }) {
+  const { question, answer, motionScore, bodyLanguage, localScores, category, difficulty, sessionId, questionCount } = req.body;
+  
+  if (!content) {
+    throw new Error('Empty response from LLM provider');
+  }
+
+  let parsedScore;
+  try {
+    parsedScore = JSON.parse(content);
+  } catch (parseError) {
+    console.error('[ANALYZE] JSON parse error:', parseError);
+    console.error('[ANALYZE] Content received:', content);
+    throw new Error('Failed to parse JSON response from AI');
+  }
+
+  const { valid, errors, score } = validateAnswerScore(parsedScore, { isKnowledgeQuestion, previous: previousAttempt });
+  if (!valid) {
+    console.error('[ANALYZE] Invalid score from AI:', errors.join('; '));
+    throw new Error('AI returned an incomplete score');
+  }
+
+  // Attach the research facts the verdict was based on, so the candidate can see where the correct answer came from
+  if (score.questionType === 'knowledge') {
+    score.knowledge.sources = knowledgeFacts.filter(fact => score.knowledge.factKeys.includes(fact.key));
+  }
+
+  // Rendered markdown keeps the existing modal/preview formatting working
+  const aiFeedback = renderAnswerScoreMarkdown(score);
+  
+  // Deduct credit for paid users (only after successful AI response)
+  let creditsCharged = 0;
+  if (hasPaidCredits && req.user) {
+    try {
+      await User.deductCredit(req.user.userId, 'coached_question');
+      creditsCharged = 1;
+      console.log(`[CREDITS] Deducted 1 credit from user ${req.user.userId}`);
+    } catch (creditError) {
+      console.error('Error deducting credit:', creditError);
+      // Don't fail the request, but log the error
     }
-    
-    // Grant referrer credits when referred user completes their first question
-    if (req.user && questionCount === 1) {
-      try {
-        const referrals = await Referral.getByReferredUser(req.user.userId);
-        if (referrals && referrals.length > 0) {
-          // Find the first referral that hasn't credited the referrer yet
-          const referral = referrals.find(r => r.referrer_credited === 0);
-          if (referral && referral.referrer_user_id) {
-            // Grant 3 credits to the referrer
-            await User.addCredits(referral.referrer_user_id, 3, `Referral bonus - ${referral.referral_code} used`);
-            // Mark referrer as credited
-            const { query } = require('./db');
-            await query('UPDATE referrals SET referrer_credited = 1 WHERE referred_user_id = $1 AND referrer_credited = 0', [req.user.userId]);
-            console.log(`[REFERRAL] Granted 3 credits to referrer ${referral.referrer_user_id} for referral code ${referral.referral_code}`);
-          }
+  }
+  
+  // Grant referrer credits when referred user completes their first question
+  if (req.user && questionCount === 1) {
+    try {
+      const referrals = await Referral.getByReferredUser(req.user.userId);
+      if (referrals && referrals.length > 0) {
+        // Find the first referral that hasn't credited the referrer yet
+        const referral = referrals.find(r => r.referrer_credited === 0);
+        if (referral && referral.referrer_user_id) {
+          // Grant 3 credits to the referrer
+          await User.addCredits(referral.referrer_user_id, 3, `Referral bonus - ${referral.referral_code} used`);
+          // Mark referrer as credited
+          const { query } = require('./db');
+          await query('UPDATE referrals SET referrer_credited = 1 WHERE referred_user_id = $1 AND referrer_credited = 0', [req.user.userId]);
+          console.log(`[REFERRAL] Granted 3 credits to referrer ${referral.referrer_user_id} for referral code ${referral.referral_code}`);
         }
-      } catch (refError) {
-        console.error('Error granting referrer credits:', refError);
-        // Don't fail the request if referral credit fails
-      }
-    }
-    
-    // Track answer analysis for "areas to work on" feature (start from question 1 to have enough data by question 5)
-    if (sessionId && questionCount && questionCount >= 1) {
-      try {
-        const profile = getUserProfile(sessionId);
-        const analysisEntry = {
-          question: question,
-          answer: answer,
-          feedback: aiFeedback,
-          category: category || 'General',
-          timestamp: new Date().toISOString(),
-          questionCount: questionCount
-        };
-        
-        // Keep only last 10 analyses to avoid too much data
-        profile.answerAnalyses = (profile.answerAnalyses || []).slice(-9).concat([analysisEntry]);
-        updateUserProfile(sessionId, { answerAnalyses: profile.answerAnalyses });
-        
-        console.log(`[AREAS TO WORK ON] Tracked analysis #${questionCount} for session ${sessionId} (total: ${profile.answerAnalyses.length})`);
-      } catch (trackError) {
-        console.error('Error tracking answer analysis:', trackError);
-        // Don't fail the request if tracking fails
       }
+    } catch (refError) {
+      console.error('Error granting referrer credits:', refError);
+      // Don't fail the request if referral credit fails
     }
-    
-    // Get updated credits balance for paid users
-    let creditsRemaining = null;
-    if (hasPaidCredits && req.user) {
-      const user = await User.findById(req.user.userId);
-      creditsRemaining = user ? user.credits_balance : null;
+  }
+  
+  // Track answer analysis for "areas to work on" feature (start from question 1 to have enough data by question 5)
+  if (sessionId && questionCount && questionCount >= 1) {
+    try {
+      const profile = await getUserProfile(sessionId, req.user?.userId);
+      const analysisEntry = {
+        question: question,
+        answer: answer,
+        feedback: aiFeedback,
+        category: category || 'General',
+        timestamp: new Date().toISOString(),
+        questionCount: questionCount
+      };
+      
+      // Keep only last 10 analyses to avoid too much data
+      profile.answerAnalyses = (profile.answerAnalyses || []).slice(-9).concat([analysisEntry]);
+      await updateUserProfile(sessionId, { answerAnalyses: profile.answerAnalyses });
+      
+      console.log(`[AREAS TO WORK ON] Tracked analysis #${questionCount} for session ${sessionId} (total: ${profile.answerAnalyses.length})`);
+    } catch (trackError) {
+      console.error('Error tracking answer analysis:', trackError);
+      // Don't fail the request if tracking fails
     }
-    
-    res.json({ 
-      feedback: aiFeedback,
-      hasDetailedFeedback: canAccessDetailedFeedback,
-      isTrialUser: isTrialUser,
-      creditsRemaining: creditsRemaining
-    });
-  } catch (error) {
-    console.error('Error analyzing answer:', error);
-    res.status(500).json({ error: 'Failed to analyze answer', message: error.message });
   }
-});
-
-// POST /api/parse-resume - Parse resume with AI (with caching)
-app.post('/api/parse-resume', async (req, res) => {
+  
+  // Store the full attempt for history review (kept indefinitely, unlike answerAnalyses)
+  let attemptId = null;
   try {
-    const { resumeText, sessionId } = req.body;
+    const attempt = await InterviewAttempt.create({
+      userId: req.user?.userId || null,
+      sessionId: sessionId || null,
+      question: question,
+      category: category || 'General',
+      difficulty: difficulty || null,
+      transcript: String(answer),
+      motionScore: typeof motionScore === 'number' ? motionScore : null,
+      bodyLanguage: normalizeBodyLanguage(bodyLanguage),
+      localScores: localScores || null,
+      aiFeedback: aiFeedback,
+      aiScore: score,
+      creditsCharged: creditsCharged,
+      previousAttemptId: previousAttempt ? previousAttempt.id : null
+    });
+    attemptId = attempt.id;
+  } catch (historyError) {
+    console.error('Error saving interview attempt:', historyError);
+    // Don't fail the request if history storage fails
+  }
+  
+  // Reschedule (or enroll, if it scored low) this question in the user's review queue
+  let reviewItem = null;
+  if (req.user) {
+    try {
+      reviewItem = await ReviewQueue.recordScore(req.user.userId, {
+        question: question,
+        category: category || 'General',
+        score: score.overallScore,
+        reviewId: req.body.reviewId
+      });
+    } catch (reviewError) {
+      console.error('Error updating review queue:', reviewError);
+      // Don't fail the request if review scheduling fails
+    }
+  }
+  
+  // Get updated credits balance for paid users
+  let creditsRemaining = null;
+  if (hasPaidCredits && req.user) {
+    const user = await User.findById(req.user.userId);
+    creditsRemaining = user ? user.credits_balance : null;
+  }
+  
+  return {
+    feedback: aiFeedback,
+    score: score,
+    hasDetailedFeedback: canAccessDetailedFeedback,
+    isTrialUser: isTrialUser,
+    creditsRemaining: creditsRemaining,
+    attemptId: attemptId,
+    review: reviewItem ? { id: reviewItem.id, source: reviewItem.source, dueAt: reviewItem.dueAt, intervalDays: reviewItem.intervalDays } : null
+  };
+}
+
+// POST /api/analyze-answer - Analyze candidate's answer
+app.post('/api/analyze-answer', optionalAuth, async (req, res) => {
+  try {
+    const credits = await checkAnalysisCredits(req, req.body.trialCreditsRemaining);
+    if (credits.rejection) {
+      return res.status(credits.rejection.status).json(credits.rejection.body);
+    }
+    
+    const analysis = await buildAnswerAnalysisRequest(req);
+    const response = await llm.chat('analyze-answer', {
+      messages: analysis.messages,
+      response_format: { type: "json_object" }
+    });
+    
+    res.json(await finalizeAnswerAnalysis(req, response.choices[0]?.message?.content, analysis, credits));
+  } catch (error) {
+    console.error('Error analyzing answer:', error);
+    res.status(500).json({ error: 'Failed to analyze answer', message: error.message });
+  }
+});
+
+function sendServerEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// POST /api/analyze-answer/stream - Same analysis as Server-Sent Events: `start`, then markdown `delta`s
+// (or a full `replace` when earlier text changed), then `done` with the normal response body, or `error`.
+// The credit is only deducted once the stream has completed; a client that disconnects is not charged.
+app.post('/api/analyze-answer/stream', optionalAuth, async (req, res) => {
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) abortController.abort();
+  });
+  
+  let streamStarted = false;
+  try {
+    const credits = await checkAnalysisCredits(req, req.body.trialCreditsRemaining);
+    if (credits.rejection) {
+      return res.status(credits.rejection.status).json(credits.rejection.body);
+    }
+    
+    const analysis = await buildAnswerAnalysisRequest(req);
+    
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    streamStarted = true;
+    sendServerEvent(res, 'start', {
+      hasDetailedFeedback: credits.canAccessDetailedFeedback,
+      isTrialUser: credits.isTrialUser
+    });
+    
+    let content = '';
+    let markdown = '';
+    const stream = llm.chatStream('analyze-answer', {
+      messages: analysis.messages,
+      response_format: { type: "json_object" }
+    }, { signal: abortController.signal });
+    for await (const delta of stream) {
+      content += delta;
+      const next = renderPartialAnswerMarkdown(content, {
+        isKnowledgeQuestion: analysis.isKnowledgeQuestion,
+        previous: analysis.previousAttempt
+      });
+      if (next === markdown) continue;
+      if (next.startsWith(markdown)) {
+        sendServerEvent(res, 'delta', { text: next.slice(markdown.length) });
+      } else {
+        sendServerEvent(res, 'replace', { markdown: next });
+      }
+      markdown = next;
+    }
+    
+    if (abortController.signal.aborted) {
+      console.log('[ANALYZE] Stream closed by client before completion - no credit charged');
+      return;
+    }
+    
+    sendServerEvent(res, 'done', await finalizeAnswerAnalysis(req, content, analysis, credits));
+    res.end();
+  } catch (error) {
+    if (abortController.signal.aborted) {
+      console.log('[ANALYZE] Stream closed by client before completion - no credit charged');
+      return;
+    }
+    console.error('Error streaming answer analysis:', error);
+    if (!streamStarted) {
+      return res.status(500).json({ error: 'Failed to analyze answer', message: error.message });
+    }
+    sendServerEvent(res, 'error', { error: 'Failed to analyze answer', message: error.message });
+    res.end();
+  }
+});
+
+// POST /api/model-answer - STAR exemplar answer built from the candidate's resume, with the key points their answer missed
+// Uses resumeAnalysis from the body, else the one cached on the session profile.
+// Part of the detailed feedback, so it needs an account with credits (none are deducted).
+app.post('/api/model-answer', authenticateToken, async (req, res) => {
+  try {
+    const { question, transcript, category, resumeAnalysis, sessionId } = req.body;
+    const user = await User.findById(req.user.userId);
+    if (!user || user.credits_balance <= 0) {
+      return res.status(402).json({
+        error: 'NO_CREDITS',
+        message: 'Model answers are part of detailed feedback. Please purchase credits to continue.',
+        requiresPayment: true
+      });
+    }
+
+    if (!question || typeof question !== 'string' || !question.trim()) {
+      return res.status(400).json({ error: 'question is required' });
+    }
+    if (!transcript || typeof transcript !== 'string' || !transcript.trim()) {
+      return res.status(400).json({ error: 'transcript is required' });
+    }
+
+    let analysis = resumeAnalysis || null;
+    if (!analysis && sessionId) {
+      const profile = await getUserProfile(sessionId, req.user.userId);
+      analysis = profile?.resumeAnalysis || null;
+    }
+    const resumeSummary = summarizeResume(analysis);
+
+    const response = await llm.chat('model-answer', {
+      messages: [
+        {
+          role: "system",
+          content: "You are an expert firefighter interview coach. You write model answers that sound like the candidate on their best day, using only their real experience."
+        },
+        {
+          role: "user",
+          content: buildModelAnswerPrompt({ question: question.trim(), category, transcript, resumeSummary })
+        }
+      ],
+      response_format: { type: "json_object" },
+      temperature: 0.6
+    });
+
+    let data;
+    try {
+      data = JSON.parse(response.choices[0]?.message?.content || '');
+    } catch (parseError) {
+      console.error('[MODEL ANSWER] JSON parse error:', parseError);
+      throw new Error('Failed to parse JSON response from AI');
+    }
+
+    const { valid, errors, modelAnswer } = parseModelAnswer(data, transcript);
+    if (!valid) {
+      console.error('[MODEL ANSWER] Invalid model answer from AI:', errors.join('; '));
+      throw new Error('AI returned an incomplete model answer');
+    }
+
+    res.json({ ...modelAnswer, personalized: !!resumeSummary });
+  } catch (error) {
+    console.error('Error generating model answer:', error);
+    res.status(500).json({ error: 'Failed to generate model answer', message: error.message });
+  }
+});
+
+// POST /api/parse-resume - Parse resume with AI (with caching)
+app.post('/api/parse-resume', optionalAuth, async (req, res) => {
+  try {
+    const { resumeText, sessionId } = req.body;
 
     if (!resumeText || resumeText.trim().length === 0) {
       return res.status(400).json({ 
@@ -2254,7 +3261,7 @@ app.post('/api/parse-resume', async (req, res) => {
 
     // Check cache: if same resume text exists in profile, return cached analysis
     if (sessionId) {
-      const profile = getUserProfile(sessionId);
+      const profile = await getUserProfile(sessionId, req.user?.userId);
       const resumeHash = crypto.createHash('sha256').update(resumeText).digest('hex');
       
       // Check if we have cached analysis for this exact resume
@@ -2266,8 +3273,7 @@ app.post('/api/parse-resume', async (req, res) => {
 
     console.log(`[RESUME] Parsing resume, text length: ${resumeText.length} characters`);
 
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
+    const response = await llm.chat('parse-resume', {
       messages: [
         {
           role: "system",
@@ -2309,12 +3315,12 @@ IMPORTANT: Include ALL jobs, not just fire-related ones. For example, if they wo
     });
 
     if (!response || !response.choices || !response.choices[0] || !response.choices[0].message) {
-      throw new Error('Invalid response from OpenAI API');
+      throw new Error('Invalid response from LLM provider');
     }
 
     const content = response.choices[0].message.content;
     if (!content) {
-      throw new Error('Empty response from OpenAI API');
+      throw new Error('Empty response from LLM provider');
     }
 
     let resumeAnalysis;
@@ -2330,9 +3336,8 @@ IMPORTANT: Include ALL jobs, not just fire-related ones. For example, if they wo
     
     // Cache the analysis if sessionId provided
     if (sessionId) {
-      const profile = getUserProfile(sessionId);
       const resumeHash = crypto.createHash('sha256').update(resumeText).digest('hex');
-      updateUserProfile(sessionId, { 
+      await updateUserProfile(sessionId, { 
         resumeAnalysis: resumeAnalysis,
         resumeTextHash: resumeHash,
         resumeText: resumeText // Also cache the text
@@ -2511,6 +3516,83 @@ app.post('/api/tts', async (req, res) => {
   }
 });
 
+// Transcription is paid per minute of audio, so cap it per IP (checked before the upload is read)
+const transcribeRateLimit = createRateLimiter({
+  windowSeconds: 10 * 60,
+  max: 30,
+  keyFn: getClientIP,
+  message: 'Too many transcription requests. Please wait a few minutes and try again.'
+});
+
+// POST /api/transcribe - Speech-to-text and vocal delivery metrics for a recorded answer
+// Body is the raw recording (Content-Type audio/webm, audio/ogg, audio/mp4, ...); returns the transcript with word timings
+// plus pace, pauses, filler timestamps, speaking time and volume consistency.
+// Needs the same trial or paid credits as answer analysis (anonymous callers pass ?trialCreditsRemaining=).
+app.post('/api/transcribe', transcribeRateLimit, optionalAuth, express.raw({ type: AUDIO_TYPES, limit: MAX_AUDIO_BYTES }), async (req, res) => {
+  try {
+    const credits = await checkAnalysisCredits(req, req.query.trialCreditsRemaining);
+    if (credits.rejection) {
+      return res.status(credits.rejection.status).json(credits.rejection.body);
+    }
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'Audio is required (send the recording as the request body with an audio Content-Type)' });
+    }
+
+    if (!transcriber.available) {
+      return res.status(503).json({ error: 'Transcription is not configured' });
+    }
+
+    const result = await transcriber.transcribe(req.body, req.headers['content-type']);
+    console.log(`Transcribed ${req.body.length} bytes (${result.duration}s, ${result.words.length} words) with ${transcriber.name}`);
+    const delivery = await analyzeDelivery(req.body, result);
+
+    res.json({
+      transcript: result.text,
+      words: result.words,
+      duration: result.duration,
+      language: result.language,
+      provider: transcriber.name,
+      delivery
+    });
+  } catch (error) {
+    console.error('Transcription error:', error);
+    res.status(500).json({ error: 'Failed to transcribe audio', message: error.message });
+  }
+});
+
+// Cached facts for a department as structured records (never triggers a web search)
+async function getDepartmentFacts(location) {
+  if (!location || !location.country || !location.city || !location.departmentName) return [];
+  const entries = await DepartmentResearch.getByKey(buildResearchKey(location));
+  return entries.map(entry => buildFactRecord(entry)).filter(Boolean);
+}
+
+// Department the candidate is preparing for: the session profile, else their saved onboarding data
+async function getResearchLocation(sessionId, userId = null) {
+  if (sessionId) {
+    const profile = await getUserProfile(sessionId, userId);
+    if (profile && profile.departmentName) return profile;
+  }
+  return userId ? User.getOnboardingData(userId) : null;
+}
+
+// GET /api/department-facts - Cached research facts with sources, retrieved date and confidence
+app.get('/api/department-facts', async (req, res) => {
+  try {
+    const { country, stateProvince, city, departmentName } = req.query;
+    if (!country || !city || !departmentName) {
+      return res.status(400).json({ error: 'Missing required fields: country, city, departmentName' });
+    }
+    
+    const facts = await getDepartmentFacts({ country, stateProvince, city, departmentName });
+    res.json({ facts });
+  } catch (error) {
+    console.error('Department facts error:', error);
+    res.status(500).json({ error: 'Failed to get department facts', message: error.message });
+  }
+});
+
 // POST /api/research-city - Research city-specific information for personalized questions
 app.post('/api/research-city', async (req, res) => {
   try {
@@ -2526,56 +3608,53 @@ app.post('/api/research-city', async (req, res) => {
 
     console.log(`Researching city information for: ${locationString}, ${jobType}, ${departmentName}`);
 
-    // Perform actual web searches for critical facts using OpenAI's web search capability
-    console.log('Performing web searches for current information...');
+    // Cached facts for this department: pinned overrides and fresh entries skip the web search
+    const location = { country, stateProvince, city, departmentName };
+    const researchKey = buildResearchKey(location);
+    const cachedEntries = await DepartmentResearch.getByKey(researchKey);
+    const cachedByFact = new Map(cachedEntries.map(entry => [entry.factKey, entry]));
     
     // All 17 critical searches for comprehensive research
-    // Run in parallel batches of 2 for speed
-    const criticalSearches = [
-      { query: `current fire chief ${city} ${stateProvince || ''} ${country} 2024 2025`, fact: 'fire chief name' },
-      { query: `current deputy chief assistant chief ${city} ${stateProvince || ''} ${country} 2024 2025`, fact: 'deputy chiefs' },
-      { query: `current mayor ${city} ${stateProvince || ''} ${country} 2024 2025`, fact: 'mayor name' },
-      { query: `city council public safety committee ${city} ${stateProvince || ''} ${country} 2024 2025`, fact: 'city council members' },
-      { query: `city manager chief administrative officer ${city} ${stateProvince || ''} ${country} 2024 2025`, fact: 'city manager' },
-      { query: `${departmentName} union number IAFF local ${city} ${country}`, fact: 'union number' },
-      { query: `${departmentName} union president ${city} ${country} 2024 2025`, fact: 'union president' },
-      { query: `${departmentName} number of fire stations ${city} ${country} 2024 2025`, fact: 'number of fire stations' },
-      { query: `${departmentName} number of members staff firefighters ${city} ${country} 2024 2025`, fact: 'number of members' },
-      { query: `${departmentName} established founded history ${city} ${country}`, fact: 'department history' },
-      { query: `${departmentName} mission statement values motto ${city} ${country}`, fact: 'department mission' },
-      { query: `${departmentName} community programs initiatives ${city} ${country} 2024 2025`, fact: 'community programs' },
-      { query: `${departmentName} equipment apparatus capabilities ${city} ${country} 2024 2025`, fact: 'equipment information' },
-      { query: `${departmentName} response areas coverage zones ${city} ${country}`, fact: 'response areas' },
-      { query: `population demographics ${city} ${stateProvince || ''} ${country} 2024 2025`, fact: 'city demographics' },
-      { query: `major industries economic drivers ${city} ${stateProvince || ''} ${country} 2024 2025`, fact: 'city industries' },
-      { query: `${city} emergency services structure fire police EMS ${stateProvince || ''} ${country} 2024 2025`, fact: 'emergency services structure' }
-    ];
+    const criticalSearches = buildCriticalSearches(location);
 
     let verifiedFacts = {};
+    const cacheStats = { pinned: 0, fresh: 0, refreshed: 0, stale: 0 };
+    const searchesToRun = [];
+    
+    criticalSearches.forEach(search => {
+      const entry = cachedByFact.get(search.fact);
+      if (entry && entry.overrideValue) {
+        cacheStats.pinned++;
+      } else if (isFactFresh(entry)) {
+        cacheStats.fresh++;
+      } else {
+        searchesToRun.push(search);
+      }
+    });
     
     // Process searches in parallel batches for speed (5 at a time for maximum speed)
     const batchSize = 5;
     
-    console.log(`\n=== Starting ${criticalSearches.length} web searches (optimized, parallel batches of ${batchSize}) ===`);
+    console.log(`\n=== ${criticalSearches.length - searchesToRun.length} facts served from cache (${cacheStats.pinned} pinned), running ${searchesToRun.length} web searches (parallel batches of ${batchSize}) ===`);
     console.log(`Researching: ${locationString}, ${departmentName}\n`);
     
     const processSearch = async (search) => {
       try {
         let factResult = null;
         let usedWebSearch = false;
+        let sourceUrls = [];
         
         try {
-          // Try Responses API with web_search tool for real-time information
-          if (openai.responses && typeof openai.responses.create === 'function') {
-            const searchResponse = await openai.responses.create({
-              model: "gpt-4o-mini",  // Use faster model
-              tools: [{ type: "web_search" }],
-              input: `What is the current, verified fact for: "${search.query}"? Return ONLY the fact itself (name or number), no explanations.`
-            });
+          // Try Responses API with web_search tool for real-time information (OpenAI provider only)
+          if (llm.supportsWebSearch) {
+            const searchResponse = await llm.webSearch('research-city',
+              `What is the current, verified fact for: "${search.query}"? Return ONLY the fact itself (name or number), no explanations.`
+            );
             
             if (searchResponse && searchResponse.output_text) {
               factResult = searchResponse.output_text.trim();
               usedWebSearch = true;
+              sourceUrls = extractSourceUrls(searchResponse);
             }
           }
         } catch (responsesError) {
@@ -2584,8 +3663,7 @@ app.post('/api/research-city', async (req, res) => {
         
         // Fallback to chat completions if Responses API not available
         if (!factResult) {
-          const searchResponse = await openai.chat.completions.create({
-            model: "gpt-4o-mini",  // Use faster model - still accurate for fact-finding
+          const searchResponse = await llm.chat('research-city', {
             messages: [
               {
                 role: "system",
@@ -2603,46 +3681,50 @@ app.post('/api/research-city', async (req, res) => {
           factResult = searchResponse.choices[0].message.content.trim();
         }
         
-        // Clean up the response - be less aggressive to preserve full names
-        // Remove quotes but keep the full response
-        factResult = factResult.trim();
-        factResult = factResult.replace(/^["']|["']$/g, '');
-        // Remove common prefixes like "The current fire chief is" but keep the name
-        factResult = factResult.replace(/^(the current|current|the|is|are):?\s*/i, '');
-        factResult = factResult.trim();
-        // Take first sentence/line but allow longer responses for full names
-        factResult = factResult.split('\n')[0].split('.')[0].trim();
+        const cleaned = cleanFactResult(factResult);
+        // Cache misses too, so a department with no published union number isn't re-searched every run
+        const source = usedWebSearch ? 'web_search' : 'model';
+        const entry = await DepartmentResearch.saveFetched(researchKey, location, search.fact, {
+          value: cleaned,
+          source,
+          sourceUrls: cleaned ? sourceUrls : [],
+          confidence: assessConfidence({ value: cleaned, source, sourceUrls })
+        });
+        cachedByFact.set(search.fact, entry);
+        cacheStats.refreshed++;
         
-        if (factResult && 
-            factResult !== 'NOT FOUND' && 
-            !factResult.toLowerCase().includes('not found') &&
-            !factResult.toLowerCase().includes('outdated') &&
-            !factResult.toLowerCase().includes('uncertain') &&
-            !factResult.toLowerCase().includes('i cannot') &&
-            !factResult.toLowerCase().includes('i don\'t') &&
-            !factResult.toLowerCase().includes('i do not') &&
-            factResult.length > 0 &&
-            factResult.length < 200) {  // Increased length limit to allow full names
-          verifiedFacts[search.fact] = factResult;
-          console.log(`✓ Found ${search.fact}: ${factResult}`);
-          return { success: true, fact: search.fact, result: factResult };
+        if (cleaned) {
+          console.log(`✓ Found ${search.fact}: ${cleaned}`);
+          return { success: true, fact: search.fact, result: cleaned };
         } else {
-          console.log(`✗ Could not verify ${search.fact} - Response: ${factResult.substring(0, 50)}`);
+          console.log(`✗ Could not verify ${search.fact} - Response: ${String(factResult).substring(0, 50)}`);
           return { success: false, fact: search.fact };
         }
       } catch (err) {
+        // Keep serving the stale cached value (if any) when a refresh fails
         console.error(`✗ ERROR for ${search.fact}:`, err.message);
+        if (cachedByFact.get(search.fact)?.value) cacheStats.stale++;
         return { success: false, fact: search.fact, error: err.message };
       }
     };
     
     // Process in parallel batches for maximum speed
-    for (let i = 0; i < criticalSearches.length; i += batchSize) {
-      const batch = criticalSearches.slice(i, i + batchSize);
+    for (let i = 0; i < searchesToRun.length; i += batchSize) {
+      const batch = searchesToRun.slice(i, i + batchSize);
       await Promise.all(batch.map(processSearch));
     }
     
-    console.log(`\n=== Completed all ${criticalSearches.length} searches ===`);
+    // Assemble in search order: override > cached/refreshed value
+    const facts = [];
+    criticalSearches.forEach(search => {
+      const fact = cachedByFact.has(search.fact) ? buildFactRecord(cachedByFact.get(search.fact)) : null;
+      if (fact) {
+        verifiedFacts[search.fact] = fact.value;
+        facts.push(fact);
+      }
+    });
+    
+    console.log(`\n=== Completed ${searchesToRun.length} of ${criticalSearches.length} searches ===`);
     console.log(`Successfully verified ${Object.keys(verifiedFacts).length} facts\n`);
     
     // Format verified facts by category for better organization
@@ -2701,9 +3783,11 @@ CRITICAL: These are the ONLY facts you should use. If a fact is not listed above
     res.json({
       success: true,
       research: research,
+      facts: facts,
       location: locationString,
       departmentName: departmentName,
-      jobType: jobType
+      jobType: jobType,
+      cache: cacheStats
     });
   } catch (error) {
     console.error('Error researching city:', error);
@@ -2716,43 +3800,27 @@ const locationCache = new Map();
 const CACHE_TTL = 60 * 60 * 1000; // 1 hour
 
 // User profiles - stores comprehensive user information for personalized questions
-// In production, this would be stored in a database (e.g., MongoDB, PostgreSQL)
-// For now, using in-memory storage with session-based keys
-const userProfiles = new Map();
-
-// Helper function to get or create user profile
-function getUserProfile(sessionId) {
-  if (!userProfiles.has(sessionId)) {
-    userProfiles.set(sessionId, {
-      sessionId: sessionId,
-      name: null,
-      city: null,
-      stateProvince: null,
-      country: null,
-      departmentName: null,
-      jobType: null,
-      voicePreference: null,
-      resumeText: null,
-      resumeAnalysis: null,
-      resumeTextHash: null, // Hash for caching
-      cityResearch: null,
-      conversationHistory: [],
-      askedQuestions: [],
-      askedCategories: [],
-      answerAnalyses: [], // Store recent answer analyses for "areas to work on"
-      areasToWorkOn: null, // AI-generated summary of areas to improve
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    });
+// Persisted in the session_profiles table so progress survives restarts and is shared across instances
+
+// Helper function to get or create user profile (links the session to a user once they log in)
+async function getUserProfile(sessionId, userId = null) {
+  const profile = await SessionProfile.getOrCreate(sessionId);
+  // Link anonymous sessions on sign-in, but never take over a session another user already owns
+  if (userId && !profile.userId) {
+    await InterviewAttempt.claimSession(sessionId, userId);
+    return SessionProfile.linkUser(sessionId, userId);
   }
-  return userProfiles.get(sessionId);
+  return profile;
+}
+
+// A profile linked to a user is only readable and writable by that user; anonymous ones by anyone with the session id
+function canAccessProfile(profile, userId) {
+  return !profile.userId || profile.userId === userId;
 }
 
 // Helper function to update user profile
-function updateUserProfile(sessionId, updates) {
-  const profile = getUserProfile(sessionId);
-  Object.assign(profile, updates, { updatedAt: new Date().toISOString() });
-  return profile;
+async function updateUserProfile(sessionId, updates) {
+  return SessionProfile.update(sessionId, updates);
 }
 
 // Load comprehensive country/state/city data from countries-states-cities-database
@@ -3420,7 +4488,7 @@ app.post('/api/search-location', async (req, res) => {
 });
 
 // POST /api/areas-to-work-on - Generate or update "areas to work on" based on recent answer analyses
-app.post('/api/areas-to-work-on', async (req, res) => {
+app.post('/api/areas-to-work-on', optionalAuth, async (req, res) => {
   try {
     const { sessionId } = req.body;
     
@@ -3428,7 +4496,7 @@ app.post('/api/areas-to-work-on', async (req, res) => {
       return res.status(400).json({ error: 'Session ID is required' });
     }
     
-    const profile = getUserProfile(sessionId);
+    const profile = await getUserProfile(sessionId, req.user?.userId);
     const analyses = profile.answerAnalyses || [];
     
     if (analyses.length < 3) {
@@ -3467,8 +4535,7 @@ app.post('/api/areas-to-work-on', async (req, res) => {
     
     console.log(`[AREAS TO WORK ON] Generating summary for session ${sessionId} based on ${recentAnalyses.length} analyses`);
     
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
+    const response = await llm.chat('areas-to-work-on', {
       messages: [
         {
           role: "system",
@@ -3491,7 +4558,7 @@ Identify MOST IMPORTANT patterns. Be specific, actionable, encouraging. 2-3 sent
     const areasToWorkOn = response.choices[0].message.content.trim();
     
     // Update profile
-    updateUserProfile(sessionId, { areasToWorkOn: areasToWorkOn });
+    await updateUserProfile(sessionId, { areasToWorkOn: areasToWorkOn });
     
     console.log(`[AREAS TO WORK ON] Generated summary for session ${sessionId}`);
     
@@ -3507,7 +4574,7 @@ Identify MOST IMPORTANT patterns. Be specific, actionable, encouraging. 2-3 sent
 });
 
 // GET /api/areas-to-work-on - Get current "areas to work on" for a session
-app.get('/api/areas-to-work-on', async (req, res) => {
+app.get('/api/areas-to-work-on', optionalAuth, async (req, res) => {
   try {
     const { sessionId } = req.query;
     
@@ -3515,7 +4582,7 @@ app.get('/api/areas-to-work-on', async (req, res) => {
       return res.status(400).json({ error: 'Session ID is required' });
     }
     
-    const profile = getUserProfile(sessionId);
+    const profile = await getUserProfile(sessionId, req.user?.userId);
     const areasToWorkOn = profile.areasToWorkOn || null;
     const analysisCount = (profile.answerAnalyses || []).length;
     
@@ -3530,143 +4597,763 @@ app.get('/api/areas-to-work-on', async (req, res) => {
   }
 });
 
-// Start server
-// ========== ANALYTICS ENDPOINTS ==========
+// ========== HISTORY ENDPOINTS ==========
 
-// POST /api/analytics/visit - Log a visit (called from frontend)
-app.post('/api/analytics/visit', optionalAuth, async (req, res) => {
+// GET /api/history - Paginated list of the user's past interview attempts
+app.get('/api/history', authenticateToken, async (req, res) => {
   try {
-    const { sessionId, city, stateProvince, country, departmentName, jobType } = req.body;
+    const { category, from, to } = req.query;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
     
-    if (!sessionId) {
-      return res.status(400).json({ error: 'Session ID is required' });
+    // Validate date filters (accepts YYYY-MM-DD or full ISO timestamps)
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+      return res.status(400).json({ error: 'Invalid date filter', message: 'from and to must be valid dates (YYYY-MM-DD)' });
     }
     
-    // Get client IP and hash it for privacy
-    const clientIP = getClientIP(req);
-    const ipHash = hashIP(clientIP);
+    // A bare date for "to" means "through the end of that day"
+    if (toDate && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+      toDate.setUTCDate(toDate.getUTCDate() + 1);
+    }
     
-    // Check if visit already exists for this session
-    let visit = await Analytics.findBySession(sessionId);
+    const { attempts, total } = await InterviewAttempt.getByUserId(req.user.userId, {
+      limit,
+      offset: (page - 1) * limit,
+      category: category || null,
+      from: fromDate,
+      to: toDate
+    });
     
-    if (!visit) {
-      // Create new visit record
-      visit = await Analytics.create(
-        sessionId,
-        req.user?.userId || null,
-        ipHash,
-        city || null,
-        stateProvince || null,
-        country || null,
-        departmentName || null,
-        jobType || null
-      );
-    } else {
-      // Update last visit time and increment visit count
-      await Analytics.updateLastVisit(sessionId);
-      
-      // Update user_id if user logged in
-      if (req.user?.userId && !visit.user_id) {
-        const { query } = require('./db');
-        await query('UPDATE analytics_visits SET user_id = $1 WHERE session_id = $2', [req.user.userId, sessionId]);
-      }
-      
-      // Update location/department info if provided and different
-      if (city || stateProvince || country || departmentName || jobType) {
-        const { query } = require('./db');
-        await query(`
-          UPDATE analytics_visits 
-          SET city = COALESCE($1, city),
-              state_province = COALESCE($2, state_province),
-              country = COALESCE($3, country),
-              department_name = COALESCE($4, department_name),
-              job_type = COALESCE($5, job_type)
-          WHERE session_id = $6
-        `, [city || null, stateProvince || null, country || null, departmentName || null, jobType || null, sessionId]);
+    res.json({
+      attempts: attempts.map(a => ({
+        id: a.id,
+        question: a.question,
+        category: a.category,
+        difficulty: a.difficulty,
+        transcript: a.transcript,
+        motionScore: a.motion_score,
+        bodyLanguage: a.body_language,
+        localScores: a.local_scores,
+        aiFeedback: a.ai_feedback,
+        overallScore: a.overall_score,
+        aiScore: a.ai_score,
+        creditsCharged: a.credits_charged,
+        previousAttemptId: a.previous_attempt_id,
+        createdAt: a.created_at
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
       }
+    });
+  } catch (error) {
+    console.error('Get history error:', error);
+    res.status(500).json({ error: 'Failed to get history', message: error.message });
+  }
+});
+
+// GET /api/progress - Weekly score, length and filler trends, per-category score trends and practice streaks
+app.get('/api/progress', authenticateToken, async (req, res) => {
+  try {
+    const options = {
+      weeks: normalizeWeeks(req.query.weeks),
+      tzOffset: normalizeTzOffset(req.query.tzOffset),
+      now: new Date()
+    };
+
+    const [attempts, practiceDates] = await Promise.all([
+      InterviewAttempt.getForProgress(req.user.userId, windowStart(options)),
+      InterviewAttempt.getPracticeDates(req.user.userId)
+    ]);
+
+    res.json(buildProgress(attempts, practiceDates, options));
+  } catch (error) {
+    console.error('Get progress error:', error);
+    res.status(500).json({ error: 'Failed to get progress', message: error.message });
+  }
+});
+
+// ========== ANSWER RECORDING ENDPOINTS ==========
+
+// An interview_attempts id the user owns, or null
+async function findOwnAttemptId(userId, attemptId) {
+  const id = parseInt(attemptId);
+  if (!id) return null;
+  const attempt = await InterviewAttempt.findById(id);
+  return attempt && attempt.user_id === userId ? attempt.id : null;
+}
+
+// GET /api/recordings - The user's uploaded answer videos (metadata and markers, newest first)
+app.get('/api/recordings', authenticateToken, async (req, res) => {
+  try {
+    const recordings = await AnswerRecording.listForUser(req.user.userId);
+    res.json({ recordings, limit: MAX_RECORDINGS_PER_USER });
+  } catch (error) {
+    console.error('Get recordings error:', error);
+    res.status(500).json({ error: 'Failed to get recordings', message: error.message });
+  }
+});
+
+// POST /api/recordings - Upload an answer video
+// Body is the raw MediaRecorder output (Content-Type video/webm or video/mp4); ?question=&durationSeconds=&attemptId= describe it
+// Matched on the base type because MediaRecorder types like "video/webm;codecs=vp8,opus" are not valid header syntax
+app.post('/api/recordings', authenticateToken, express.raw({ type: req => VIDEO_TYPES.includes(baseMimeType(req.headers['content-type'])), limit: MAX_RECORDING_BYTES }), async (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'Video is required (send the recording as the request body with a video Content-Type)' });
     }
-    
-    res.json({ success: true });
+
+    const userId = req.user.userId;
+    if (await AnswerRecording.countForUser(userId) >= MAX_RECORDINGS_PER_USER) {
+      return res.status(400).json({ error: `Recording limit reached (${MAX_RECORDINGS_PER_USER}). Delete an older recording first.` });
+    }
+
+    const mimeType = baseMimeType(req.headers['content-type']);
+    const storageKey = createStorageKey(userId, mimeType);
+    await saveRecording(storageKey, req.body);
+
+    const durationSeconds = parseFloat(req.query.durationSeconds);
+    const recording = await AnswerRecording.create(userId, {
+      storageKey,
+      mimeType,
+      sizeBytes: req.body.length,
+      durationSeconds: Number.isFinite(durationSeconds) && durationSeconds > 0 ? Math.round(durationSeconds * 10) / 10 : null,
+      question: req.query.question ? String(req.query.question).slice(0, 2000) : null,
+      attemptId: await findOwnAttemptId(userId, req.query.attemptId)
+    });
+    console.log(`[RECORDINGS] User ${userId} uploaded recording ${recording.id} (${req.body.length} bytes)`);
+
+    res.json({ recording });
   } catch (error) {
-    console.error('Analytics visit error:', error);
-    res.status(500).json({ error: 'Failed to log visit', message: error.message });
+    console.error('Upload recording error:', error);
+    res.status(500).json({ error: 'Failed to upload recording', message: error.message });
   }
 });
 
-// POST /api/analytics/question - Track question answered
-app.post('/api/analytics/question', optionalAuth, async (req, res) => {
+// PATCH /api/recordings/:id - Attach the analyzed attempt ({ attemptId }) and/or replace the timeline markers ({ markers })
+app.patch('/api/recordings/:id', authenticateToken, async (req, res) => {
   try {
-    const { sessionId } = req.body;
-    
-    if (!sessionId) {
-      return res.status(400).json({ error: 'Session ID is required' });
+    const userId = req.user.userId;
+    const { attemptId, markers } = req.body || {};
+    if (markers !== undefined && !Array.isArray(markers)) {
+      return res.status(400).json({ error: 'markers must be an array' });
     }
-    
-    let visit = await Analytics.findBySession(sessionId);
-    
-    if (visit) {
-      // Increment questions answered
-      const newCount = (visit.questions_answered || 0) + 1;
-      await Analytics.updateQuestions(sessionId, newCount);
+
+    const recording = await AnswerRecording.update(userId, parseInt(req.params.id), {
+      attemptId: attemptId !== undefined ? await findOwnAttemptId(userId, attemptId) : null,
+      markers: markers !== undefined ? normalizeMarkers(markers) : null
+    });
+    if (!recording) {
+      return res.status(404).json({ error: 'Recording not found' });
     }
-    
-    res.json({ success: true });
+    res.json({ recording });
   } catch (error) {
-    console.error('Analytics question error:', error);
-    res.status(500).json({ error: 'Failed to track question', message: error.message });
+    console.error('Update recording error:', error);
+    res.status(500).json({ error: 'Failed to update recording', message: error.message });
   }
 });
 
-// GET /api/analytics/dashboard - Admin analytics dashboard (requires secret key)
-app.get('/api/analytics/dashboard', async (req, res) => {
+// GET /api/recordings/:id/video - Stream the video file (supports Range requests for seeking)
+app.get('/api/recordings/:id/video', authenticateToken, async (req, res) => {
   try {
-    let { secret } = req.query;
-    
-    // Handle URL encoding - decode if needed
-    if (secret) {
-      try {
-        secret = decodeURIComponent(secret);
-      } catch (e) {
-        // If decoding fails, use as-is
+    const row = await AnswerRecording.findRowForUser(req.user.userId, parseInt(req.params.id));
+    if (!row) {
+      return res.status(404).json({ error: 'Recording not found' });
+    }
+    res.type(row.mime_type);
+    res.sendFile(recordingPath(row.storage_key), error => {
+      if (error && !res.headersSent) {
+        res.status(error.code === 'ENOENT' ? 404 : 500).json({ error: 'Recording file not found' });
       }
+    });
+  } catch (error) {
+    console.error('Get recording video error:', error);
+    res.status(500).json({ error: 'Failed to get recording', message: error.message });
+  }
+});
+
+// DELETE /api/recordings/:id - Delete an uploaded recording and its file
+app.delete('/api/recordings/:id', authenticateToken, async (req, res) => {
+  try {
+    const storageKey = await AnswerRecording.delete(req.user.userId, parseInt(req.params.id));
+    if (!storageKey) {
+      return res.status(404).json({ error: 'Recording not found' });
     }
+    await deleteRecording(storageKey);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete recording error:', error);
+    res.status(500).json({ error: 'Failed to delete recording', message: error.message });
+  }
+});
+
+// ========== REVIEW QUEUE ENDPOINTS ==========
+
+// GET /api/review-queue - List review queue items (?due=true for only those due now)
+app.get('/api/review-queue', authenticateToken, async (req, res) => {
+  try {
+    const dueOnly = req.query.due === 'true';
+    const items = dueOnly
+      ? await ReviewQueue.getDue(req.user.userId, 100)
+      : await ReviewQueue.getByUserId(req.user.userId);
+    const dueCount = await ReviewQueue.countDue(req.user.userId);
     
-    // Debug logging
-    console.log('Analytics dashboard access attempt');
-    console.log('Provided secret length:', secret ? secret.length : 0);
-    console.log('Provided secret (first 8):', secret ? secret.substring(0, 8) + '...' : 'none');
-    console.log('Expected secret length:', ANALYTICS_SECRET ? ANALYTICS_SECRET.length : 0);
-    console.log('Expected secret (first 8):', ANALYTICS_SECRET ? ANALYTICS_SECRET.substring(0, 8) + '...' : 'not set');
-    console.log('Secrets match:', secret === ANALYTICS_SECRET);
-    console.log('Secret comparison (strict):', secret === ANALYTICS_SECRET);
-    console.log('Secret comparison (trimmed):', secret?.trim() === ANALYTICS_SECRET?.trim());
-    
-    // Verify secret key (trim whitespace to handle copy/paste issues)
-    const providedSecret = secret ? secret.trim() : '';
-    const expectedSecret = ANALYTICS_SECRET ? ANALYTICS_SECRET.trim() : '';
-    
-    if (!expectedSecret || expectedSecret === 'change-this-secret-key-for-analytics') {
-      return res.status(500).json({ 
-        error: 'Analytics secret not configured on server',
-        hint: 'Set ANALYTICS_SECRET environment variable in Render and restart the service'
-      });
+    res.json({ items, dueCount });
+  } catch (error) {
+    console.error('Get review queue error:', error);
+    res.status(500).json({ error: 'Failed to get review queue', message: error.message });
+  }
+});
+
+// POST /api/review-queue - Enroll flagged question(s); accepts { question, category } or { items: [...] }
+app.post('/api/review-queue', authenticateToken, async (req, res) => {
+  try {
+    const input = Array.isArray(req.body.items) ? req.body.items : [req.body];
+    const entries = input.filter(item => item && typeof item.question === 'string' && item.question.trim());
+    
+    if (entries.length === 0) {
+      return res.status(400).json({ error: 'question is required' });
+    }
+    if (entries.length > 200) {
+      return res.status(400).json({ error: 'Too many items (max 200)' });
     }
     
-    if (providedSecret !== expectedSecret) {
-      return res.status(401).json({ 
-        error: 'Unauthorized - invalid secret key',
-        hint: 'Check that ANALYTICS_SECRET environment variable matches the secret in your URL. Make sure to restart the backend service after setting the variable.',
-        debug: {
-          providedLength: providedSecret.length,
-          expectedLength: expectedSecret.length,
-          providedFirst8: providedSecret.substring(0, 8),
-          expectedFirst8: expectedSecret.substring(0, 8)
-        }
-      });
+    const items = [];
+    for (const entry of entries) {
+      items.push(await ReviewQueue.enrollFlagged(req.user.userId, {
+        question: entry.question.trim(),
+        category: entry.category
+      }));
     }
+    const dueCount = await ReviewQueue.countDue(req.user.userId);
     
-    // Get all analytics data
-    const stats = await Analytics.getStats();
+    res.json({ items, dueCount });
+  } catch (error) {
+    console.error('Enroll review queue error:', error);
+    res.status(500).json({ error: 'Failed to add to review queue', message: error.message });
+  }
+});
+
+// DELETE /api/review-queue/:id - Remove a question from the review queue
+app.delete('/api/review-queue/:id', authenticateToken, async (req, res) => {
+  try {
+    const removed = await ReviewQueue.remove(req.user.userId, parseInt(req.params.id));
+    if (!removed) {
+      return res.status(404).json({ error: 'Review item not found' });
+    }
+    const dueCount = await ReviewQueue.countDue(req.user.userId);
+    res.json({ success: true, dueCount });
+  } catch (error) {
+    console.error('Remove review queue item error:', error);
+    res.status(500).json({ error: 'Failed to remove review item', message: error.message });
+  }
+});
+
+// ========== QUESTION PACK ENDPOINTS ==========
+
+// GET /api/question-packs/coverage - Coverage of the packs matching the user's department/city
+app.get('/api/question-packs/coverage', authenticateToken, async (req, res) => {
+  try {
+    const onboarding = await User.getOnboardingData(req.user.userId);
+    const profile = {
+      departmentName: req.query.departmentName || onboarding?.departmentName || null,
+      city: req.query.city || onboarding?.city || null,
+      stateProvince: req.query.stateProvince || onboarding?.stateProvince || null,
+      country: req.query.country || onboarding?.country || null
+    };
+    
+    const packs = (await QuestionPack.findCandidates(profile)).filter(pack => packMatchesProfile(pack, profile));
+    if (packs.length === 0) {
+      return res.json({ packs: [] });
+    }
+    
+    const packIds = packs.map(pack => pack.id);
+    const [items, views, answered] = await Promise.all([
+      QuestionPack.getItems(packIds),
+      QuestionPack.getViews(req.user.userId, packIds),
+      InterviewAttempt.getAnsweredQuestions(req.user.userId)
+    ]);
+    
+    res.json({ packs: packs.map(pack => buildCoverageReport(pack, items, views, answered)) });
+  } catch (error) {
+    console.error('Question pack coverage error:', error);
+    res.status(500).json({ error: 'Failed to get question pack coverage', message: error.message });
+  }
+});
+
+// ========== DEPARTMENT QUIZ ENDPOINTS ==========
+
+// Flashcards for the candidate's department, built from the cached research facts (no AI call, no credits)
+async function loadQuizCards(sessionId, userId) {
+  const location = await getResearchLocation(sessionId, userId);
+  const facts = await getDepartmentFacts(location);
+  if (facts.length === 0) return { location, researchKey: null, cards: [] };
+  return { location, researchKey: buildResearchKey(location), cards: buildQuizCards(facts, location) };
+}
+
+// GET /api/quiz/cards - Department knowledge flashcards with per-fact mastery, unmastered first
+app.get('/api/quiz/cards', authenticateToken, async (req, res) => {
+  try {
+    const { location, researchKey, cards } = await loadQuizCards(req.query.sessionId, req.user.userId);
+    if (cards.length === 0) {
+      return res.json({
+        cards: [],
+        masteredCount: 0,
+        totalCards: 0,
+        message: location && location.departmentName
+          ? 'No researched facts yet for your department. Run department research first.'
+          : 'Set your department in onboarding to unlock the department quiz.'
+      });
+    }
+    
+    const mastery = await QuizMastery.getForKey(req.user.userId, researchKey);
+    const ordered = orderCards(cards, new Map(mastery.map(entry => [entry.factKey, entry])));
+    
+    res.json({
+      departmentName: location.departmentName,
+      city: location.city,
+      masteryStreak: MASTERY_STREAK,
+      masteredCount: ordered.filter(card => card.mastery.mastered).length,
+      totalCards: ordered.length,
+      // Answers are included so the flashcard can be flipped offline; grading still goes through POST /api/quiz/answers
+      cards: ordered.map(({ answerHash, ...card }) => card)
+    });
+  } catch (error) {
+    console.error('Quiz cards error:', error);
+    res.status(500).json({ error: 'Failed to get quiz cards', message: error.message });
+  }
+});
+
+// POST /api/quiz/answers - Grade a typed/spoken answer (or a self-grade after flipping the card) and update mastery
+app.post('/api/quiz/answers', authenticateToken, async (req, res) => {
+  try {
+    const { sessionId, factKey, response, selfGrade } = req.body;
+    if (!factKey) {
+      return res.status(400).json({ error: 'factKey is required' });
+    }
+    if (selfGrade !== undefined && !['correct', 'partial', 'incorrect'].includes(selfGrade)) {
+      return res.status(400).json({ error: 'selfGrade must be correct, partial or incorrect' });
+    }
+    if (selfGrade === undefined && (typeof response !== 'string' || !response.trim())) {
+      return res.status(400).json({ error: 'response or selfGrade is required' });
+    }
+    
+    const { researchKey, cards } = await loadQuizCards(sessionId, req.user.userId);
+    const card = cards.find(c => c.factKey === factKey);
+    if (!card) {
+      return res.status(404).json({ error: 'Quiz card not found' });
+    }
+    
+    const grade = selfGrade !== undefined
+      ? { result: selfGrade, score: selfGrade === 'correct' ? 1 : (selfGrade === 'partial' ? 0.5 : 0) }
+      : gradeQuizAnswer(card, response);
+    const mastery = await QuizMastery.record(req.user.userId, researchKey, factKey, grade.result, card.answerHash);
+    
+    res.json({
+      factKey,
+      result: grade.result,
+      score: grade.score,
+      selfGraded: selfGrade !== undefined,
+      correctAnswer: card.answer,
+      sources: card.sources,
+      mastery: {
+        attempts: mastery.attempts,
+        correctCount: mastery.correctCount,
+        streak: mastery.streak,
+        mastered: mastery.mastered
+      }
+    });
+  } catch (error) {
+    console.error('Quiz answer error:', error);
+    res.status(500).json({ error: 'Failed to grade quiz answer', message: error.message });
+  }
+});
+
+// ========== MOCK INTERVIEW ENDPOINTS ==========
+
+// Client view of a mock interview - never exposes questions the candidate hasn't reached yet
+function toMockInterviewResponse(interview) {
+  const current = interview.status === 'in_progress' ? interview.questions[interview.currentIndex] : null;
+  const timing = current ? computeAnswerTiming(interview.questionStartedAt, interview.timeLimitSeconds) : null;
+  return {
+    id: interview.id,
+    status: interview.status,
+    questionCount: interview.questionCount,
+    totalQuestions: interview.questions.length,
+    timeLimitSeconds: interview.timeLimitSeconds,
+    includeFollowups: interview.includeFollowups,
+    difficulty: interview.difficulty,
+    currentIndex: interview.currentIndex,
+    currentQuestion: current ? {
+      index: interview.currentIndex,
+      category: current.category,
+      template: current.question,
+      type: current.type || null,
+      isFollowup: !!current.isFollowup
+    } : null,
+    timeRemainingSeconds: timing && timing.elapsedSeconds !== null
+      ? Math.max(0, interview.timeLimitSeconds - timing.elapsedSeconds)
+      : null,
+    answeredCount: interview.answers.length,
+    scorecard: interview.scorecard,
+    createdAt: interview.createdAt,
+    completedAt: interview.completedAt
+  };
+}
+
+// POST /api/mock-interviews - Plan and start a timed mock panel interview
+app.post('/api/mock-interviews', authenticateToken, async (req, res) => {
+  try {
+    const { sessionId, difficulty = null } = req.body;
+    const settings = normalizeSettings(req.body);
+    
+    if (difficulty && !['easy', 'medium', 'hard'].includes(difficulty)) {
+      return res.status(400).json({ error: 'difficulty must be easy, medium or hard' });
+    }
+    
+    // The final scorecard costs one credit, so require a balance up front
+    const user = await User.findById(req.user.userId);
+    if (!user || user.credits_balance <= 0) {
+      return res.status(402).json({
+        error: 'NO_CREDITS',
+        message: 'You have no credits remaining. Please purchase credits to start a mock interview.',
+        requiresPayment: true
+      });
+    }
+    
+    const profile = sessionId ? await getUserProfile(sessionId, req.user.userId) : null;
+    const categories = planCategories(baseCategories, settings.questionCount, profile?.askedCategories || []);
+    
+    let profileContext = "";
+    if (profile && (profile.departmentName || profile.city)) {
+      profileContext = `Candidate is applying to: ${[profile.departmentName, profile.city].filter(Boolean).join(', ')}`;
+    }
+    let resumeContext = "";
+    if (profile?.resumeAnalysis) {
+      const analysis = profile.resumeAnalysis;
+      resumeContext = `Resume: ${analysis.experience || 'N/A'} exp. Certs: ${Array.isArray(analysis.certifications) ? analysis.certifications.slice(0, 3).join(", ") : 'None'}.`;
+    }
+    const bankExamples = [getRandomQuestion('behavioral', difficulty), getRandomQuestion('situational', difficulty)]
+      .filter(Boolean)
+      .map(q => q.question);
+    
+    const response = await llm.chat('mock-interview-plan', {
+      messages: [
+        {
+          role: "system",
+          content: "You are an expert firefighter interview panel. Plan realistic, varied panel interview questions. Never repeat a scenario."
+        },
+        {
+          role: "user",
+          content: buildQuestionPlanPrompt(categories, { difficulty, profileContext, resumeContext, bankExamples })
+        }
+      ],
+      response_format: { type: "json_object" }
+    });
+    
+    let planData;
+    try {
+      planData = JSON.parse(response.choices[0]?.message?.content || '{}');
+    } catch (parseError) {
+      console.error('[MOCK INTERVIEW] JSON parse error:', parseError);
+      planData = {};
+    }
+    
+    // Fill any gaps the model left with question bank questions
+    const planned = parseQuestionPlan(planData, categories);
+    const usedQuestions = planned.filter(Boolean).map(q => q.question);
+    const questions = planned.map((item, i) => {
+      if (item) return item;
+      const type = i % 2 === 0 ? 'behavioral' : 'situational';
+      const fallback = getRandomQuestion(type, difficulty, null, usedQuestions);
+      if (!fallback) return null;
+      usedQuestions.push(fallback.question);
+      return { category: categories[i], type, question: fallback.question, isFollowup: false };
+    }).filter(Boolean);
+    
+    if (questions.length === 0) {
+      throw new Error('Could not plan any questions');
+    }
+    
+    const interview = await MockInterview.create({
+      userId: req.user.userId,
+      sessionId,
+      questionCount: questions.length,
+      timeLimitSeconds: settings.timeLimitSeconds,
+      includeFollowups: settings.includeFollowups,
+      difficulty,
+      questions
+    });
+    
+    console.log(`[MOCK INTERVIEW] Started #${interview.id} for user ${req.user.userId} (${questions.length} questions, ${settings.timeLimitSeconds}s limit)`);
+    
+    res.status(201).json({ mockInterview: toMockInterviewResponse(interview) });
+  } catch (error) {
+    console.error('Create mock interview error:', error);
+    res.status(500).json({ error: 'Failed to start mock interview', message: error.message });
+  }
+});
+
+// GET /api/mock-interviews - List the user's mock interviews (most recent first)
+app.get('/api/mock-interviews', authenticateToken, async (req, res) => {
+  try {
+    const interviews = await MockInterview.getByUserId(req.user.userId);
+    res.json({ mockInterviews: interviews.map(toMockInterviewResponse) });
+  } catch (error) {
+    console.error('List mock interviews error:', error);
+    res.status(500).json({ error: 'Failed to get mock interviews', message: error.message });
+  }
+});
+
+// GET /api/mock-interviews/:id - Current state (or final scorecard) of a mock interview
+app.get('/api/mock-interviews/:id', authenticateToken, async (req, res) => {
+  try {
+    const interview = await MockInterview.findForUser(parseInt(req.params.id), req.user.userId);
+    if (!interview) {
+      return res.status(404).json({ error: 'Mock interview not found' });
+    }
+    res.json({ mockInterview: toMockInterviewResponse(interview) });
+  } catch (error) {
+    console.error('Get mock interview error:', error);
+    res.status(500).json({ error: 'Failed to get mock interview', message: error.message });
+  }
+});
+
+// POST /api/mock-interviews/:id/answers - Submit the answer to the current question
+app.post('/api/mock-interviews/:id/answers', authenticateToken, async (req, res) => {
+  try {
+    const { transcript = '', motionScore = null, bodyLanguage = null, localScores = null, skipped = false } = req.body;
+    
+    const interview = await MockInterview.findForUser(parseInt(req.params.id), req.user.userId);
+    if (!interview) {
+      return res.status(404).json({ error: 'Mock interview not found' });
+    }
+    if (interview.status !== 'in_progress') {
+      return res.status(400).json({ error: 'Mock interview is already complete' });
+    }
+    if (!skipped && !String(transcript).trim()) {
+      return res.status(400).json({ error: 'transcript is required unless skipped is true' });
+    }
+    
+    const index = interview.currentIndex;
+    const current = interview.questions[index];
+    const { elapsedSeconds, overtime } = computeAnswerTiming(interview.questionStartedAt, interview.timeLimitSeconds);
+    // The time limit is enforced here, not just by the client's timer: an answer that arrives after
+    // the limit (plus grace) is recorded as unanswered so it scores 0, and the interview moves on
+    const unanswered = !!skipped || overtime;
+    
+    const answers = interview.answers.concat([{
+      index,
+      transcript: unanswered ? '' : String(transcript),
+      skipped: unanswered,
+      elapsedSeconds,
+      overtime,
+      motionScore: !unanswered && typeof motionScore === 'number' ? motionScore : null,
+      bodyLanguage: unanswered ? null : normalizeBodyLanguage(bodyLanguage),
+      localScores: unanswered ? null : localScores || null
+    }]);
+    
+    // Optionally insert a probe right after this question, like a real panel would
+    let questions = interview.questions;
+    if (!unanswered && shouldAskFollowup(interview, current, transcript)) {
+      try {
+        const followup = await generateFollowupQuestion(current.question, String(transcript));
+        questions = questions.slice(0, index + 1)
+          .concat([{ category: current.category, type: current.type, question: followup.question, isFollowup: true }])
+          .concat(questions.slice(index + 1));
+      } catch (followupError) {
+        console.error('[MOCK INTERVIEW] Followup generation failed:', followupError);
+        // Continue without the followup
+      }
+    }
+    
+    const updated = await MockInterview.update(interview.id, {
+      answers,
+      questions,
+      currentIndex: index + 1,
+      questionStartedAt: new Date(),
+      status: index + 1 >= questions.length ? 'answered' : 'in_progress'
+    });
+    
+    res.json({
+      overtime,
+      elapsedSeconds,
+      mockInterview: toMockInterviewResponse(updated)
+    });
+  } catch (error) {
+    console.error('Submit mock interview answer error:', error);
+    res.status(500).json({ error: 'Failed to submit answer', message: error.message });
+  }
+});
+
+// POST /api/mock-interviews/:id/complete - Score the interview and persist the final scorecard
+// Can be called early to end the interview; unanswered questions score 0.
+app.post('/api/mock-interviews/:id/complete', authenticateToken, async (req, res) => {
+  try {
+    const interview = await MockInterview.findForUser(parseInt(req.params.id), req.user.userId);
+    if (!interview) {
+      return res.status(404).json({ error: 'Mock interview not found' });
+    }
+    if (interview.status === 'completed') {
+      return res.json({ mockInterview: toMockInterviewResponse(interview) });
+    }
+    if (interview.answers.length === 0) {
+      return res.status(400).json({ error: 'Answer at least one question before completing the interview' });
+    }
+    
+    const response = await llm.chat('mock-interview-scorecard', {
+      messages: [
+        {
+          role: "system",
+          content: "You are a firefighter hiring panel scoring a full mock interview. Be fair, specific and encouraging."
+        },
+        {
+          role: "user",
+          content: buildScorecardPrompt(interview)
+        }
+      ],
+      response_format: { type: "json_object" }
+    });
+    
+    let aiReport;
+    try {
+      aiReport = JSON.parse(response.choices[0]?.message?.content || '');
+    } catch (parseError) {
+      console.error('[MOCK INTERVIEW] Scorecard JSON parse error:', parseError);
+      throw new Error('Failed to parse JSON response from AI');
+    }
+    
+    const scorecard = buildScorecard(interview, aiReport);
+    
+    // Only the request that flips the status to completed charges; a concurrent or repeated
+    // complete gets the stored scorecard back without paying again
+    const claimed = await MockInterview.claimCompletion(interview.id, req.user.userId, scorecard);
+    if (!claimed) {
+      const completed = await MockInterview.findForUser(interview.id, req.user.userId);
+      return res.json({ mockInterview: toMockInterviewResponse(completed) });
+    }
+    
+    // Deduct credit only after the scorecard was produced
+    let creditsCharged = 0;
+    try {
+      await User.deductCredit(req.user.userId, 'mock_interview');
+      creditsCharged = 1;
+      console.log(`[CREDITS] Deducted 1 credit from user ${req.user.userId} for mock interview #${interview.id}`);
+    } catch (creditError) {
+      console.error('Error deducting credit:', creditError);
+      // Don't fail the request, but log the error
+    }
+    
+    const updated = await MockInterview.update(interview.id, { creditsCharged });
+    
+    const user = await User.findById(req.user.userId);
+    
+    res.json({
+      mockInterview: toMockInterviewResponse(updated),
+      creditsRemaining: user ? user.credits_balance : null
+    });
+  } catch (error) {
+    console.error('Complete mock interview error:', error);
+    res.status(500).json({ error: 'Failed to complete mock interview', message: error.message });
+  }
+});
+
+// Start server
+// ========== ANALYTICS ENDPOINTS ==========
+
+// POST /api/analytics/visit - Log a visit (called from frontend)
+app.post('/api/analytics/visit', optionalAuth, async (req, res) => {
+  try {
+    const { sessionId, city, stateProvince, country, departmentName, jobType } = req.body;
+    
+    if (!sessionId) {
+      return res.status(400).json({ error: 'Session ID is required' });
+    }
+    
+    // Get client IP and hash it for privacy
+    const clientIP = getClientIP(req);
+    const ipHash = hashIP(clientIP);
+    
+    // Check if visit already exists for this session
+    let visit = await Analytics.findBySession(sessionId);
+    
+    if (!visit) {
+      // Create new visit record
+      visit = await Analytics.create(
+        sessionId,
+        req.user?.userId || null,
+        ipHash,
+        city || null,
+        stateProvince || null,
+        country || null,
+        departmentName || null,
+        jobType || null
+      );
+    } else {
+      // Update last visit time and increment visit count
+      await Analytics.updateLastVisit(sessionId);
+      
+      // Update user_id if user logged in
+      if (req.user?.userId && !visit.user_id) {
+        const { query } = require('./db');
+        await query('UPDATE analytics_visits SET user_id = $1 WHERE session_id = $2', [req.user.userId, sessionId]);
+      }
+      
+      // Update location/department info if provided and different
+      if (city || stateProvince || country || departmentName || jobType) {
+        const { query } = require('./db');
+        await query(`
+          UPDATE analytics_visits 
+          SET city = COALESCE($1, city),
+              state_province = COALESCE($2, state_province),
+              country = COALESCE($3, country),
+              department_name = COALESCE($4, department_name),
+              job_type = COALESCE($5, job_type)
+          WHERE session_id = $6
+        `, [city || null, stateProvince || null, country || null, departmentName || null, jobType || null, sessionId]);
+      }
+    }
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Analytics visit error:', error);
+    res.status(500).json({ error: 'Failed to log visit', message: error.message });
+  }
+});
+
+// POST /api/analytics/question - Track question answered
+app.post('/api/analytics/question', optionalAuth, async (req, res) => {
+  try {
+    const { sessionId } = req.body;
+    
+    if (!sessionId) {
+      return res.status(400).json({ error: 'Session ID is required' });
+    }
+    
+    let visit = await Analytics.findBySession(sessionId);
+    
+    if (visit) {
+      // Increment questions answered
+      const newCount = (visit.questions_answered || 0) + 1;
+      await Analytics.updateQuestions(sessionId, newCount);
+    }
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Analytics question error:', error);
+    res.status(500).json({ error: 'Failed to track question', message: error.message });
+  }
+});
+
+// GET /api/analytics/dashboard - Admin analytics dashboard (HTML, or JSON with ?format=json)
+app.get('/api/analytics/dashboard', requireAdminPage, async (req, res) => {
+  try {
+    // Get all analytics data
+    const stats = await Analytics.getStats();
     const visits = await Analytics.getAll(1000);
     const byDepartment = await Analytics.getByDepartment();
     const byCountry = await Analytics.getByCountry();
@@ -4046,22 +5733,703 @@ app.get('/api/analytics/dashboard', async (req, res) => {
   }
 });
 
-// DIAGNOSTIC ENDPOINT: Find all accounts by email (for debugging credit issues)
-app.get('/api/admin/find-accounts', async (req, res) => {
+// ========== ADMIN QUESTION BANK ENDPOINTS ==========
+
+// GET /api/admin/questions - List questions (filters: category, difficulty, type, search, includeRetired)
+app.get('/api/admin/questions', requireAdmin, async (req, res) => {
   try {
-    const { email, secret } = req.query;
-    
-    // Require secret for security
-    if (!secret || secret !== ANALYTICS_SECRET) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(500, Math.max(1, parseInt(req.query.limit) || 50));
+    const { questions, total } = await Question.list({
+      includeRetired: req.query.includeRetired !== 'false',
+      category: req.query.category || null,
+      difficulty: req.query.difficulty || null,
+      type: req.query.type || null,
+      search: req.query.search || null,
+      limit,
+      offset: (page - 1) * limit
+    });
     
-    const { query } = require('./db');
+    res.json({
+      questions,
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+      stats: getQuestionStats()
+    });
+  } catch (error) {
+    console.error('List questions error:', error);
+    res.status(500).json({ error: 'Failed to list questions', message: error.message });
+  }
+});
+
+// GET /api/admin/questions/export - Download the question bank as JSON or CSV
+app.get('/api/admin/questions/export', requireAdmin, async (req, res) => {
+  try {
+    const format = req.query.format === 'csv' ? 'csv' : 'json';
+    const { questions } = await Question.list({ includeRetired: req.query.includeRetired !== 'false', limit: 100000 });
+    const exported = questions.map(q => ({
+      id: q.id,
+      question: q.question,
+      category: q.category,
+      difficulty: q.difficulty,
+      type: q.type,
+      tags: q.tags,
+      retired: q.retired
+    }));
     
-    let accounts = [];
-    let allAccounts = [];
-    let highCreditAccounts = [];
-    let creditHistory = [];
+    const filename = `questions-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'csv') {
+      res.type('text/csv').send(questionsToCSV(exported));
+    } else {
+      res.json(exported);
+    }
+  } catch (error) {
+    console.error('Export questions error:', error);
+    res.status(500).json({ error: 'Failed to export questions', message: error.message });
+  }
+});
+
+// POST /api/admin/questions/import - Bulk upsert from a JSON array ({ questions: [...] }) or raw CSV (Content-Type: text/csv)
+// Rows match existing questions by id, then by question text; anything else is created.
+app.post('/api/admin/questions/import', requireAdmin, async (req, res) => {
+  try {
+    let items;
+    if (typeof req.body === 'string') {
+      items = parseQuestionsCSV(req.body);
+    } else if (req.body && typeof req.body.csv === 'string') {
+      items = parseQuestionsCSV(req.body.csv);
+    } else if (req.body && Array.isArray(req.body.questions)) {
+      items = req.body.questions;
+    } else {
+      return res.status(400).json({ error: 'Provide { questions: [...] }, { csv: "..." } or a text/csv body' });
+    }
+    
+    let created = 0;
+    let updated = 0;
+    const errors = [];
+    
+    for (let i = 0; i < items.length; i++) {
+      const { errors: rowErrors, value } = validateQuestionInput(items[i]);
+      if (rowErrors.length > 0) {
+        errors.push({ row: i + 1, errors: rowErrors });
+        continue;
+      }
+      
+      const existing = (items[i].id && await Question.findById(parseInt(items[i].id))) || await Question.findByText(value.question);
+      if (existing) {
+        const duplicate = await Question.findByText(value.question);
+        if (duplicate && duplicate.id !== existing.id) {
+          errors.push({ row: i + 1, errors: [`question text duplicates #${duplicate.id}`] });
+          continue;
+        }
+        await Question.update(existing.id, value);
+        updated++;
+      } else {
+        await Question.create({ ...value, source: 'import' });
+        created++;
+      }
+    }
+    
+    const activeCount = await reloadQuestionBank();
+    console.log(`[QUESTION BANK] Import: ${created} created, ${updated} updated, ${errors.length} rejected`);
+    
+    res.json({ success: true, created, updated, rejected: errors.length, errors: errors.slice(0, 100), activeCount });
+  } catch (error) {
+    console.error('Import questions error:', error);
+    res.status(500).json({ error: 'Failed to import questions', message: error.message });
+  }
+});
+
+// POST /api/admin/questions/reload - Force an in-memory reload from the database
+app.post('/api/admin/questions/reload', requireAdmin, async (req, res) => {
+  try {
+    const activeCount = await reloadQuestionBank();
+    res.json({ success: true, activeCount });
+  } catch (error) {
+    console.error('Reload questions error:', error);
+    res.status(500).json({ error: 'Failed to reload questions', message: error.message });
+  }
+});
+
+// Admin editor page; calls go out with the admin's authToken cookie, renewed through /api/auth/refresh when it lapses
+function renderQuestionEditorPage() {
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Question Bank Editor - Fire Interview Coach</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+      background: linear-gradient(135deg, #0f172a 0%, #1e293b 100%);
+      color: #e2e8f0;
+      padding: 20px;
+      min-height: 100vh;
+    }
+    .container { max-width: 1400px; margin: 0 auto; }
+    h1 { color: #fbbf24; font-size: 2rem; margin-bottom: 20px; text-align: center; }
+    .section {
+      background: rgba(30, 41, 59, 0.8);
+      border: 1px solid rgba(148, 163, 184, 0.2);
+      border-radius: 12px;
+      padding: 20px;
+      margin-bottom: 20px;
+    }
+    .toolbar { display: flex; flex-wrap: wrap; gap: 10px; align-items: center; }
+    input, select, textarea, button {
+      background: #0f172a;
+      color: #e2e8f0;
+      border: 1px solid rgba(148, 163, 184, 0.3);
+      border-radius: 6px;
+      padding: 8px 10px;
+      font-size: 0.9rem;
+    }
+    textarea { width: 100%; min-height: 70px; font-family: inherit; }
+    button { cursor: pointer; background: #1e40af; border-color: #1e40af; }
+    button.secondary { background: transparent; }
+    button.danger { background: #991b1b; border-color: #991b1b; }
+    table { width: 100%; border-collapse: collapse; margin-top: 15px; }
+    th, td { padding: 10px; text-align: left; border-bottom: 1px solid rgba(148, 163, 184, 0.1); vertical-align: top; }
+    th { color: #fbbf24; font-size: 0.85rem; text-transform: uppercase; }
+    tr.retired td { opacity: 0.5; }
+    .status { color: #94a3b8; font-size: 0.85rem; margin-top: 10px; min-height: 1.2em; }
+    .form-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(180px, 1fr)); gap: 10px; margin-top: 10px; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h1>🔥 Question Bank Editor</h1>
+
+    <div class="section">
+      <h2 id="formTitle" style="margin-bottom: 10px;">Add Question</h2>
+      <input type="hidden" id="editId">
+      <textarea id="qText" placeholder="Question text"></textarea>
+      <div class="form-grid">
+        <input id="qCategory" placeholder="Category">
+        <select id="qDifficulty"><option>easy</option><option selected>medium</option><option>hard</option></select>
+        <select id="qType"><option>behavioral</option><option>situational</option></select>
+        <input id="qTags" placeholder="Tags (comma separated)">
+      </div>
+      <div class="toolbar" style="margin-top: 10px;">
+        <button onclick="saveQuestion()">Save</button>
+        <button class="secondary" onclick="resetForm()">Clear</button>
+      </div>
+    </div>
+
+    <div class="section">
+      <div class="toolbar">
+        <input id="search" placeholder="Search..." onkeydown="if (event.key === 'Enter') loadQuestions(1)">
+        <input id="filterCategory" placeholder="Category">
+        <label><input type="checkbox" id="showRetired" checked> Show retired</label>
+        <button onclick="loadQuestions(1)">Filter</button>
+        <button class="secondary" onclick="exportBank('csv')">Export CSV</button>
+        <button class="secondary" onclick="exportBank('json')">Export JSON</button>
+        <label class="secondary" style="cursor: pointer;">Import CSV/JSON <input type="file" id="importFile" accept=".csv,.json" style="display: none;" onchange="importBank(this.files[0])"></label>
+      </div>
+      <div class="status" id="status"></div>
+      <table>
+        <thead><tr><th>#</th><th>Question</th><th>Category</th><th>Difficulty</th><th>Type</th><th>Tags</th><th></th></tr></thead>
+        <tbody id="rows"></tbody>
+      </table>
+      <div class="toolbar" style="margin-top: 15px;">
+        <button class="secondary" onclick="loadQuestions(currentPage - 1)">← Prev</button>
+        <span id="pageInfo"></span>
+        <button class="secondary" onclick="loadQuestions(currentPage + 1)">Next →</button>
+      </div>
+    </div>
+  </div>
+
+  <script>
+    const API = '/api/admin/questions';
+    let currentPage = 1;
+    let totalPages = 1;
+    let loaded = [];
+
+    function setStatus(text) {
+      document.getElementById('status').textContent = text;
+    }
+
+    function escapeHtml(text) {
+      const div = document.createElement('div');
+      div.textContent = text == null ? '' : String(text);
+      return div.innerHTML;
+    }
+
+    async function api(path, options = {}, isRetry = false) {
+      const response = await fetch(API + path, {
+        ...options,
+        credentials: 'same-origin',
+        headers: { 'Content-Type': 'application/json', ...(options.headers || {}) }
+      });
+      if ((response.status === 401 || response.status === 403) && !isRetry) {
+        const refreshed = await fetch('/api/auth/refresh', { method: 'POST', credentials: 'same-origin' }).catch(() => null);
+        if (refreshed && refreshed.ok) return api(path, options, true);
+      }
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error((data.details && data.details.join(', ')) || data.error || ('HTTP ' + response.status));
+      }
+      return data;
+    }
+
+    async function loadQuestions(page) {
+      if (page < 1 || page > totalPages) return;
+      const params = new URLSearchParams({
+        page,
+        limit: 50,
+        includeRetired: document.getElementById('showRetired').checked,
+        search: document.getElementById('search').value,
+        category: document.getElementById('filterCategory').value
+      });
+      try {
+        const data = await api('?' + params.toString());
+        loaded = data.questions;
+        currentPage = data.pagination.page;
+        totalPages = Math.max(1, data.pagination.totalPages);
+        document.getElementById('pageInfo').textContent = 'Page ' + currentPage + ' of ' + totalPages + ' (' + data.pagination.total + ' questions, ' + data.stats.total + ' active)';
+        document.getElementById('rows').innerHTML = loaded.map(q =>
+          '<tr class="' + (q.retired ? 'retired' : '') + '">' +
+            '<td>' + q.id + '</td>' +
+            '<td>' + escapeHtml(q.question) + '</td>' +
+            '<td>' + escapeHtml(q.category) + '</td>' +
+            '<td>' + escapeHtml(q.difficulty) + '</td>' +
+            '<td>' + escapeHtml(q.type) + '</td>' +
+            '<td>' + escapeHtml((q.tags || []).join(', ')) + '</td>' +
+            '<td style="white-space: nowrap;">' +
+              '<button class="secondary" onclick="editQuestion(' + q.id + ')">Edit</button> ' +
+              (q.retired
+                ? '<button class="secondary" onclick="setRetired(' + q.id + ', false)">Restore</button>'
+                : '<button class="danger" onclick="setRetired(' + q.id + ', true)">Retire</button>') +
+            '</td>' +
+          '</tr>'
+        ).join('');
+        setStatus('');
+      } catch (error) {
+        setStatus('Failed to load: ' + error.message);
+      }
+    }
+
+    function resetForm() {
+      document.getElementById('editId').value = '';
+      document.getElementById('qText').value = '';
+      document.getElementById('qCategory').value = '';
+      document.getElementById('qTags').value = '';
+      document.getElementById('formTitle').textContent = 'Add Question';
+    }
+
+    function editQuestion(id) {
+      const q = loaded.find(item => item.id === id);
+      if (!q) return;
+      document.getElementById('editId').value = q.id;
+      document.getElementById('qText').value = q.question;
+      document.getElementById('qCategory').value = q.category;
+      document.getElementById('qDifficulty').value = q.difficulty;
+      document.getElementById('qType').value = q.type;
+      document.getElementById('qTags').value = (q.tags || []).join(', ');
+      document.getElementById('formTitle').textContent = 'Edit Question #' + q.id;
+      window.scrollTo({ top: 0, behavior: 'smooth' });
+    }
+
+    async function saveQuestion() {
+      const id = document.getElementById('editId').value;
+      const body = {
+        question: document.getElementById('qText').value,
+        category: document.getElementById('qCategory').value,
+        difficulty: document.getElementById('qDifficulty').value,
+        type: document.getElementById('qType').value,
+        tags: document.getElementById('qTags').value
+      };
+      try {
+        await api(id ? '/' + id : '', { method: id ? 'PUT' : 'POST', body: JSON.stringify(body) });
+        resetForm();
+        setStatus('Saved');
+        loadQuestions(currentPage);
+      } catch (error) {
+        setStatus('Save failed: ' + error.message);
+      }
+    }
+
+    async function setRetired(id, retired) {
+      try {
+        if (retired) {
+          await api('/' + id, { method: 'DELETE' });
+        } else {
+          await api('/' + id, { method: 'PUT', body: JSON.stringify({ retired: false }) });
+        }
+        loadQuestions(currentPage);
+      } catch (error) {
+        setStatus('Update failed: ' + error.message);
+      }
+    }
+
+    async function exportBank(format) {
+      try {
+        // Renews the session first if needed, since the download itself can't be retried
+        await api('?limit=1');
+        window.location.href = API + '/export?format=' + format;
+      } catch (error) {
+        setStatus('Export failed: ' + error.message);
+      }
+    }
+
+    async function importBank(file) {
+      if (!file) return;
+      const text = await file.text();
+      const isJson = file.name.toLowerCase().endsWith('.json');
+      try {
+        let body;
+        if (isJson) {
+          const parsed = JSON.parse(text);
+          body = JSON.stringify({ questions: Array.isArray(parsed) ? parsed : parsed.questions });
+        } else {
+          body = JSON.stringify({ csv: text });
+        }
+        const result = await api('/import', { method: 'POST', body });
+        setStatus('Imported: ' + result.created + ' created, ' + result.updated + ' updated, ' + result.rejected + ' rejected');
+        loadQuestions(1);
+      } catch (error) {
+        setStatus('Import failed: ' + error.message);
+      }
+      document.getElementById('importFile').value = '';
+    }
+
+    loadQuestions(1);
+  </script>
+</body>
+</html>
+  `;
+}
+
+// GET /api/admin/questions/editor - Simple HTML editor for the question bank
+app.get('/api/admin/questions/editor', requireAdminPage, (req, res) => {
+  res.send(renderQuestionEditorPage());
+});
+
+// GET /api/admin/questions/:id - Get a single question
+app.get('/api/admin/questions/:id', requireAdmin, async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    const question = id ? await Question.findById(id) : null;
+    if (!question) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+    res.json({ question });
+  } catch (error) {
+    console.error('Get question error:', error);
+    res.status(500).json({ error: 'Failed to get question', message: error.message });
+  }
+});
+
+// POST /api/admin/questions - Create a question
+app.post('/api/admin/questions', requireAdmin, async (req, res) => {
+  try {
+    const { errors, value } = validateQuestionInput(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid question', details: errors });
+    }
+    
+    const duplicate = await Question.findByText(value.question);
+    if (duplicate) {
+      return res.status(409).json({ error: 'Question already exists', id: duplicate.id });
+    }
+    
+    const question = await Question.create({ ...value, source: 'admin' });
+    await reloadQuestionBank();
+    console.log(`[QUESTION BANK] Created question #${question.id}`);
+    
+    res.status(201).json({ question });
+  } catch (error) {
+    console.error('Create question error:', error);
+    res.status(500).json({ error: 'Failed to create question', message: error.message });
+  }
+});
+
+// PUT /api/admin/questions/:id - Update fields (set retired: false to restore a retired question)
+app.put('/api/admin/questions/:id', requireAdmin, async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    const existing = id ? await Question.findById(id) : null;
+    if (!existing) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+    
+    const { errors, value } = validateQuestionInput(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid question', details: errors });
+    }
+    
+    if (value.question) {
+      const duplicate = await Question.findByText(value.question);
+      if (duplicate && duplicate.id !== id) {
+        return res.status(409).json({ error: 'Question already exists', id: duplicate.id });
+      }
+    }
+    
+    const question = await Question.update(id, value);
+    await reloadQuestionBank();
+    console.log(`[QUESTION BANK] Updated question #${id}`);
+    
+    res.json({ question });
+  } catch (error) {
+    console.error('Update question error:', error);
+    res.status(500).json({ error: 'Failed to update question', message: error.message });
+  }
+});
+
+// DELETE /api/admin/questions/:id - Soft-retire a question (?hard=true deletes it permanently)
+app.delete('/api/admin/questions/:id', requireAdmin, async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    const existing = id ? await Question.findById(id) : null;
+    if (!existing) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+    
+    if (req.query.hard === 'true') {
+      await Question.delete(id);
+    } else {
+      await Question.update(id, { retired: true });
+    }
+    await reloadQuestionBank();
+    console.log(`[QUESTION BANK] ${req.query.hard === 'true' ? 'Deleted' : 'Retired'} question #${id}`);
+    
+    res.json({ success: true, id, deleted: req.query.hard === 'true', retired: req.query.hard !== 'true' });
+  } catch (error) {
+    console.error('Delete question error:', error);
+    res.status(500).json({ error: 'Failed to delete question', message: error.message });
+  }
+});
+
+// ========== ADMIN QUESTION PACK ENDPOINTS ==========
+
+// Validate pack questions (plain strings or question objects); category defaults to City & Department Specific
+function validatePackQuestions(list) {
+  const valid = [];
+  const errors = [];
+  (Array.isArray(list) ? list : []).forEach((item, i) => {
+    const input = typeof item === 'string' ? { question: item } : { ...item };
+    if (input && !input.category) input.category = DEFAULT_PACK_CATEGORY;
+    const { errors: itemErrors, value } = validateQuestionInput(input);
+    if (itemErrors.length > 0) {
+      errors.push({ row: i + 1, errors: itemErrors });
+    } else {
+      valid.push(value);
+    }
+  });
+  return { valid, errors };
+}
+
+// GET /api/admin/question-packs - List department question packs
+app.get('/api/admin/question-packs', requireAdmin, async (req, res) => {
+  try {
+    const packs = await QuestionPack.list();
+    res.json({ packs });
+  } catch (error) {
+    console.error('List question packs error:', error);
+    res.status(500).json({ error: 'Failed to list question packs', message: error.message });
+  }
+});
+
+// POST /api/admin/question-packs - Create a pack tagged to a department and/or city, with its questions
+app.post('/api/admin/question-packs', requireAdmin, async (req, res) => {
+  try {
+    const { name, departmentName, city, stateProvince, country, description, source, questions = [] } = req.body;
+    
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+    if (!departmentName && !city) {
+      return res.status(400).json({ error: 'departmentName or city is required' });
+    }
+    
+    const { valid, errors } = validatePackQuestions(questions);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid questions', details: errors });
+    }
+    
+    const pack = await QuestionPack.create({
+      name: name.trim(),
+      departmentName: departmentName || null,
+      city: city || null,
+      stateProvince: stateProvince || null,
+      country: country || null,
+      description: description || null,
+      source: source || null
+    });
+    const { added, skipped } = await QuestionPack.addItems(pack.id, valid);
+    console.log(`[QUESTION PACKS] Created pack #${pack.id} "${pack.name}" with ${added} questions`);
+    
+    res.status(201).json({ pack: { ...pack, questionCount: added }, added, skipped });
+  } catch (error) {
+    console.error('Create question pack error:', error);
+    res.status(500).json({ error: 'Failed to create question pack', message: error.message });
+  }
+});
+
+// GET /api/admin/question-packs/:id - Get a pack with its questions
+app.get('/api/admin/question-packs/:id', requireAdmin, async (req, res) => {
+  try {
+    const pack = await QuestionPack.findById(parseInt(req.params.id));
+    if (!pack) {
+      return res.status(404).json({ error: 'Question pack not found' });
+    }
+    const questions = await QuestionPack.getItems(pack.id);
+    res.json({ pack: { ...pack, questionCount: questions.length }, questions });
+  } catch (error) {
+    console.error('Get question pack error:', error);
+    res.status(500).json({ error: 'Failed to get question pack', message: error.message });
+  }
+});
+
+// POST /api/admin/question-packs/:id/questions - Add questions to an existing pack (duplicates are skipped)
+app.post('/api/admin/question-packs/:id/questions', requireAdmin, async (req, res) => {
+  try {
+    const pack = await QuestionPack.findById(parseInt(req.params.id));
+    if (!pack) {
+      return res.status(404).json({ error: 'Question pack not found' });
+    }
+    
+    const { valid, errors } = validatePackQuestions(req.body.questions);
+    if (errors.length > 0 || valid.length === 0) {
+      return res.status(400).json({ error: 'Invalid questions', details: errors.length > 0 ? errors : ['questions must be a non-empty array'] });
+    }
+    
+    const { added, skipped } = await QuestionPack.addItems(pack.id, valid);
+    console.log(`[QUESTION PACKS] Added ${added} questions to pack #${pack.id}`);
+    
+    res.json({ success: true, added, skipped });
+  } catch (error) {
+    console.error('Add pack questions error:', error);
+    res.status(500).json({ error: 'Failed to add questions', message: error.message });
+  }
+});
+
+// PUT /api/admin/question-packs/:id - Activate or deactivate a pack
+app.put('/api/admin/question-packs/:id', requireAdmin, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (!(await QuestionPack.findById(id))) {
+      return res.status(404).json({ error: 'Question pack not found' });
+    }
+    if (typeof req.body.active !== 'boolean') {
+      return res.status(400).json({ error: 'active must be true or false' });
+    }
+    
+    const pack = await QuestionPack.setActive(id, req.body.active);
+    res.json({ pack });
+  } catch (error) {
+    console.error('Update question pack error:', error);
+    res.status(500).json({ error: 'Failed to update question pack', message: error.message });
+  }
+});
+
+// GET /api/admin/question-packs/:id/coverage?userId= - Which of the pack's questions a user has seen/answered
+app.get('/api/admin/question-packs/:id/coverage', requireAdmin, async (req, res) => {
+  try {
+    const userId = parseInt(req.query.userId);
+    if (!userId) {
+      return res.status(400).json({ error: 'userId is required' });
+    }
+    res.locals.audit = { targetUserIds: [userId] };
+    
+    const pack = await QuestionPack.findById(parseInt(req.params.id));
+    if (!pack) {
+      return res.status(404).json({ error: 'Question pack not found' });
+    }
+    
+    const [items, views, answered] = await Promise.all([
+      QuestionPack.getItems(pack.id),
+      QuestionPack.getViews(userId, pack.id),
+      InterviewAttempt.getAnsweredQuestions(userId)
+    ]);
+    
+    res.json({ userId, ...buildCoverageReport(pack, items, views, answered) });
+  } catch (error) {
+    console.error('Question pack coverage error:', error);
+    res.status(500).json({ error: 'Failed to get question pack coverage', message: error.message });
+  }
+});
+
+// ========== ADMIN DEPARTMENT RESEARCH ENDPOINTS ==========
+
+// GET /api/admin/department-research - List cached research facts (filters: city, departmentName)
+app.get('/api/admin/department-research', requireAdmin, async (req, res) => {
+  try {
+    const entries = await DepartmentResearch.list({
+      city: req.query.city || null,
+      departmentName: req.query.departmentName || null,
+      limit: Math.min(1000, parseInt(req.query.limit) || 200)
+    });
+    
+    res.json({
+      facts: entries.map(entry => ({
+        ...entry,
+        servedValue: resolveFactValue(entry),
+        pinned: !!entry.overrideValue,
+        fresh: isFactFresh(entry)
+      }))
+    });
+  } catch (error) {
+    console.error('List department research error:', error);
+    res.status(500).json({ error: 'Failed to list department research', message: error.message });
+  }
+});
+
+// PUT /api/admin/department-research/override - Pin a corrected value for one fact (value: null un-pins it)
+app.put('/api/admin/department-research/override', requireAdmin, async (req, res) => {
+  try {
+    const { country, stateProvince, city, departmentName, fact, value, note } = req.body;
+    
+    if (!country || !city || !departmentName || !fact) {
+      return res.status(400).json({ error: 'Missing required fields: country, city, departmentName, fact' });
+    }
+    
+    const location = { country, stateProvince, city, departmentName };
+    const knownFacts = buildCriticalSearches(location).map(search => search.fact);
+    if (!knownFacts.includes(fact)) {
+      return res.status(400).json({ error: `fact must be one of: ${knownFacts.join(', ')}` });
+    }
+    
+    const overrideValue = typeof value === 'string' && value.trim() ? value.trim() : null;
+    const entry = await DepartmentResearch.setOverride(buildResearchKey(location), location, fact, overrideValue, note || null);
+    console.log(`[RESEARCH CACHE] ${overrideValue ? 'Pinned' : 'Cleared'} override for "${fact}" (${city}, ${departmentName})`);
+    
+    res.json({ fact: { ...entry, servedValue: resolveFactValue(entry), pinned: !!entry.overrideValue } });
+  } catch (error) {
+    console.error('Department research override error:', error);
+    res.status(500).json({ error: 'Failed to save override', message: error.message });
+  }
+});
+
+// POST /api/admin/department-research/:id/expire - Mark a cached fact stale so the next research run re-searches it
+app.post('/api/admin/department-research/:id/expire', requireAdmin, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (!(await DepartmentResearch.findById(id))) {
+      return res.status(404).json({ error: 'Research fact not found' });
+    }
+    const entry = await DepartmentResearch.expire(id);
+    res.json({ fact: entry });
+  } catch (error) {
+    console.error('Expire department research error:', error);
+    res.status(500).json({ error: 'Failed to expire research fact', message: error.message });
+  }
+});
+
+// DIAGNOSTIC ENDPOINT: Find all accounts by email (for debugging credit issues)
+app.get('/api/admin/find-accounts', requireAdmin, async (req, res) => {
+  try {
+    const { email } = req.query;
+    
+    const { query } = require('./db');
+    
+    let accounts = [];
+    let allAccounts = [];
+    let highCreditAccounts = [];
+    let creditHistory = [];
     let transactions = [];
     
     if (email) {
@@ -4150,74 +6518,417 @@ app.get('/api/admin/find-accounts', async (req, res) => {
 });
 
 // MERGE ENDPOINT: Merge two accounts (transfer credits from source to target)
-app.post('/api/admin/merge-accounts', async (req, res) => {
+app.post('/api/admin/merge-accounts', requireAdmin, async (req, res) => {
   try {
-    const { sourceUserId, targetUserId, secret } = req.body;
-    
-    // Require secret for security
-    if (!secret || secret !== ANALYTICS_SECRET) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
+    const sourceUserId = parseId(req.body.sourceUserId);
+    const targetUserId = parseId(req.body.targetUserId);
+    res.locals.audit = { action: 'accounts.merge', targetUserIds: [sourceUserId, targetUserId] };
     
     if (!sourceUserId || !targetUserId) {
-      return res.status(400).json({ error: 'sourceUserId and targetUserId required' });
+      return res.status(400).json({ error: 'sourceUserId and targetUserId must be user ids' });
     }
     
     if (sourceUserId === targetUserId) {
       return res.status(400).json({ error: 'Cannot merge account with itself' });
     }
     
-    // Get both users
-    const sourceUser = await User.findById(sourceUserId);
-    const targetUser = await User.findById(targetUserId);
+    // Every write (credits, identities, sessions, audit entry) commits together or not at all
+    const result = await withTransaction(async () => {
+      // Locked so the balances can't change between reading and moving them
+      const [sourceUser, targetUser] = await User.lockForUpdate([sourceUserId, targetUserId]);
+      if (!sourceUser || !targetUser) {
+        return { status: 404, body: { error: 'One or both users not found' } };
+      }
+      
+      console.log(`[MERGE] Merging account ${sourceUserId} (${sourceUser.email}, ${sourceUser.credits_balance} credits) into ${targetUserId} (${targetUser.email}, ${targetUser.credits_balance} credits)`);
+      
+      // Transfer credits: one ledger entry on each side, kept in the audit log so the merge can be undone
+      const ledgerEntries = [];
+      if (sourceUser.credits_balance > 0) {
+        const debit = await User.adjustCredits(sourceUser.id, -sourceUser.credits_balance, `Merged into account ${targetUser.id} (${targetUser.email})`);
+        const credit = await User.adjustCredits(targetUser.id, sourceUser.credits_balance, `Merged from account ${sourceUser.id} (${sourceUser.email})`);
+        ledgerEntries.push(debit.entry, credit.entry);
+      }
+      
+      // Move the source account's sign-in identities (e.g. its Google account) to the target, so future logins use target
+      const movedIdentities = await UserIdentity.moveToUser(sourceUser.id, targetUser.id);
+      
+      // Sign out the merged-away account everywhere so it can't keep being used
+      const revokedSessions = await UserSession.revokeAllForUser(sourceUser.id, 'account_merge');
+      
+      // Get updated users
+      const updatedSource = await User.findById(sourceUser.id);
+      const updatedTarget = await User.findById(targetUser.id);
+      
+      const auditEntry = await recordAdminAction(req, res, {
+        action: 'accounts.merge',
+        targetUserIds: [sourceUser.id, targetUser.id],
+        balances: balanceChanges([sourceUser, targetUser], [updatedSource, updatedTarget]),
+        ledgerEntryIds: ledgerEntries.map(entry => entry.id),
+        details: {
+          sourceUserId: sourceUser.id,
+          targetUserId: targetUser.id,
+          movedIdentityIds: movedIdentities.map(identity => identity.id),
+          revokedSessions
+        }
+      });
+      
+      console.log(`[MERGE] Transferred ${sourceUser.credits_balance} credits, moved ${movedIdentities.length} sign-in identities and revoked ${revokedSessions} sessions of account ${sourceUserId}`);
+      return {
+        status: 200,
+        body: {
+          success: true,
+          message: `Merged account ${sourceUserId} into ${targetUserId}`,
+          auditLogId: auditEntry.id,
+          sourceAccount: {
+            id: sourceUser.id,
+            email: sourceUser.email,
+            credits_before: sourceUser.credits_balance,
+            credits_after: updatedSource.credits_balance
+          },
+          targetAccount: {
+            id: updatedTarget.id,
+            email: updatedTarget.email,
+            credits_before: targetUser.credits_balance,
+            credits_after: updatedTarget.credits_balance
+          }
+        }
+      };
+    });
     
-    if (!sourceUser || !targetUser) {
-      return res.status(404).json({ error: 'One or both users not found' });
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    console.error('Merge accounts error:', error);
+    // The audit entry written in the transaction was rolled back; log the failure when the response finishes
+    if (res.locals.audit) {
+      res.locals.audit = { action: res.locals.audit.action, targetUserIds: res.locals.audit.targetUserIds };
     }
-    
-    console.log(`[MERGE] Merging account ${sourceUserId} (${sourceUser.email}, ${sourceUser.credits_balance} credits) into ${targetUserId} (${targetUser.email}, ${targetUser.credits_balance} credits)`);
-    
-    // Transfer credits
-    if (sourceUser.credits_balance > 0) {
-      await User.addCredits(targetUserId, sourceUser.credits_balance, `Merged from account ${sourceUserId} (${sourceUser.email})`);
-      console.log(`[MERGE] Transferred ${sourceUser.credits_balance} credits to account ${targetUserId}`);
+    res.status(500).json({ error: 'Failed to merge accounts', message: error.message });
+  }
+});
+
+// POST /api/admin/merge-accounts/:auditLogId/undo - Reverse a merge from its audit log entry
+// The logged credit ledger entries are reversed and moved sign-in identities go back to the source account.
+// Signed-out devices of the source account stay signed out.
+app.post('/api/admin/merge-accounts/:auditLogId/undo', requireAdmin, async (req, res) => {
+  try {
+    const auditLogId = parseId(req.params.auditLogId);
+    const merge = auditLogId ? await AdminAuditLog.findById(auditLogId) : null;
+    if (!merge || merge.action !== 'accounts.merge' || !merge.details) {
+      return res.status(404).json({ error: 'Merge not found in the audit log' });
     }
+    const { sourceUserId, targetUserId, movedIdentityIds = [] } = merge.details;
+    res.locals.audit = { action: 'accounts.merge.undo', targetUserIds: [sourceUserId, targetUserId], reversesLogId: merge.id };
     
-    // Update source account provider_id to point to target (so future logins use target)
-    if (sourceUser.provider === 'google' && sourceUser.provider_id) {
-      const { query } = require('./db');
-      // Copy provider_id from source to target so both work
-      await query('UPDATE users SET provider_id = $1 WHERE id = $2', [sourceUser.provider_id, targetUserId]);
-      console.log(`[MERGE] Updated provider_id for account ${targetUserId}`);
+    if (merge.reversed_at) {
+      return res.status(409).json({ error: 'This merge has already been undone', reversedByLogId: merge.reversed_by_log_id });
     }
     
-    // Get updated target user
-    const updatedTarget = await User.findById(targetUserId);
+    // The reversal, the "reversed" mark and the audit entry commit together, so a failure leaves the merge as it was
+    const result = await withTransaction(async () => {
+      const usersBefore = await User.lockForUpdate([sourceUserId, targetUserId]);
+      if (usersBefore.some(user => !user)) {
+        return { status: 404, body: { error: 'One or both users no longer exist' } };
+      }
+      
+      // Credits spent since the merge can't be taken back
+      const ledgerEntries = await CreditLedger.findByIds(merge.ledger_entry_ids || []);
+      const balances = Object.fromEntries(usersBefore.map(user => [user.id, user.credits_balance]));
+      const { adjustments, shortfalls } = planMergeReversal(ledgerEntries, balances);
+      if (shortfalls.length > 0) {
+        return { status: 409, body: { error: 'Not enough credits left to undo the merge', shortfalls } };
+      }
+      
+      // Claims the merge; a concurrent undo that got here first leaves nothing to claim
+      if (!await AdminAuditLog.markReversed(merge.id)) {
+        return { status: 409, body: { error: 'This merge has already been undone' } };
+      }
+      
+      const reversalEntries = [];
+      for (const { userId, change } of adjustments) {
+        const { entry } = await User.adjustCredits(userId, change, `Undo merge (audit log #${merge.id})`);
+        reversalEntries.push(entry);
+      }
+      const restoredIdentities = await UserIdentity.moveBack(movedIdentityIds, targetUserId, sourceUserId);
+      
+      const usersAfter = [await User.findById(sourceUserId), await User.findById(targetUserId)];
+      const auditEntry = await recordAdminAction(req, res, {
+        action: 'accounts.merge.undo',
+        targetUserIds: [sourceUserId, targetUserId],
+        balances: balanceChanges(usersBefore, usersAfter),
+        ledgerEntryIds: reversalEntries.map(entry => entry.id),
+        reversesLogId: merge.id,
+        details: { restoredIdentityIds: restoredIdentities.map(identity => identity.id) }
+      });
+      await AdminAuditLog.linkReversal(merge.id, auditEntry.id);
+      
+      return {
+        status: 200,
+        body: {
+          success: true,
+          message: `Undid merge of account ${sourceUserId} into ${targetUserId}`,
+          auditLogId: auditEntry.id,
+          accounts: usersAfter.map(user => ({ id: user.id, email: user.email, credits_balance: user.credits_balance })),
+          restoredIdentities: restoredIdentities.map(identity => identity.provider)
+        }
+      };
+    });
     
-    res.json({
-      success: true,
-      message: `Merged account ${sourceUserId} into ${targetUserId}`,
-      sourceAccount: {
-        id: sourceUser.id,
-        email: sourceUser.email,
-        credits_before: sourceUser.credits_balance,
-        credits_after: 0
-      },
-      targetAccount: {
-        id: updatedTarget.id,
-        email: updatedTarget.email,
-        credits_before: targetUser.credits_balance,
-        credits_after: updatedTarget.credits_balance
+    if (result.status === 200) {
+      console.log(`[MERGE] User ${req.admin.id} undid merge #${merge.id} (account ${sourceUserId} into ${targetUserId})`);
+    }
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    console.error('Undo merge error:', error);
+    // The audit entry written in the transaction was rolled back; log the failure when the response finishes
+    if (res.locals.audit) {
+      const { action, targetUserIds, reversesLogId } = res.locals.audit;
+      res.locals.audit = { action, targetUserIds, reversesLogId };
+    }
+    res.status(500).json({ error: 'Failed to undo merge', message: error.message });
+  }
+});
+
+// Audit log page; like the question editor it calls the JSON API with the admin's authToken cookie
+function renderAuditLogPage() {
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Admin Audit Log - Fire Interview Coach</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+      background: linear-gradient(135deg, #0f172a 0%, #1e293b 100%);
+      color: #e2e8f0;
+      padding: 20px;
+      min-height: 100vh;
+    }
+    .container { max-width: 1400px; margin: 0 auto; }
+    h1 { color: #fbbf24; font-size: 2rem; margin-bottom: 20px; text-align: center; }
+    .section {
+      background: rgba(30, 41, 59, 0.8);
+      border: 1px solid rgba(148, 163, 184, 0.2);
+      border-radius: 12px;
+      padding: 20px;
+      margin-bottom: 20px;
+    }
+    .toolbar { display: flex; flex-wrap: wrap; gap: 10px; align-items: center; }
+    input, button {
+      background: #0f172a;
+      color: #e2e8f0;
+      border: 1px solid rgba(148, 163, 184, 0.3);
+      border-radius: 6px;
+      padding: 8px 10px;
+      font-size: 0.9rem;
+    }
+    button { cursor: pointer; background: #1e40af; border-color: #1e40af; }
+    button.secondary { background: transparent; }
+    button.danger { background: #991b1b; border-color: #991b1b; }
+    table { width: 100%; border-collapse: collapse; margin-top: 15px; }
+    th, td { padding: 10px; text-align: left; border-bottom: 1px solid rgba(148, 163, 184, 0.1); vertical-align: top; font-size: 0.9rem; }
+    th { color: #fbbf24; font-size: 0.85rem; text-transform: uppercase; }
+    tr.refused td { color: #fca5a5; }
+    pre { white-space: pre-wrap; word-break: break-word; font-size: 0.8rem; color: #94a3b8; max-width: 480px; }
+    .status { color: #94a3b8; font-size: 0.85rem; margin-top: 10px; min-height: 1.2em; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h1>🔥 Admin Audit Log</h1>
+
+    <div class="section">
+      <div class="toolbar">
+        <input id="filterAction" placeholder="Action (e.g. accounts.merge)">
+        <input id="filterUser" placeholder="Target user id" style="width: 140px;">
+        <input id="filterActor" placeholder="Admin user id" style="width: 140px;">
+        <button onclick="loadEntries(1)">Filter</button>
+      </div>
+      <div class="status" id="status"></div>
+      <table>
+        <thead><tr><th>#</th><th>When</th><th>Admin</th><th>Action</th><th>Status</th><th>Users</th><th>Balances</th><th>Details</th><th></th></tr></thead>
+        <tbody id="rows"></tbody>
+      </table>
+      <div class="toolbar" style="margin-top: 15px;">
+        <button class="secondary" onclick="loadEntries(currentPage - 1)">← Prev</button>
+        <span id="pageInfo"></span>
+        <button class="secondary" onclick="loadEntries(currentPage + 1)">Next →</button>
+      </div>
+    </div>
+  </div>
+
+  <script>
+    const API = '/api/admin';
+    let currentPage = 1;
+    let totalPages = 1;
+
+    function setStatus(text) {
+      document.getElementById('status').textContent = text;
+    }
+
+    function escapeHtml(text) {
+      const div = document.createElement('div');
+      div.textContent = text == null ? '' : String(text);
+      return div.innerHTML;
+    }
+
+    async function api(path, options = {}, isRetry = false) {
+      const response = await fetch(API + path, {
+        ...options,
+        credentials: 'same-origin',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json', ...(options.headers || {}) }
+      });
+      if ((response.status === 401 || response.status === 403) && !isRetry) {
+        const refreshed = await fetch('/api/auth/refresh', { method: 'POST', credentials: 'same-origin' }).catch(() => null);
+        if (refreshed && refreshed.ok) return api(path, options, true);
+      }
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || ('HTTP ' + response.status));
+      }
+      return data;
+    }
+
+    function describeBalances(balances) {
+      if (!balances) return '';
+      return Object.keys(balances).map(userId =>
+        '#' + userId + ': ' + balances[userId].before + ' → ' + balances[userId].after
+      ).join('<br>');
+    }
+
+    function describeDetails(entry) {
+      const shown = {};
+      if (entry.details) shown.details = entry.details;
+      if (entry.payload) shown.payload = entry.payload;
+      if (entry.ledgerEntryIds.length > 0) shown.ledgerEntryIds = entry.ledgerEntryIds;
+      if (entry.reversesLogId) shown.reverses = entry.reversesLogId;
+      return Object.keys(shown).length > 0 ? '<pre>' + escapeHtml(JSON.stringify(shown, null, 2)) + '</pre>' : '';
+    }
+
+    function describeUndo(entry) {
+      if (entry.action !== 'accounts.merge' || entry.statusCode >= 400) return '';
+      if (entry.reversedAt) return '<span style="color: #94a3b8;">Undone' + (entry.reversedByLogId ? ' (#' + entry.reversedByLogId + ')' : '') + '</span>';
+      return '<button class="danger" onclick="undoMerge(' + entry.id + ')">Undo</button>';
+    }
+
+    async function loadEntries(page) {
+      if (page < 1 || page > totalPages) return;
+      const params = new URLSearchParams({ format: 'json', page, limit: 50 });
+      const filters = { action: 'filterAction', userId: 'filterUser', actorUserId: 'filterActor' };
+      Object.keys(filters).forEach(key => {
+        const value = document.getElementById(filters[key]).value.trim();
+        if (value) params.set(key, value);
+      });
+      try {
+        const data = await api('/audit-log?' + params.toString());
+        currentPage = data.pagination.page;
+        totalPages = Math.max(1, data.pagination.totalPages);
+        document.getElementById('pageInfo').textContent = 'Page ' + currentPage + ' of ' + totalPages + ' (' + data.pagination.total + ' entries)';
+        document.getElementById('rows').innerHTML = data.entries.map(entry =>
+          '<tr class="' + (entry.statusCode >= 400 ? 'refused' : '') + '">' +
+            '<td>' + entry.id + '</td>' +
+            '<td style="white-space: nowrap;">' + escapeHtml(new Date(entry.createdAt).toLocaleString()) + '</td>' +
+            '<td>' + escapeHtml(entry.actor.email || ('#' + entry.actor.id)) + '</td>' +
+            '<td>' + escapeHtml(entry.action) + (entry.path ? '<br><span style="color: #64748b;">' + escapeHtml(entry.method + ' ' + entry.path) + '</span>' : '') + '</td>' +
+            '<td>' + escapeHtml(entry.statusCode || '') + '</td>' +
+            '<td>' + escapeHtml(entry.targetUserIds.map(id => '#' + id).join(', ')) + '</td>' +
+            '<td style="white-space: nowrap;">' + describeBalances(entry.balances) + '</td>' +
+            '<td>' + describeDetails(entry) + '</td>' +
+            '<td>' + describeUndo(entry) + '</td>' +
+          '</tr>'
+        ).join('');
+        setStatus('');
+      } catch (error) {
+        setStatus('Failed to load: ' + error.message);
+      }
+    }
+
+    async function undoMerge(id) {
+      if (!confirm('Undo merge #' + id + '? Credits and sign-in methods go back to the source account.')) return;
+      try {
+        const result = await api('/merge-accounts/' + id + '/undo', { method: 'POST' });
+        setStatus(result.message);
+        loadEntries(currentPage);
+      } catch (error) {
+        setStatus('Undo failed: ' + error.message);
       }
+    }
+
+    loadEntries(1);
+  </script>
+</body>
+</html>
+  `;
+}
+
+// GET /api/admin/audit-log - Admin actions, newest first (filters: actorUserId, userId, action; page, limit)
+// Opened in the browser it's a page listing the entries, with Undo on account merges.
+app.get('/api/admin/audit-log', requireAdminPage, async (req, res) => {
+  try {
+    if (req.query.format !== 'json' && req.accepts(['json', 'html']) === 'html') {
+      return res.send(renderAuditLogPage());
+    }
+    
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+    const { entries, total } = await AdminAuditLog.list({
+      actorUserId: parseInt(req.query.actorUserId) || null,
+      targetUserId: parseInt(req.query.userId) || null,
+      action: req.query.action || null,
+      limit,
+      offset: (page - 1) * limit
+    });
+    
+    res.json({
+      entries: entries.map(formatAuditEntry),
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
     });
   } catch (error) {
-    console.error('Merge accounts error:', error);
-    res.status(500).json({ error: 'Failed to merge accounts', message: error.message });
+    console.error('Audit log error:', error);
+    res.status(500).json({ error: 'Failed to get audit log', message: error.message });
+  }
+});
+
+// PUT /api/admin/users/:id/role - Grant or remove the admin role ({ role: "admin" | "user" })
+app.put('/api/admin/users/:id/role', requireAdmin, async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!USER_ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${USER_ROLES.join(', ')}` });
+    }
+    
+    const userId = parseId(req.params.id);
+    const user = userId ? await User.findById(userId) : null;
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.locals.audit = { action: 'user.role', targetUserIds: [user.id], details: { from: user.role || 'user', to: role } };
+    
+    // Keep at least one admin, or nobody could grant the role again
+    if (user.role === 'admin' && role !== 'admin' && await User.countAdmins() <= 1) {
+      return res.status(400).json({ error: 'Cannot remove the last admin' });
+    }
+    
+    const updated = await User.setRole(user.id, role);
+    console.log(`[ADMIN] User ${req.admin.id} set role of user ${user.id} (${user.email}) to ${role}`);
+    res.json({ success: true, user: { id: updated.id, email: updated.email, role: updated.role } });
+  } catch (error) {
+    console.error('Set role error:', error);
+    res.status(500).json({ error: 'Failed to update role', message: error.message });
   }
 });
 
+// Load the question bank from the database (seeds it from masterQuestions.json on first run)
+initQuestionBank();
+
 app.listen(PORT, () => {
   console.log(`🔥 Fire Interview Coach API server running on port ${PORT}`);
   console.log(`Health check: http://localhost:${PORT}/health`);
-  console.log(`Analytics dashboard: http://localhost:${PORT}/api/analytics/dashboard?secret=${ANALYTICS_SECRET}`);
+  console.log(`LLM provider: ${llm.name}`);
+  console.log(`Transcription provider: ${transcriber.name}${transcriber.available ? '' : ' (not configured)'}`);
+  console.log(`Mail transport: ${mailer.name}`);
+  console.log(`Analytics dashboard: http://localhost:${PORT}/api/analytics/dashboard (admin sign-in required)`);
 });
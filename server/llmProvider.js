@@ -0,0 +1,183 @@
+// LLM Provider - one chat / web-search interface over OpenAI, Azure OpenAI, OpenAI-compatible servers (Ollama, vLLM, LM Studio) and a fixture stub
+// Selected with LLM_PROVIDER; each route's model can be overridden with LLM_MODEL_<ROUTE> (e.g. LLM_MODEL_ANALYZE_ANSWER).
+
+const crypto = require('crypto');
+const fs = require('fs');
+const OpenAI = require('openai');
+const { STUB_FIXTURES } = require('./llmStubFixtures');
+
+const PROVIDERS = ['openai', 'azure', 'openai-compatible', 'stub'];
+const DEFAULT_MODEL = 'gpt-4o-mini';
+const DEFAULT_AZURE_API_VERSION = '2024-10-21';
+const STUB_STREAM_CHUNK_CHARS = 12;
+
+// Every route that talks to the model - used for per-route model config and stub fixtures
+const LLM_ROUTES = [
+  'question',
+  'followup',
+  'analyze-answer',
+  'model-answer',
+  'parse-resume',
+  'areas-to-work-on',
+  'research-city',
+  'mock-interview-plan',
+  'mock-interview-scorecard'
+];
+
+// "analyze-answer" → "LLM_MODEL_ANALYZE_ANSWER"
+function routeModelEnvName(route) {
+  return `LLM_MODEL_${route.toUpperCase().replace(/-/g, '_')}`;
+}
+
+function resolveModel(route, env, fallback) {
+  return env[routeModelEnvName(route)] || env.LLM_MODEL || fallback;
+}
+
+function assertRoute(route) {
+  if (!LLM_ROUTES.includes(route)) {
+    throw new Error(`Unknown LLM route "${route}"`);
+  }
+}
+
+function createClient(providerName, env) {
+  if (providerName === 'azure') {
+    // The model name is sent as the Azure deployment name
+    return new OpenAI.AzureOpenAI({
+      apiKey: env.AZURE_OPENAI_API_KEY,
+      endpoint: env.AZURE_OPENAI_ENDPOINT,
+      apiVersion: env.AZURE_OPENAI_API_VERSION || DEFAULT_AZURE_API_VERSION
+    });
+  }
+  if (providerName === 'openai-compatible') {
+    if (!env.LLM_BASE_URL) {
+      throw new Error('LLM_BASE_URL is required for LLM_PROVIDER=openai-compatible (e.g. http://localhost:11434/v1 for Ollama)');
+    }
+    // Local servers usually ignore the key, but the client requires one
+    return new OpenAI({ apiKey: env.LLM_API_KEY || 'not-needed', baseURL: env.LLM_BASE_URL });
+  }
+  return new OpenAI({ apiKey: env.OPENAI_API_KEY });
+}
+
+// Fixture files map route → content (string or JSON object) or a list of them
+function loadStubFixtures(fixturesPath) {
+  if (!fixturesPath) return {};
+  const data = JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`LLM_STUB_FIXTURES must be a JSON object keyed by route (${fixturesPath})`);
+  }
+  return data;
+}
+
+// Deterministic choice from a list, keyed by the prompt so the same request always gets the same response
+function pickFor(params) {
+  const seed = crypto.createHash('sha256').update(JSON.stringify(params.messages || [])).digest();
+  return list => list[seed.readUInt32BE(0) % list.length];
+}
+
+function toChatCompletion(content, model) {
+  return {
+    id: 'stub-' + crypto.createHash('sha256').update(content).digest('hex').slice(0, 12),
+    object: 'chat.completion',
+    model,
+    choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }]
+  };
+}
+
+function createStubProvider(env) {
+  const overrides = loadStubFixtures(env.LLM_STUB_FIXTURES);
+
+  return {
+    name: 'stub',
+    supportsWebSearch: false,
+
+    modelFor(route) {
+      assertRoute(route);
+      return resolveModel(route, env, 'stub');
+    },
+
+    async chat(route, params = {}) {
+      const model = this.modelFor(route);
+      const pick = pickFor(params);
+      let content;
+      if (overrides[route] !== undefined) {
+        const fixture = Array.isArray(overrides[route]) ? pick(overrides[route]) : overrides[route];
+        content = typeof fixture === 'string' ? fixture : JSON.stringify(fixture);
+      } else {
+        content = STUB_FIXTURES[route](params, pick);
+      }
+      return toChatCompletion(content, model);
+    },
+
+    // Replays the fixture in small chunks so streaming clients can be exercised offline
+    async *chatStream(route, params = {}, { signal } = {}) {
+      const response = await this.chat(route, params);
+      const content = response.choices[0].message.content;
+      for (let i = 0; i < content.length; i += STUB_STREAM_CHUNK_CHARS) {
+        if (signal && signal.aborted) return;
+        await new Promise(resolve => setImmediate(resolve));
+        yield content.slice(i, i + STUB_STREAM_CHUNK_CHARS);
+      }
+    },
+
+    async webSearch() {
+      return null;
+    }
+  };
+}
+
+// Build the provider named by LLM_PROVIDER (default: openai)
+function createLLMProvider(env = process.env) {
+  const providerName = String(env.LLM_PROVIDER || 'openai').toLowerCase();
+  if (!PROVIDERS.includes(providerName)) {
+    throw new Error(`Unknown LLM_PROVIDER "${providerName}" (expected one of: ${PROVIDERS.join(', ')})`);
+  }
+  if (providerName === 'stub') return createStubProvider(env);
+
+  const client = createClient(providerName, env);
+  const fallbackModel = providerName === 'azure' ? (env.AZURE_OPENAI_DEPLOYMENT || DEFAULT_MODEL) : DEFAULT_MODEL;
+
+  return {
+    name: providerName,
+    // The web_search tool is only available on OpenAI's Responses API
+    supportsWebSearch: providerName === 'openai' && !!(client.responses && typeof client.responses.create === 'function'),
+
+    modelFor(route) {
+      assertRoute(route);
+      return resolveModel(route, env, fallbackModel);
+    },
+
+    // Same params and response shape as openai.chat.completions.create, minus the model
+    async chat(route, params = {}) {
+      return client.chat.completions.create({ ...params, model: this.modelFor(route) });
+    },
+
+    // Streamed chat: yields content deltas as they arrive; pass an AbortSignal to stop the upstream request
+    async *chatStream(route, params = {}, { signal } = {}) {
+      const stream = await client.chat.completions.create(
+        { ...params, model: this.modelFor(route), stream: true },
+        { signal }
+      );
+      for await (const chunk of stream) {
+        const delta = chunk.choices[0]?.delta?.content;
+        if (delta) yield delta;
+      }
+    },
+
+    // Responses API call with the web_search tool; null when the provider can't search
+    async webSearch(route, input) {
+      if (!this.supportsWebSearch) return null;
+      return client.responses.create({
+        model: this.modelFor(route),
+        tools: [{ type: 'web_search' }],
+        input
+      });
+    }
+  };
+}
+
+module.exports = {
+  PROVIDERS,
+  LLM_ROUTES,
+  routeModelEnvName,
+  createLLMProvider
+};
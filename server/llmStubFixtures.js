@@ -0,0 +1,155 @@
+// LLM Stub Fixtures - deterministic canned responses for LLM_PROVIDER=stub
+// Each route's fixture receives the chat params and returns the message content the real model would.
+// Values can be replaced per route with a JSON file (LLM_STUB_FIXTURES), see llmProvider.js.
+
+const QUESTIONS = [
+  { category: 'Teamwork', question: 'Tell us about a time you had to work closely with someone whose style was very different from yours.' },
+  { category: 'Integrity', question: 'How would you handle seeing a senior crew member take equipment home from the station?' },
+  { category: 'Customer Service', question: 'Describe a time you went above and beyond for a customer or member of the public.' },
+  { category: 'Stress Management', question: 'Tell us about the most stressful situation you have been in and how you handled it.' },
+  { category: 'Chain of Command', question: 'How would you respond if your captain gave you an order you believed was unsafe?' }
+];
+
+const FOLLOWUPS = [
+  'What would you do differently if the same situation happened again?',
+  'How did the other people involved react to what you did?',
+  'What did you learn from that experience that you would bring to this department?'
+];
+
+// Looked up by words in the research query, so every department gets the same fake facts
+const RESEARCH_FACTS = [
+  { match: /deputy chief/i, value: 'Deputy Chief Jordan Lee, Deputy Chief Sam Patel' },
+  { match: /fire chief/i, value: 'Chief Alex Morgan' },
+  { match: /mayor/i, value: 'Mayor Taylor Brooks' },
+  { match: /city manager/i, value: 'Casey Nguyen' },
+  { match: /union number/i, value: 'IAFF Local 1234' },
+  { match: /union president/i, value: 'Riley Chen' },
+  { match: /fire stations/i, value: '12 fire stations' },
+  { match: /number of members/i, value: 'approximately 450 members' },
+  { match: /established/i, value: 'Established in 1885' },
+  { match: /mission/i, value: 'To protect life, property and the environment through prevention, education and emergency response' }
+];
+
+function lastUserMessage(params) {
+  const messages = (params && params.messages) || [];
+  const last = [...messages].reverse().find(m => m.role === 'user');
+  return last ? String(last.content || '') : '';
+}
+
+const STUB_FIXTURES = {
+  question: (params, pick) => {
+    const prompt = lastUserMessage(params);
+    const categoryMatch = prompt.match(/for category: "([^"]+)"/);
+    if (categoryMatch && categoryMatch[1] === 'City & Department Specific') {
+      return 'Category: City & Department Specific\nQuestion: Who is the current Fire Chief of the department you are applying to?';
+    }
+    const item = pick(QUESTIONS);
+    return `Category: ${categoryMatch ? categoryMatch[1] : item.category}\nQuestion: ${item.question}`;
+  },
+
+  followup: (params, pick) => `Category: Followup\nQuestion: ${pick(FOLLOWUPS)}`,
+
+  'analyze-answer': (params) => {
+    const prompt = lastUserMessage(params);
+    const isKnowledge = /"factKeys"/.test(prompt);
+    const wordCount = (prompt.match(/Answer: "([\s\S]*?)"\n/) || ['', ''])[1].split(/\s+/).filter(Boolean).length;
+    // Longer answers score higher so score-dependent flows (review queue, trends) can be exercised
+    const overallScore = Math.min(9, Math.max(3, Math.round(wordCount / 15) + 3));
+    // A retry marks the first improvement point of the previous attempt as fixed
+    const isRetry = /PREVIOUS ATTEMPT at this same question/.test(prompt);
+    return JSON.stringify({
+      questionType: isKnowledge ? 'knowledge' : 'behavioral',
+      summary: 'Stub feedback: the answer was received and scored by the offline test provider.',
+      overallScore,
+      scoreReason: `${wordCount} words`,
+      strengths: ['Clear structure', 'Stayed on topic'],
+      improvements: ['Add a specific, measurable result', 'Tie the lesson back to the fire service'],
+      knowledge: {
+        verdict: isKnowledge ? 'unverified' : 'not_applicable',
+        correctAnswer: null,
+        missedFacts: [],
+        factKeys: []
+      },
+      starScores: isKnowledge ? null : { situation: overallScore, task: overallScore, action: overallScore, result: Math.max(0, overallScore - 1) },
+      starBreakdown: isKnowledge ? null : {
+        situation: 'Context was described.',
+        task: 'Your role was stated.',
+        action: 'Actions were listed.',
+        result: 'Add a measurable result.'
+      },
+      approachSteps: null,
+      modelAnswer: 'In my last role I noticed a problem, took ownership of fixing it with my team, and followed up until it was resolved. That is the same approach I would bring to the crew.',
+      ...(isRetry ? { retry: { fixed: [1], remainingGaps: ['Tie the lesson back to the fire service'] } } : {})
+    });
+  },
+
+  // Marks the first point of each STAR part as covered so the comparison view shows both states
+  'model-answer': () => JSON.stringify({
+    situation: 'Working as a lifeguard at the city pool, a swimmer collapsed on the deck during a busy afternoon.',
+    task: 'As the guard on that section, my job was to start care and keep the scene under control until EMS arrived.',
+    action: 'I called for backup and 911, checked breathing, and started CPR using my First Aid/CPR training while a coworker cleared the deck. When the paramedics arrived I gave them a quick handover of what we had done.',
+    result: 'The swimmer was breathing when he left in the ambulance. It taught me to stay calm and communicate clearly, which is exactly what a crew needs.',
+    resumeReferences: ['Lifeguard, City Pool, 2018-2020', 'First Aid/CPR'],
+    keyPoints: [
+      { component: 'situation', point: 'Sets the scene with a real job', phrase: 'a swimmer collapsed on the deck', covered: true, candidateQuote: null },
+      { component: 'task', point: 'States their own responsibility', phrase: 'my job was to start care', covered: false, candidateQuote: null },
+      { component: 'action', point: 'Names specific actions and training', phrase: 'started CPR using my First Aid/CPR training', covered: true, candidateQuote: null },
+      { component: 'action', point: 'Hands over to responders', phrase: 'gave them a quick handover', covered: false, candidateQuote: null },
+      { component: 'result', point: 'Concrete outcome and lesson', phrase: 'stay calm and communicate clearly', covered: false, candidateQuote: null }
+    ]
+  }),
+
+  'parse-resume': () => JSON.stringify({
+    experience: '5 years total',
+    certifications: ['First Aid/CPR', 'EMR'],
+    skills: ['Customer service', 'Equipment maintenance', 'Teamwork'],
+    workHistory: ['Warehouse Associate - 3 years', 'Lifeguard - 2 years'],
+    achievements: ['Employee of the month'],
+    interviewFocus: ['Lifeguard emergency response', 'Working under pressure'],
+    education: ['High school diploma'],
+    allJobs: ['Warehouse Associate, Example Logistics, 2020-2023', 'Lifeguard, City Pool, 2018-2020']
+  }),
+
+  'areas-to-work-on': () => 'Focus on finishing each answer with a clear, measurable result. Practice tying your examples back to what the crew and the public need from a probationary firefighter.',
+
+  'research-city': (params) => {
+    const prompt = lastUserMessage(params);
+    const fact = RESEARCH_FACTS.find(f => f.match.test(prompt));
+    return fact ? fact.value : 'NOT FOUND';
+  },
+
+  'mock-interview-plan': (params, pick) => {
+    const prompt = lastUserMessage(params);
+    const listMatch = prompt.match(/in this order:\n([\s\S]*?)\n\n/);
+    const categories = listMatch
+      ? listMatch[1].split('\n').map(line => line.replace(/^\d+\.\s*/, '').trim()).filter(Boolean)
+      : [];
+    return JSON.stringify({
+      questions: categories.map((category, i) => ({
+        category,
+        type: i % 2 === 0 ? 'behavioral' : 'situational',
+        question: QUESTIONS[i % QUESTIONS.length].question
+      }))
+    });
+  },
+
+  'mock-interview-scorecard': (params) => {
+    const prompt = lastUserMessage(params);
+    const indexes = (prompt.match(/^\d+\. \[/gm) || []).map(line => parseInt(line));
+    return JSON.stringify({
+      answers: indexes.map(index => ({
+        index,
+        score: 6,
+        strength: 'Answered the question directly.',
+        improvement: 'Add a concrete result.'
+      })),
+      summary: 'Stub scorecard from the offline test provider.',
+      topStrengths: ['Direct answers'],
+      priorityImprovements: ['Concrete results']
+    });
+  }
+};
+
+module.exports = {
+  STUB_FIXTURES
+};
@@ -0,0 +1,83 @@
+// Mailer - outgoing email over SMTP, or written to disk / the console for local testing
+// Selected with MAIL_TRANSPORT; every transport exposes send({ to, subject, text, html }) and resolves to { id }.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const MAIL_TRANSPORTS = ['smtp', 'file', 'console'];
+const DEFAULT_MAIL_FROM = 'Fire Interview Coach <no-reply@fireinterviewcoach.com>';
+const DEFAULT_MAIL_DIR = path.join(__dirname, 'data', 'mail');
+
+function createSmtpMailer(env) {
+  if (!env.SMTP_HOST) {
+    throw new Error('SMTP_HOST is required for MAIL_TRANSPORT=smtp');
+  }
+  const port = parseInt(env.SMTP_PORT) || 587;
+  const transport = nodemailer.createTransport({
+    host: env.SMTP_HOST,
+    port,
+    // Port 465 is implicit TLS; 587/25 upgrade with STARTTLS
+    secure: env.SMTP_SECURE ? env.SMTP_SECURE === 'true' : port === 465,
+    auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined
+  });
+  const from = env.MAIL_FROM || DEFAULT_MAIL_FROM;
+
+  return {
+    name: 'smtp',
+    async send({ to, subject, text, html }) {
+      const info = await transport.sendMail({ from, to, subject, text, html });
+      return { id: info.messageId };
+    }
+  };
+}
+
+// One JSON file per message under MAIL_DIR, newest sorting last
+function createFileMailer(env) {
+  const dir = path.resolve(env.MAIL_DIR || DEFAULT_MAIL_DIR);
+  const from = env.MAIL_FROM || DEFAULT_MAIL_FROM;
+
+  return {
+    name: 'file',
+    dir,
+    async send({ to, subject, text, html }) {
+      const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(
+        path.join(dir, `${id}.json`),
+        JSON.stringify({ id, from, to, subject, text, html, createdAt: new Date().toISOString() }, null, 2)
+      );
+      return { id };
+    }
+  };
+}
+
+function createConsoleMailer(env) {
+  const from = env.MAIL_FROM || DEFAULT_MAIL_FROM;
+
+  return {
+    name: 'console',
+    async send({ to, subject, text }) {
+      const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      console.log(`[MAIL] ${id}\nFrom: ${from}\nTo: ${to}\nSubject: ${subject}\n\n${text}`);
+      return { id };
+    }
+  };
+}
+
+// Defaults to SMTP when SMTP_HOST is set, otherwise the console
+function createMailer(env = process.env) {
+  const transportName = String(env.MAIL_TRANSPORT || (env.SMTP_HOST ? 'smtp' : 'console')).toLowerCase();
+  if (!MAIL_TRANSPORTS.includes(transportName)) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${transportName}" (expected one of: ${MAIL_TRANSPORTS.join(', ')})`);
+  }
+  if (transportName === 'smtp') return createSmtpMailer(env);
+  if (transportName === 'file') return createFileMailer(env);
+  return createConsoleMailer(env);
+}
+
+module.exports = {
+  MAIL_TRANSPORTS,
+  createMailer
+};
@@ -0,0 +1,211 @@
+// Mock Panel Interview - planning, timing and scorecard helpers for /api/mock-interviews
+// Routes live in index.js; this module only holds the pure logic so it stays easy to reason about.
+
+const MIN_QUESTIONS = 3;
+const MAX_QUESTIONS = 12;
+const DEFAULT_QUESTIONS = 6;
+const MIN_TIME_LIMIT_SECONDS = 30;
+const MAX_TIME_LIMIT_SECONDS = 600;
+const DEFAULT_TIME_LIMIT_SECONDS = 120;
+// Extra time allowed for the question to be read aloud and for network latency
+const TIME_GRACE_SECONDS = 15;
+// Followup probes are only asked after answers with enough substance to dig into
+const FOLLOWUP_MIN_WORDS = 20;
+
+const RECOMMENDATIONS = [
+  { minScore: 8, label: 'Panel ready', detail: 'Strong, well-structured answers. Keep sharpening delivery.' },
+  { minScore: 6.5, label: 'Competitive', detail: 'Solid overall - polish the weaker categories before your interview.' },
+  { minScore: 5, label: 'Needs more practice', detail: 'Good foundation, but several answers lacked structure or specifics.' },
+  { minScore: 0, label: 'Not ready yet', detail: 'Focus on STAR structure and concrete examples, then try another mock panel.' }
+];
+
+function clampInt(value, min, max, fallback) {
+  const num = parseInt(value);
+  if (!Number.isFinite(num)) return fallback;
+  return Math.min(max, Math.max(min, num));
+}
+
+// Normalize user-supplied settings to safe bounds
+function normalizeSettings({ questionCount, timeLimitSeconds, includeFollowups } = {}) {
+  return {
+    questionCount: clampInt(questionCount, MIN_QUESTIONS, MAX_QUESTIONS, DEFAULT_QUESTIONS),
+    timeLimitSeconds: clampInt(timeLimitSeconds, MIN_TIME_LIMIT_SECONDS, MAX_TIME_LIMIT_SECONDS, DEFAULT_TIME_LIMIT_SECONDS),
+    includeFollowups: includeFollowups === true || includeFollowups === 'true'
+  };
+}
+
+// Spread N questions across the base category rotation, starting with categories
+// this session hasn't covered yet, then cycling through the full list again
+function planCategories(baseCategories, count, askedCategories = []) {
+  const asked = askedCategories.map(c => String(c).toLowerCase());
+  const unused = baseCategories.filter(c => !asked.includes(c.toLowerCase()));
+  const used = baseCategories.filter(c => asked.includes(c.toLowerCase()));
+  const rotation = unused.concat(used);
+
+  const plan = [];
+  for (let i = 0; i < count; i++) {
+    plan.push(rotation[i % rotation.length]);
+  }
+  return plan;
+}
+
+function buildQuestionPlanPrompt(categories, { difficulty, profileContext, resumeContext, bankExamples = [] } = {}) {
+  return `Plan a mock firefighter panel interview with exactly ${categories.length} questions, one per category in this order:
+${categories.map((c, i) => `${i + 1}. ${c}`).join('\n')}
+
+Difficulty: ${difficulty || 'mixed (easy to hard, getting harder)'}
+Mix BEHAVIORAL ("Tell us about a time...") and SITUATIONAL ("How would you handle...") questions.${profileContext ? `\n${profileContext}` : ''}${resumeContext ? `\n${resumeContext}` : ''}${bankExamples.length > 0 ? `\n\nExample questions for style (do not copy):\n${bankExamples.map(q => `- ${q}`).join('\n')}` : ''}
+
+Return ONLY a JSON object:
+{ "questions": [ { "category": "exact category from the list", "type": "behavioral" | "situational", "question": "question text" } ] }`;
+}
+
+// Validate the planned questions; returns only well-formed entries in category order
+function parseQuestionPlan(data, categories) {
+  const items = data && Array.isArray(data.questions) ? data.questions : [];
+  return categories.map((category, i) => {
+    const item = items[i];
+    if (!item || typeof item.question !== 'string' || !item.question.trim()) return null;
+    return {
+      category,
+      type: item.type === 'behavioral' ? 'behavioral' : 'situational',
+      question: item.question.trim(),
+      isFollowup: false
+    };
+  });
+}
+
+// Seconds since the current question was served, and whether that exceeds the limit
+function computeAnswerTiming(questionStartedAt, timeLimitSeconds, now = new Date()) {
+  if (!questionStartedAt) return { elapsedSeconds: null, overtime: false };
+  const elapsedSeconds = Math.max(0, Math.round((now.getTime() - new Date(questionStartedAt).getTime()) / 1000));
+  return {
+    elapsedSeconds,
+    overtime: elapsedSeconds > timeLimitSeconds + TIME_GRACE_SECONDS
+  };
+}
+
+function shouldAskFollowup(interview, answeredQuestion, transcript) {
+  if (!interview.includeFollowups || answeredQuestion.isFollowup) return false;
+  const followupsAsked = interview.questions.filter(q => q.isFollowup).length;
+  const maxFollowups = Math.floor(interview.questionCount / 2);
+  const wordCount = String(transcript || '').trim().split(/\s+/).filter(Boolean).length;
+  return followupsAsked < maxFollowups && wordCount >= FOLLOWUP_MIN_WORDS;
+}
+
+function buildScorecardPrompt(interview) {
+  const transcript = interview.questions.map((q, i) => {
+    const answer = interview.answers.find(a => a.index === i);
+    const answerText = !answer || answer.skipped ? '[NO ANSWER]' : String(answer.transcript).slice(0, 1500);
+    return `${i + 1}. [${q.category}${q.isFollowup ? ' - followup' : ''}] Q: ${q.question}\nA: "${answerText}"${answer && answer.overtime ? ' (went over time)' : ''}`;
+  }).join('\n\n');
+
+  return `Score this mock firefighter panel interview. Answers are SPEECH TRANSCRIPTS; ignore spelling.
+
+${transcript}
+
+Return ONLY a JSON object:
+{
+  "answers": [ { "index": 1, "score": 0-10, "strength": "one short sentence", "improvement": "one short sentence" } ],
+  "summary": "2-3 sentences on overall performance",
+  "topStrengths": ["up to 3"],
+  "priorityImprovements": ["up to 3"]
+}
+Score unanswered questions 0. Include every question index.`;
+}
+
+function average(values) {
+  const nums = values.filter(v => typeof v === 'number' && Number.isFinite(v));
+  if (nums.length === 0) return null;
+  return Math.round((nums.reduce((sum, v) => sum + v, 0) / nums.length) * 10) / 10;
+}
+
+function cleanList(value, max = 3) {
+  return Array.isArray(value)
+    ? value.filter(v => typeof v === 'string' && v.trim()).map(v => v.trim()).slice(0, max)
+    : [];
+}
+
+// Combine the AI's per-answer scores with locally computed pacing into the final scorecard
+function buildScorecard(interview, aiReport) {
+  const aiAnswers = aiReport && Array.isArray(aiReport.answers) ? aiReport.answers : [];
+
+  const answers = interview.questions.map((q, i) => {
+    const answer = interview.answers.find(a => a.index === i) || null;
+    const ai = aiAnswers.find(a => parseInt(a.index) === i + 1) || {};
+    const answered = !!answer && !answer.skipped;
+    const rawScore = parseFloat(ai.score);
+    const score = answered && Number.isFinite(rawScore) ? Math.min(10, Math.max(0, Math.round(rawScore * 10) / 10)) : 0;
+    return {
+      index: i,
+      category: q.category,
+      question: q.question,
+      isFollowup: !!q.isFollowup,
+      answered,
+      score,
+      elapsedSeconds: answer ? answer.elapsedSeconds : null,
+      overtime: !!(answer && answer.overtime),
+      strength: typeof ai.strength === 'string' ? ai.strength : '',
+      improvement: typeof ai.improvement === 'string' ? ai.improvement : ''
+    };
+  });
+
+  const categories = [];
+  answers.forEach(a => {
+    let entry = categories.find(c => c.category === a.category);
+    if (!entry) {
+      entry = { category: a.category, scores: [] };
+      categories.push(entry);
+    }
+    entry.scores.push(a.score);
+  });
+  const perCategory = categories.map(c => ({
+    category: c.category,
+    averageScore: average(c.scores),
+    questions: c.scores.length
+  }));
+
+  const answeredTimes = answers.filter(a => a.answered).map(a => a.elapsedSeconds);
+  const overtimeCount = answers.filter(a => a.overtime).length;
+  const unansweredCount = answers.filter(a => !a.answered).length;
+  const averageSeconds = average(answeredTimes);
+  let pacingRating = 'On pace';
+  if (overtimeCount > 0) {
+    pacingRating = 'Over time';
+  } else if (averageSeconds !== null && averageSeconds < interview.timeLimitSeconds * 0.25) {
+    pacingRating = 'Too brief';
+  }
+
+  const overallScore = average(answers.map(a => a.score)) ?? 0;
+  const recommendation = RECOMMENDATIONS.find(r => overallScore >= r.minScore);
+
+  return {
+    overallScore,
+    recommendation: recommendation.label,
+    recommendationDetail: recommendation.detail,
+    summary: typeof aiReport?.summary === 'string' ? aiReport.summary : '',
+    topStrengths: cleanList(aiReport?.topStrengths),
+    priorityImprovements: cleanList(aiReport?.priorityImprovements),
+    perCategory,
+    pacing: {
+      timeLimitSeconds: interview.timeLimitSeconds,
+      averageSeconds,
+      overtimeCount,
+      unansweredCount,
+      rating: pacingRating
+    },
+    answers
+  };
+}
+
+module.exports = {
+  TIME_GRACE_SECONDS,
+  normalizeSettings,
+  planCategories,
+  buildQuestionPlanPrompt,
+  parseQuestionPlan,
+  computeAnswerTiming,
+  shouldAskFollowup,
+  buildScorecardPrompt,
+  buildScorecard
+};
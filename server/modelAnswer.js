@@ -0,0 +1,136 @@
+// Model Answer - STAR exemplar answers built from the candidate's own resume, for /api/model-answer
+// The model returns a JSON object (response_format: json_object) which is validated here, including
+// which key points of the exemplar the candidate's transcript already covered.
+
+const STAR_COMPONENTS = ['situation', 'task', 'action', 'result'];
+const MAX_KEY_POINTS = 8;
+const MAX_TRANSCRIPT_CHARS = 4000;
+
+function cleanString(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+function cleanList(value, max) {
+  if (!Array.isArray(value)) return [];
+  return value.map(item => cleanString(typeof item === 'string' ? item : String(item || ''))).filter(Boolean).slice(0, max);
+}
+
+// Case- and whitespace-insensitive, so quotes survive the model re-spacing them
+function normalizeForMatch(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9']+/g, ' ').trim();
+}
+
+function containsPhrase(text, phrase) {
+  const needle = normalizeForMatch(phrase);
+  return needle.length > 0 && normalizeForMatch(text).includes(needle);
+}
+
+// The resume facts the exemplar may draw on, one block of text for the prompt (null without a resume)
+function summarizeResume(resumeAnalysis) {
+  if (!resumeAnalysis || typeof resumeAnalysis !== 'object') return null;
+  const jobs = cleanList(resumeAnalysis.allJobs, 6);
+  const sections = [
+    ['Jobs', jobs.length > 0 ? jobs : cleanList(resumeAnalysis.workHistory, 6)],
+    ['Certifications', cleanList(resumeAnalysis.certifications, 6)],
+    ['Skills', cleanList(resumeAnalysis.skills, 8)],
+    ['Achievements', cleanList(resumeAnalysis.achievements, 5)],
+    ['Education', cleanList(resumeAnalysis.education, 3)]
+  ];
+
+  const lines = [];
+  if (cleanString(resumeAnalysis.experience)) lines.push(`Experience: ${resumeAnalysis.experience.trim()}`);
+  sections.forEach(([label, items]) => {
+    if (items.length > 0) lines.push(`${label}:\n${items.map(item => `- ${item}`).join('\n')}`);
+  });
+  return lines.length > 0 ? lines.join('\n') : null;
+}
+
+function buildModelAnswerPrompt({ question, category, transcript, resumeSummary }) {
+  const answer = String(transcript).slice(0, MAX_TRANSCRIPT_CHARS);
+  return `Interview question (${category || 'General'}): "${question}"
+
+Candidate's background:
+${resumeSummary || 'No resume provided - use a believable everyday example and do not name employers.'}
+
+Candidate's answer (speech transcript): "${answer}"
+
+Write the answer THIS candidate could have given: a strong, panel-ready STAR answer drawn from their real background above. Then compare it with what they actually said.
+
+Return ONLY a JSON object with this structure:
+{
+  "situation": "1-2 sentences",
+  "task": "1 sentence",
+  "action": "2-4 sentences",
+  "result": "1-2 sentences, with a concrete outcome and what they learned",
+  "resumeReferences": ["Each job, certification or achievement from the background that the answer uses"],
+  "keyPoints": [
+    {
+      "component": "situation" | "task" | "action" | "result",
+      "point": "Short description of something the strong answer does",
+      "phrase": "The exact words from your answer that deliver this point",
+      "covered": true | false,
+      "candidateQuote": "The exact words from the candidate's transcript that make this point, or null"
+    }
+  ]
+}
+
+Rules:
+- Use ONLY jobs, certifications, skills and achievements listed in the background. Never invent employers, dates, numbers of years or credentials.
+- If the candidate's own example is usable, keep it and make it stronger; otherwise pick the best-fitting experience from the background.
+- Hypothetical ("what would you do") questions: situation is the scenario, task the priority, action the steps (including safety and chain of command), result the expected outcome.
+- First person, natural spoken English, about 150-220 words across the four parts (60-90 seconds out loud). No markdown.
+- 4-${MAX_KEY_POINTS} keyPoints covering all four STAR parts. "covered" is true only when the transcript clearly makes the same point.`;
+}
+
+// Validate and normalize the model's JSON. Returns { valid, errors, modelAnswer }.
+// Phrases and quotes that can't be found in the exemplar / transcript are dropped rather than trusted.
+function parseModelAnswer(data, transcript) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { valid: false, errors: ['Response is not a JSON object'], modelAnswer: null };
+  }
+
+  const errors = [];
+  const star = {};
+  STAR_COMPONENTS.forEach(key => {
+    star[key] = cleanString(data[key]);
+    if (!star[key]) errors.push(`${key} is required`);
+  });
+  if (errors.length > 0) return { valid: false, errors, modelAnswer: null };
+
+  const keyPoints = (Array.isArray(data.keyPoints) ? data.keyPoints : [])
+    .filter(item => item && STAR_COMPONENTS.includes(item.component) && cleanString(item.point))
+    .slice(0, MAX_KEY_POINTS)
+    .map(item => {
+      const phrase = cleanString(item.phrase);
+      const candidateQuote = cleanString(item.candidateQuote);
+      return {
+        component: item.component,
+        point: item.point.trim(),
+        phrase: phrase && containsPhrase(star[item.component], phrase) ? phrase : null,
+        covered: item.covered === true,
+        candidateQuote: candidateQuote && containsPhrase(transcript, candidateQuote) ? candidateQuote : null
+      };
+    });
+
+  return {
+    valid: true,
+    errors: [],
+    modelAnswer: {
+      star,
+      answer: STAR_COMPONENTS.map(key => star[key]).join(' '),
+      resumeReferences: cleanList(data.resumeReferences, 6),
+      keyPoints,
+      coverage: {
+        covered: keyPoints.filter(point => point.covered).length,
+        total: keyPoints.length
+      }
+    }
+  };
+}
+
+module.exports = {
+  STAR_COMPONENTS,
+  summarizeResume,
+  buildModelAnswerPrompt,
+  parseModelAnswer
+};
@@ -0,0 +1,153 @@
+// Progress Stats - weekly trends, per-category score trends and practice streaks for /api/progress
+// Works on stored interview attempts; days and weeks are bucketed in the user's local time (tzOffset from the browser).
+
+const { countFillerWords } = require('./voiceMetrics');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_WEEKS = 12;
+const MAX_WEEKS = 52;
+
+// Minutes behind UTC, as returned by the browser's Date#getTimezoneOffset (e.g. 420 for PDT)
+function normalizeTzOffset(value) {
+  const minutes = parseInt(value);
+  return Number.isFinite(minutes) && Math.abs(minutes) <= 14 * 60 ? minutes : 0;
+}
+
+function normalizeWeeks(value) {
+  const weeks = parseInt(value);
+  return Number.isFinite(weeks) ? Math.min(MAX_WEEKS, Math.max(1, weeks)) : DEFAULT_WEEKS;
+}
+
+// Local calendar day as "YYYY-MM-DD"
+function dayKey(date, tzOffset) {
+  return new Date(new Date(date).getTime() - tzOffset * 60 * 1000).toISOString().slice(0, 10);
+}
+
+function addDays(key, days) {
+  return new Date(Date.parse(`${key}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Monday of the local week the date falls in
+function weekKey(date, tzOffset) {
+  const day = dayKey(date, tzOffset);
+  const weekday = (new Date(`${day}T00:00:00Z`).getUTCDay() + 6) % 7;
+  return addDays(day, -weekday);
+}
+
+function windowWeekStarts(weeks, tzOffset, now) {
+  const currentWeek = weekKey(now, tzOffset);
+  return Array.from({ length: weeks }, (_, i) => addDays(currentWeek, (i - weeks + 1) * 7));
+}
+
+// The instant the window's first local week begins, for the database query
+function windowStart({ weeks = DEFAULT_WEEKS, tzOffset = 0, now = new Date() } = {}) {
+  return new Date(Date.parse(`${windowWeekStarts(weeks, tzOffset, now)[0]}T00:00:00Z`) + tzOffset * 60 * 1000);
+}
+
+function average(values, places = 1) {
+  if (values.length === 0) return null;
+  const factor = 10 ** places;
+  return Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * factor) / factor;
+}
+
+function scoreOf(attempt) {
+  const score = attempt.overall_score;
+  return typeof score === 'number' && Number.isFinite(score) ? score : null;
+}
+
+// Consecutive practice days. The current streak stays alive until a full day is missed,
+// so practicing yesterday but not yet today still counts.
+function computeStreaks(practiceDates, { tzOffset = 0, now = new Date() } = {}) {
+  const days = [...new Set(practiceDates.map(date => dayKey(date, tzOffset)))].sort();
+  let longest = 0;
+  let run = 0;
+  days.forEach((day, i) => {
+    run = i > 0 && addDays(days[i - 1], 1) === day ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+
+  const today = dayKey(now, tzOffset);
+  const lastDay = days[days.length - 1] || null;
+  const current = lastDay === today || lastDay === addDays(today, -1) ? run : 0;
+
+  return { current, longest, activeDays: days.length, lastPracticeDay: lastDay };
+}
+
+// Attempts in the window → { weeks, categories, totals }. Every week in the window is listed,
+// with null averages for weeks without (scored) answers so charts show the gap.
+function buildProgress(attempts, practiceDates, { weeks = DEFAULT_WEEKS, tzOffset = 0, now = new Date() } = {}) {
+  const currentWeek = weekKey(now, tzOffset);
+  const weekStarts = windowWeekStarts(weeks, tzOffset, now);
+  const inWindow = attempts.filter(attempt => weekKey(attempt.created_at, tzOffset) >= weekStarts[0]);
+
+  const byWeek = new Map(weekStarts.map(week => [week, []]));
+  const byCategory = new Map();
+  inWindow.forEach(attempt => {
+    const week = weekKey(attempt.created_at, tzOffset);
+    if (!byWeek.has(week)) return;
+    byWeek.get(week).push(attempt);
+    const category = attempt.category || 'General';
+    if (!byCategory.has(category)) byCategory.set(category, []);
+    byCategory.get(category).push(attempt);
+  });
+
+  const weekly = weekStarts.map(weekStart => {
+    const items = byWeek.get(weekStart);
+    const wordCounts = items.map(attempt => String(attempt.transcript || '').split(/\s+/).filter(Boolean).length);
+    return {
+      weekStart,
+      questions: items.length,
+      averageScore: average(items.map(scoreOf).filter(score => score !== null)),
+      averageWords: average(wordCounts, 0),
+      averageFillers: average(items.map(attempt => countFillerWords(attempt.transcript)))
+    };
+  });
+
+  const categories = [...byCategory.entries()]
+    .map(([category, items]) => {
+      const scores = items
+        .slice()
+        .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+        .map(scoreOf)
+        .filter(score => score !== null);
+      return {
+        category,
+        attempts: items.length,
+        averageScore: average(scores),
+        // Latest score minus the first one in the window
+        change: scores.length >= 2 ? Math.round((scores[scores.length - 1] - scores[0]) * 10) / 10 : null,
+        weeks: weekStarts.map(weekStart => {
+          const weekItems = byWeek.get(weekStart).filter(attempt => (attempt.category || 'General') === category);
+          return {
+            weekStart,
+            attempts: weekItems.length,
+            averageScore: average(weekItems.map(scoreOf).filter(score => score !== null))
+          };
+        })
+      };
+    })
+    .sort((a, b) => b.attempts - a.attempts);
+
+  const scored = inWindow.map(scoreOf).filter(score => score !== null);
+  return {
+    totals: {
+      questions: inWindow.length,
+      averageScore: average(scored),
+      questionsThisWeek: byWeek.get(currentWeek).length
+    },
+    streaks: computeStreaks(practiceDates, { tzOffset, now }),
+    weeks: weekly,
+    categories
+  };
+}
+
+module.exports = {
+  DEFAULT_WEEKS,
+  MAX_WEEKS,
+  normalizeTzOffset,
+  normalizeWeeks,
+  weekKey,
+  windowStart,
+  computeStreaks,
+  buildProgress
+};
@@ -3,8 +3,16 @@
 
 const fs = require('fs');
 const path = require('path');
+const { Question, schemaReady } = require('./db');
 
-// Load master questions from JSON file
+const VALID_DIFFICULTIES = ['easy', 'medium', 'hard'];
+const VALID_TYPES = ['behavioral', 'situational'];
+// masterQuestions.json marks questions that suit any level as "Mixed"; they're seeded as medium and tagged "mixed"
+const MIXED_DIFFICULTY = 'mixed';
+// Periodic reload so edits made on another instance show up without a restart
+const QUESTION_BANK_REFRESH_MS = 5 * 60 * 1000;
+
+// Load master questions from JSON file (initial pool, and the seed for the questions table)
 let masterQuestions = [];
 try {
   const masterQuestionsPath = path.join(__dirname, 'masterQuestions.json');
@@ -68,24 +76,26 @@ function determineQuestionType(question, category) {
   return 'situational';
 }
 
-// Convert master questions to internal format
-function convertMasterQuestions() {
+// Convert master questions (from JSON or the questions table) to internal format
+function convertMasterQuestions(list) {
   const converted = {
     behavioral: { easy: [], medium: [], hard: [] },
     situational: { easy: [], medium: [], hard: [] }
   };
   
-  for (const q of masterQuestions) {
-    const type = determineQuestionType(q.question, q.category);
+  for (const q of list) {
+    const type = VALID_TYPES.includes(q.type) ? q.type : determineQuestionType(q.question, q.category);
     const difficulty = q.difficulty ? q.difficulty.toLowerCase() : 'medium';
     const category = normalizeCategory(q.category);
     
-    if (['easy', 'medium', 'hard'].includes(difficulty)) {
+    if (VALID_DIFFICULTIES.includes(difficulty)) {
       converted[type][difficulty].push({
+        id: q.id || null,
         category: category,
         question: q.question,
         type: type,
         difficulty: difficulty,
+        tags: q.tags || [],
         originalCategory: q.category
       });
     }
@@ -94,7 +104,8 @@ function convertMasterQuestions() {
   return converted;
 }
 
-const masterQuestionBank = convertMasterQuestions();
+// Reassigned by reloadQuestionBank() - getQuestions/getRandomQuestion always read the latest
+let masterQuestionBank = convertMasterQuestions(masterQuestions);
 
 const questionBank = {
   behavioral: {
@@ -435,11 +446,191 @@ function getQuestionStats() {
   return stats;
 }
 
+// ========== DATABASE-BACKED BANK ==========
+
+// Rebuild the in-memory bank from active (non-retired) rows in the questions table
+async function reloadQuestionBank() {
+  const rows = await Question.getActive();
+  masterQuestionBank = convertMasterQuestions(rows);
+  console.log(`[QUESTION BANK] Reloaded ${rows.length} active questions from database`);
+  return rows.length;
+}
+
+// Seed the table from masterQuestions.json on first run, then load from the database.
+// Falls back to the JSON file contents if the database is unavailable.
+async function initQuestionBank() {
+  try {
+    await schemaReady;
+    if (await Question.count() === 0 && masterQuestions.length > 0) {
+      let seeded = 0;
+      let duplicates = 0;
+      const rejected = [];
+      for (const q of masterQuestions) {
+        const isMixed = String(q.difficulty || '').toLowerCase().trim() === MIXED_DIFFICULTY;
+        const { errors, value } = validateQuestionInput(isMixed
+          ? { ...q, difficulty: 'medium', tags: [...(q.tags || []), MIXED_DIFFICULTY] }
+          : q);
+        if (errors.length > 0) {
+          rejected.push(`"${String(q.question || '').slice(0, 60)}": ${errors.join('; ')}`);
+          continue;
+        }
+        if (await Question.findByText(value.question)) {
+          duplicates++;
+          continue;
+        }
+        await Question.create({ ...value, source: 'master' });
+        seeded++;
+      }
+      console.log(`[QUESTION BANK] Seeded ${seeded} questions from masterQuestions.json (${duplicates} duplicates, ${rejected.length} rejected)`);
+      rejected.forEach(reason => console.warn(`[QUESTION BANK] Skipped invalid master question ${reason}`));
+    }
+    await reloadQuestionBank();
+  } catch (error) {
+    console.error('[QUESTION BANK] Database load failed, using masterQuestions.json:', error.message);
+  }
+  
+  setInterval(() => {
+    reloadQuestionBank().catch(error => console.error('[QUESTION BANK] Periodic reload failed:', error.message));
+  }, QUESTION_BANK_REFRESH_MS).unref();
+}
+
+// Validate admin/import input. With partial=true only provided fields are checked (for updates).
+function validateQuestionInput(input, { partial = false } = {}) {
+  const errors = [];
+  const value = {};
+  
+  if (!input || typeof input !== 'object') {
+    return { errors: ['Question must be an object'], value: null };
+  }
+  
+  if (input.question !== undefined || !partial) {
+    const text = typeof input.question === 'string' ? input.question.trim() : '';
+    if (!text) errors.push('question is required');
+    else value.question = text;
+  }
+  
+  if (input.category !== undefined || !partial) {
+    const category = typeof input.category === 'string' ? input.category.trim() : '';
+    if (!category) errors.push('category is required');
+    else value.category = category;
+  }
+  
+  if (input.difficulty !== undefined || !partial) {
+    const difficulty = String(input.difficulty || 'medium').toLowerCase().trim();
+    if (!VALID_DIFFICULTIES.includes(difficulty)) errors.push(`difficulty must be one of ${VALID_DIFFICULTIES.join(', ')}`);
+    else value.difficulty = difficulty;
+  }
+  
+  if (input.type !== undefined && input.type !== null && input.type !== '') {
+    const type = String(input.type).toLowerCase().trim();
+    if (!VALID_TYPES.includes(type)) errors.push(`type must be one of ${VALID_TYPES.join(', ')}`);
+    else value.type = type;
+  } else if (input.type !== undefined) {
+    value.type = null;
+  }
+  
+  if (input.tags !== undefined) {
+    const tags = Array.isArray(input.tags) ? input.tags : String(input.tags || '').split(/[;,|]/);
+    value.tags = tags.map(t => String(t).trim()).filter(Boolean);
+  }
+  
+  if (input.retired !== undefined) {
+    value.retired = input.retired === true || input.retired === 'true' || input.retired === '1' || input.retired === 1;
+  }
+  
+  return { errors, value: errors.length === 0 ? value : null };
+}
+
+// ========== CSV IMPORT / EXPORT ==========
+
+const CSV_COLUMNS = ['id', 'question', 'category', 'difficulty', 'type', 'tags', 'retired'];
+
+function csvEscape(value) {
+  const str = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function questionsToCSV(questions) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const q of questions) {
+    lines.push([
+      q.id,
+      q.question,
+      q.category,
+      q.difficulty,
+      q.type || '',
+      (q.tags || []).join(';'),
+      q.retired ? 'true' : 'false'
+    ].map(csvEscape).join(','));
+  }
+  return lines.join('\n');
+}
+
+// Minimal RFC 4180 parser (quoted fields, escaped quotes, newlines inside quotes)
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+// CSV text → array of plain objects keyed by the header row
+function parseQuestionsCSV(text) {
+  const rows = parseCSV(String(text || '').replace(/^\uFEFF/, ''));
+  if (rows.length === 0) return [];
+  const header = rows[0].map(h => h.trim().toLowerCase());
+  return rows.slice(1).map(cells => {
+    const item = {};
+    header.forEach((key, i) => {
+      if (CSV_COLUMNS.includes(key) && cells[i] !== undefined && cells[i] !== '') item[key] = cells[i];
+    });
+    return item;
+  });
+}
+
 module.exports = {
   questionBank,
   getQuestions,
   getRandomQuestion,
-  getQuestionStats
+  getQuestionStats,
+  initQuestionBank,
+  reloadQuestionBank,
+  validateQuestionInput,
+  questionsToCSV,
+  parseQuestionsCSV
 };
 
 
@@ -0,0 +1,104 @@
+// Department Question Packs - matching, selection and coverage helpers for department-specific questions
+// Packs are tagged with a department and/or city (same fields as onboarding) and preferred by /api/question.
+
+const { questionKey } = require('./spacedRepetition');
+
+// Category used when a pack question is added without one
+const DEFAULT_PACK_CATEGORY = 'City & Department Specific';
+
+// Lowercase, strip punctuation and collapse whitespace so "St. John's Fire Dept" and "st johns fire dept" match
+function normalizeLocationKey(value) {
+  if (!value || typeof value !== 'string') return null;
+  const key = value.toLowerCase().replace(/['’]/g, '').replace(/[^a-z0-9]+/g, ' ').trim();
+  return key || null;
+}
+
+function sameKey(a, b) {
+  const keyA = normalizeLocationKey(a);
+  const keyB = normalizeLocationKey(b);
+  return !!keyA && !!keyB && keyA === keyB;
+}
+
+// Department packs match on the department name alone (departments can cover several cities).
+// City-wide packs match on city; state/country only rule them out when both sides set them.
+function packMatchesProfile(pack, profile = {}) {
+  if (!pack || !profile) return false;
+
+  if (pack.departmentName) {
+    return sameKey(pack.departmentName, profile.departmentName);
+  }
+
+  if (!sameKey(pack.city, profile.city)) return false;
+  if (pack.stateProvince && profile.stateProvince && !sameKey(pack.stateProvince, profile.stateProvince)) return false;
+  if (pack.country && profile.country && !sameKey(pack.country, profile.country)) return false;
+  return true;
+}
+
+// Pick a random pack question the candidate hasn't been asked or served yet.
+// With a category (or type), only matching questions are considered; untyped questions match any type.
+// Returns null when none are left.
+function pickPackQuestion(items, { excludeQuestions = [], seenItemIds = [], category = null, type = null } = {}) {
+  const excluded = new Set(excludeQuestions.map(q => questionKey(q)));
+  const seen = new Set(seenItemIds);
+
+  const candidates = items.filter(item => {
+    if (seen.has(item.id) || excluded.has(questionKey(item.question))) return false;
+    if (category && item.category.toLowerCase() !== category.toLowerCase()) return false;
+    if (type && item.type && item.type !== type) return false;
+    return true;
+  });
+
+  if (candidates.length === 0) return null;
+  return candidates[Math.floor(Math.random() * candidates.length)];
+}
+
+// Per-question seen/answered status for one pack. "Seen" means served by /api/question;
+// "answered" means an analyzed attempt exists for the same question text.
+function buildCoverageReport(pack, items, views = [], answered = []) {
+  const viewsByItem = new Map(views.map(v => [v.itemId, v]));
+  const answeredByKey = new Map(answered.map(a => [questionKey(a.question), a]));
+
+  const questions = items
+    .filter(item => item.packId === pack.id)
+    .map(item => {
+      const view = viewsByItem.get(item.id) || null;
+      const attempt = answeredByKey.get(questionKey(item.question)) || null;
+      return {
+        id: item.id,
+        question: item.question,
+        category: item.category,
+        difficulty: item.difficulty,
+        seen: !!view || !!attempt,
+        timesServed: view ? view.timesServed : 0,
+        firstSeenAt: view ? view.firstSeenAt : null,
+        answered: !!attempt,
+        attempts: attempt ? attempt.attempts : 0,
+        lastAnsweredAt: attempt ? attempt.lastAnsweredAt : null
+      };
+    });
+
+  const seenCount = questions.filter(q => q.seen).length;
+  const answeredCount = questions.filter(q => q.answered).length;
+
+  return {
+    pack: {
+      id: pack.id,
+      name: pack.name,
+      departmentName: pack.departmentName,
+      city: pack.city
+    },
+    totalQuestions: questions.length,
+    seenCount,
+    answeredCount,
+    coveragePercent: questions.length > 0 ? Math.round((seenCount / questions.length) * 100) : 0,
+    questions
+  };
+}
+
+module.exports = {
+  DEFAULT_PACK_CATEGORY,
+  normalizeLocationKey,
+  packMatchesProfile,
+  pickPackQuestion,
+  buildCoverageReport
+};
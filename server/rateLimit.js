@@ -0,0 +1,40 @@
+// Rate Limit - in-memory fixed-window request limits per client key (usually the caller's IP)
+// Counts live in this process only, which is enough for the single Render instance the app runs on.
+
+// Expired windows are swept once the table grows past this many keys
+const SWEEP_THRESHOLD = 1000;
+
+// → Express middleware allowing `max` requests per `windowSeconds` for each keyFn(req)
+function createRateLimiter({ windowSeconds, max, keyFn, message }) {
+  const windows = new Map();
+
+  function sweep(now) {
+    for (const [key, entry] of windows) {
+      if (entry.resetAt <= now) windows.delete(key);
+    }
+  }
+
+  return function rateLimit(req, res, next) {
+    const now = Date.now();
+    if (windows.size > SWEEP_THRESHOLD) sweep(now);
+
+    const key = keyFn(req) || 'unknown';
+    let entry = windows.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowSeconds * 1000 };
+      windows.set(key, entry);
+    }
+    entry.count++;
+
+    if (entry.count > max) {
+      const retryAfterSeconds = Math.ceil((entry.resetAt - now) / 1000);
+      res.set('Retry-After', String(retryAfterSeconds));
+      return res.status(429).json({ error: 'RATE_LIMITED', message, retryAfterSeconds });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  createRateLimiter
+};
@@ -0,0 +1,85 @@
+// Recording Storage - uploaded answer videos kept on local disk under RECORDINGS_DIR
+// Files are named <userId>/<random id>.<ext>; the database row (answer_recordings) holds the key and metadata.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const RECORDINGS_DIR = path.resolve(process.env.RECORDINGS_DIR || path.join(__dirname, 'data', 'recordings'));
+const MAX_RECORDING_BYTES = 100 * 1024 * 1024;
+const MAX_RECORDINGS_PER_USER = 50;
+
+// MediaRecorder output: webm in Chrome/Firefox, mp4 in Safari
+const VIDEO_EXTENSIONS = {
+  'video/webm': 'webm',
+  'video/mp4': 'mp4'
+};
+const VIDEO_TYPES = Object.keys(VIDEO_EXTENSIONS);
+
+// Playback timeline markers recorded by the client (seconds from the start of the video)
+const MARKER_TYPES = ['filler', 'pause', 'hand-to-face', 'look-away'];
+const MAX_MARKERS = 500;
+
+function baseMimeType(mimeType) {
+  return String(mimeType || '').split(';')[0].trim().toLowerCase();
+}
+
+function createStorageKey(userId, mimeType) {
+  const extension = VIDEO_EXTENSIONS[baseMimeType(mimeType)] || 'webm';
+  return `${parseInt(userId)}/${crypto.randomUUID()}.${extension}`;
+}
+
+// Keep well-formed markers only: { type, time, duration?, label? }
+function normalizeMarkers(input) {
+  if (!Array.isArray(input)) return [];
+  return input
+    .filter(marker => marker && MARKER_TYPES.includes(marker.type) && Number.isFinite(Number(marker.time)))
+    .slice(0, MAX_MARKERS)
+    .map(marker => {
+      const duration = Number(marker.duration);
+      return {
+        type: marker.type,
+        time: Math.round(Math.max(0, Number(marker.time)) * 100) / 100,
+        duration: Number.isFinite(duration) && duration > 0 ? Math.round(duration * 100) / 100 : null,
+        label: marker.label ? String(marker.label).slice(0, 200) : null
+      };
+    });
+}
+
+// Absolute path for a stored key; refuses anything that would resolve outside RECORDINGS_DIR
+function recordingPath(storageKey) {
+  const filePath = path.resolve(RECORDINGS_DIR, storageKey);
+  if (!filePath.startsWith(RECORDINGS_DIR + path.sep)) {
+    throw new Error(`Invalid recording key "${storageKey}"`);
+  }
+  return filePath;
+}
+
+async function saveRecording(storageKey, buffer) {
+  const filePath = recordingPath(storageKey);
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, buffer);
+}
+
+// Missing files are ignored so a row can always be cleaned up
+async function deleteRecording(storageKey) {
+  try {
+    await fs.promises.unlink(recordingPath(storageKey));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+}
+
+module.exports = {
+  RECORDINGS_DIR,
+  MAX_RECORDING_BYTES,
+  MAX_RECORDINGS_PER_USER,
+  VIDEO_TYPES,
+  MARKER_TYPES,
+  baseMimeType,
+  normalizeMarkers,
+  createStorageKey,
+  recordingPath,
+  saveRecording,
+  deleteRecording
+};
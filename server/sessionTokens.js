@@ -0,0 +1,65 @@
+// Session Tokens - short-lived access JWTs plus rotating refresh tokens backed by user_sessions
+// The refresh token is "<session id>.<random secret>"; only a SHA-256 hash of it is stored, and every
+// refresh swaps it for a new one so a copied token stops working as soon as the real device refreshes.
+
+const crypto = require('crypto');
+
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS = 30;
+const REMEMBER_ME_REFRESH_TOKEN_TTL_DAYS = 365;
+// Two tabs refreshing at once both present the same token; the slower one is let through
+// (with a new access token but no new refresh token) instead of being treated as theft.
+const REFRESH_REUSE_GRACE_SECONDS = 20;
+
+function hashRefreshToken(refreshToken) {
+  return crypto.createHash('sha256').update(String(refreshToken)).digest('hex');
+}
+
+// → { refreshToken, tokenHash } for the session id (the id lets /api/auth/refresh find the row)
+function createRefreshToken(sessionId) {
+  const refreshToken = `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+  return { refreshToken, tokenHash: hashRefreshToken(refreshToken) };
+}
+
+function refreshTokenExpiry(rememberMe, now = new Date()) {
+  const days = rememberMe ? REMEMBER_ME_REFRESH_TOKEN_TTL_DAYS : REFRESH_TOKEN_TTL_DAYS;
+  return new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+}
+
+// Was `presentedHash` the token this session rotated away from, within the grace window?
+function isGraceReuse(session, presentedHash, now = new Date()) {
+  if (!session.previous_token_hash || session.previous_token_hash !== presentedHash || !session.rotated_at) return false;
+  return now.getTime() - new Date(session.rotated_at).getTime() <= REFRESH_REUSE_GRACE_SECONDS * 1000;
+}
+
+// "Chrome on Windows"-style label for the session list; the raw user agent is kept alongside
+function describeDevice(userAgent) {
+  const ua = String(userAgent || '');
+  if (!ua) return 'Unknown device';
+  const browser = /Edg\//.test(ua) ? 'Edge'
+    : /OPR\/|Opera/.test(ua) ? 'Opera'
+    : /Firefox\//.test(ua) ? 'Firefox'
+    : /Chrome\//.test(ua) ? 'Chrome'
+    : /Safari\//.test(ua) ? 'Safari'
+    : null;
+  const os = /iPhone|iPad|iPod/.test(ua) ? 'iOS'
+    : /Android/.test(ua) ? 'Android'
+    : /Windows/.test(ua) ? 'Windows'
+    : /Mac OS X|Macintosh/.test(ua) ? 'macOS'
+    : /CrOS/.test(ua) ? 'ChromeOS'
+    : /Linux/.test(ua) ? 'Linux'
+    : null;
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || 'Unknown device';
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_TOKEN_TTL_DAYS,
+  REMEMBER_ME_REFRESH_TOKEN_TTL_DAYS,
+  hashRefreshToken,
+  createRefreshToken,
+  refreshTokenExpiry,
+  isGraceReuse,
+  describeDevice
+};
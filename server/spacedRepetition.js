@@ -0,0 +1,73 @@
+// Spaced Repetition - SM-2 scheduling for the review queue
+// Flagged and low-scoring questions are re-drilled at growing intervals until they stick.
+
+const crypto = require('crypto');
+
+// Answers scoring below this (out of 10) in /api/analyze-answer are enrolled automatically
+const LOW_SCORE_THRESHOLD = 6;
+const DEFAULT_EASE_FACTOR = 2.5;
+const MIN_EASE_FACTOR = 1.3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Stable key for a question so rewording in case/whitespace doesn't create duplicates
+function questionKey(question) {
+  const normalized = String(question || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+// Map a 0-10 answer score onto SM-2's 0-5 recall quality. Scores low enough to enroll a
+// question are always a failed recall (quality < 3), everything else a pass.
+function scoreToQuality(score) {
+  if (typeof score !== 'number' || !Number.isFinite(score)) return 0;
+  const quality = Math.min(5, Math.max(0, Math.round(score / 2)));
+  return score < LOW_SCORE_THRESHOLD ? Math.min(2, quality) : Math.max(3, quality);
+}
+
+// An attempt counts as a review when the item was served from the queue or is due anyway;
+// answering the same question early otherwise would push it out without it being reviewed
+function isReviewAttempt(item, reviewId, now = new Date()) {
+  if (!item) return false;
+  if (reviewId !== undefined && reviewId !== null && parseInt(reviewId) === item.id) return true;
+  return new Date(item.dueAt).getTime() <= now.getTime();
+}
+
+// SM-2: failed recalls (quality < 3) restart at 1 day; passes grow 1 → 6 → interval * ease
+function nextReview({ easeFactor = DEFAULT_EASE_FACTOR, intervalDays = 0, repetitions = 0 } = {}, quality, now = new Date()) {
+  let newRepetitions;
+  let newInterval;
+
+  if (quality < 3) {
+    newRepetitions = 0;
+    newInterval = 1;
+  } else {
+    newRepetitions = repetitions + 1;
+    if (newRepetitions === 1) {
+      newInterval = 1;
+    } else if (newRepetitions === 2) {
+      newInterval = 6;
+    } else {
+      newInterval = Math.round(intervalDays * easeFactor);
+    }
+  }
+
+  const newEaseFactor = Math.max(
+    MIN_EASE_FACTOR,
+    easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+  );
+
+  return {
+    easeFactor: Math.round(newEaseFactor * 100) / 100,
+    intervalDays: newInterval,
+    repetitions: newRepetitions,
+    dueAt: new Date(now.getTime() + newInterval * DAY_MS)
+  };
+}
+
+module.exports = {
+  LOW_SCORE_THRESHOLD,
+  DEFAULT_EASE_FACTOR,
+  questionKey,
+  scoreToQuality,
+  isReviewAttempt,
+  nextReview
+};
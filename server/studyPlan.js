@@ -0,0 +1,156 @@
+// Study Plan - day-by-day preparation plan from today to the candidate's interview date, for /api/study-plan
+// Weak categories (low average scores) and categories never practiced are drilled more often;
+// /api/question follows today's plan in practiceMode "plan".
+
+const { LOW_SCORE_THRESHOLD } = require('./spacedRepetition');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Longer runways are planned a few weeks at a time; the plan is regenerated as the date gets closer
+const MAX_PLAN_DAYS = 28;
+const CATEGORIES_PER_DAY = 2;
+const QUESTIONS_PER_DAY = 5;
+// Final week before the interview: more questions each day
+const FINAL_WEEK_QUESTIONS_PER_DAY = 8;
+const RESEARCH_REVIEW_EVERY_DAYS = 3;
+const MOCK_INTERVIEW_EVERY_DAYS = 7;
+
+// Categories the question generator has a dedicated strategy for (see "User-Specific Practice")
+const PLAN_CATEGORIES = [
+  'Chain of Command',
+  'Ethics & Integrity',
+  'Safety & Accountability',
+  'Teamwork & Collaboration',
+  'Conflict Resolution',
+  'Decision Making',
+  'Communication',
+  'Stress Management',
+  'Leadership',
+  'Medical / EMR',
+  'Technical – Fireground'
+];
+
+// "YYYY-MM-DD" (or an ISO timestamp / Date) → "YYYY-MM-DD"; null for anything that isn't a real date
+function normalizeInterviewDate(value) {
+  if (!value) return null;
+  const text = value instanceof Date ? value.toISOString().slice(0, 10) : String(value).trim().slice(0, 10);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) return null;
+  const date = new Date(`${text}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === text ? text : null;
+}
+
+// The user's local calendar day (tzOffset is the browser's Date#getTimezoneOffset in minutes)
+function localToday(tzOffset = 0, now = new Date()) {
+  return new Date(now.getTime() - tzOffset * 60 * 1000).toISOString().slice(0, 10);
+}
+
+function addDays(day, days) {
+  return new Date(Date.parse(`${day}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function daysBetween(fromDay, toDay) {
+  return Math.round((Date.parse(`${toDay}T00:00:00Z`) - Date.parse(`${fromDay}T00:00:00Z`)) / DAY_MS);
+}
+
+// Order categories by need: weak (average below the review threshold) first, then unpracticed, then the rest.
+// Weight is how often a category comes up in the rotation (3 = every cycle, 1 = every third cycle).
+function rankCategories(categories, categoryScores = []) {
+  const averages = new Map(categoryScores.map(item => [String(item.category).toLowerCase(), item.averageScore]));
+  return categories
+    .map(category => {
+      const averageScore = averages.has(category.toLowerCase()) ? averages.get(category.toLowerCase()) : null;
+      const weight = averageScore === null ? 2 : averageScore < LOW_SCORE_THRESHOLD ? 3 : 1;
+      return { category, averageScore, weight };
+    })
+    .sort((a, b) => b.weight - a.weight || (a.averageScore ?? 0) - (b.averageScore ?? 0));
+}
+
+// Weighted rotation long enough to fill `slots` drill slots
+function buildRotation(ranked, slots) {
+  const rotation = [];
+  for (let cycle = 0; rotation.length < slots; cycle++) {
+    ranked.forEach(item => {
+      if (cycle % (4 - item.weight) === 0) rotation.push(item.category);
+    });
+  }
+  return rotation;
+}
+
+// Build the plan. Returns { interviewDate, startDate, daysRemaining, weakCategories, days }, where each day is
+// { date, dayNumber, categories, questions, researchReview, mockInterview, note }.
+function buildStudyPlan({ interviewDate, today, categoryScores = [], hasDepartment = false, hasResume = false }) {
+  const daysRemaining = daysBetween(today, interviewDate);
+  const planDays = Math.min(daysRemaining, MAX_PLAN_DAYS);
+  const reachesInterview = planDays === daysRemaining;
+
+  const categories = PLAN_CATEGORIES.concat(hasResume ? ['Resume-Based'] : []);
+  const ranked = rankCategories(categories, categoryScores);
+  const rotation = buildRotation(ranked, planDays * CATEGORIES_PER_DAY * 2);
+
+  const days = [];
+  let next = 0;
+  for (let i = 0; i < planDays; i++) {
+    const date = addDays(today, i);
+    const daysToGo = daysRemaining - i;
+    const isLastDay = reachesInterview && daysToGo === 1;
+
+    // Take the next categories in the rotation, skipping repeats within the day
+    const dayCategories = [];
+    while (dayCategories.length < (isLastDay ? 1 : CATEGORIES_PER_DAY) && next < rotation.length) {
+      const category = rotation[next++];
+      if (!dayCategories.includes(category)) dayCategories.push(category);
+    }
+
+    const mockInterview = !isLastDay && ((i + 1) % MOCK_INTERVIEW_EVERY_DAYS === 0 || (reachesInterview && daysToGo === 2));
+    const researchReview = hasDepartment && (isLastDay || (i + 1) % RESEARCH_REVIEW_EVERY_DAYS === 0);
+
+    let note = null;
+    if (isLastDay) {
+      note = 'Light day: a few questions, review your department research and notes, then rest.';
+    } else if (mockInterview) {
+      note = 'Run a full-length mock panel interview under time limits.';
+    }
+
+    days.push({
+      date,
+      dayNumber: i + 1,
+      daysToGo,
+      categories: dayCategories,
+      questions: isLastDay ? 3 : daysToGo <= 7 ? FINAL_WEEK_QUESTIONS_PER_DAY : QUESTIONS_PER_DAY,
+      researchReview,
+      mockInterview,
+      note
+    });
+  }
+
+  return {
+    interviewDate,
+    startDate: today,
+    daysRemaining,
+    coversInterview: reachesInterview,
+    weakCategories: ranked.filter(item => item.weight === 3).map(item => ({ category: item.category, averageScore: item.averageScore })),
+    days
+  };
+}
+
+function findPlanDay(plan, today) {
+  if (!plan || !Array.isArray(plan.days)) return null;
+  return plan.days.find(day => day.date === today) || null;
+}
+
+// Today's category that was asked least recently, so Next Question alternates through the day's focus
+function pickPlanCategory(day, askedCategories = []) {
+  if (!day || day.categories.length === 0) return null;
+  const recent = askedCategories.slice(-day.categories.length).map(c => String(c).toLowerCase());
+  return day.categories.find(category => !recent.includes(category.toLowerCase())) || day.categories[0];
+}
+
+module.exports = {
+  MAX_PLAN_DAYS,
+  PLAN_CATEGORIES,
+  normalizeInterviewDate,
+  localToday,
+  daysBetween,
+  buildStudyPlan,
+  findPlanDay,
+  pickPlanCategory
+};
@@ -0,0 +1,178 @@
+// Transcription - server-side speech-to-text for recorded answers (OpenAI Whisper, a local whisper.cpp server, or a stub)
+// Selected with TRANSCRIBE_PROVIDER; every backend returns { text, language, duration, words: [{ word, start, end }] } with times in seconds.
+
+const OpenAI = require('openai');
+
+const TRANSCRIBE_PROVIDERS = ['openai', 'whisper-cpp', 'stub'];
+const DEFAULT_TRANSCRIBE_MODEL = 'whisper-1';
+// Whisper API upload limit
+const MAX_AUDIO_BYTES = 25 * 1024 * 1024;
+const STUB_WORDS_PER_SECOND = 2.5;
+// Whisper drops "um"/"uh" unless the prompt shows them; delivery feedback needs them kept
+const FILLER_PROMPT = 'Umm, let me think like, hmm... Okay, here is what I, uh, did.';
+const STUB_TRANSCRIPT = 'In my last job a customer collapsed in the store. I called 911, started CPR with a coworker and kept the crowd back until the paramedics arrived. He made a full recovery and it is the reason I want to be a firefighter.';
+
+// MediaRecorder mime type → file extension the Whisper backends recognize
+const AUDIO_EXTENSIONS = {
+  'audio/webm': 'webm',
+  'video/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/mp4': 'mp4',
+  'video/mp4': 'mp4',
+  'audio/x-m4a': 'm4a',
+  'audio/mpeg': 'mp3',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav'
+};
+const AUDIO_TYPES = Object.keys(AUDIO_EXTENSIONS);
+
+// "audio/webm;codecs=opus" → "answer.webm"
+function audioFilename(mimeType) {
+  const baseType = String(mimeType || '').split(';')[0].trim().toLowerCase();
+  return `answer.${AUDIO_EXTENSIONS[baseType] || 'webm'}`;
+}
+
+function roundSeconds(value) {
+  const num = Number(value);
+  return Number.isFinite(num) ? Math.round(num * 100) / 100 : null;
+}
+
+// Segments without word timings get their words spread evenly over the segment
+function spreadSegmentWords(segment) {
+  const words = String(segment.text || '').trim().split(/\s+/).filter(Boolean);
+  const start = Number(segment.start) || 0;
+  const step = words.length > 0 ? ((Number(segment.end) || start) - start) / words.length : 0;
+  return words.map((word, i) => ({ word, start: start + i * step, end: start + (i + 1) * step }));
+}
+
+// Provider response (verbose_json) → { text, language, duration, words }
+function normalizeTranscription(raw) {
+  const data = raw && typeof raw === 'object' ? raw : {};
+  let words = Array.isArray(data.words) ? data.words : [];
+  if (words.length === 0 && Array.isArray(data.segments)) {
+    words = data.segments.flatMap(segment => (
+      Array.isArray(segment.words) && segment.words.length > 0 ? segment.words : spreadSegmentWords(segment)
+    ));
+  }
+  words = words
+    .map(w => ({ word: String(w.word || '').trim(), start: roundSeconds(w.start), end: roundSeconds(w.end) }))
+    .filter(w => w.word && w.start !== null && w.end !== null);
+
+  const text = String(data.text || words.map(w => w.word).join(' ')).replace(/\s+/g, ' ').trim();
+  const duration = roundSeconds(data.duration) || (words.length > 0 ? words[words.length - 1].end : 0);
+
+  return { text, language: data.language || null, duration, words };
+}
+
+// whisper.cpp reports tokens: pieces without a leading space continue the previous word, [_BEG_]-style markers are dropped
+function mergeTokenPieces(tokens) {
+  const words = [];
+  tokens.forEach(token => {
+    const text = String(token.word || '');
+    if (!text.trim() || /^\s*\[_?[A-Z_]+_?\]\s*$/.test(text)) return;
+    const previous = words[words.length - 1];
+    if (previous && !/^\s/.test(text)) {
+      previous.word += text;
+      previous.end = token.end;
+    } else {
+      words.push({ word: text.trim(), start: token.start, end: token.end });
+    }
+  });
+  return words;
+}
+
+function createOpenAITranscriber(env) {
+  const client = env.OPENAI_API_KEY ? new OpenAI({ apiKey: env.OPENAI_API_KEY }) : null;
+  const model = env.TRANSCRIBE_MODEL || DEFAULT_TRANSCRIBE_MODEL;
+
+  return {
+    name: 'openai',
+    available: !!client,
+
+    async transcribe(audio, mimeType) {
+      if (!client) throw new Error('OPENAI_API_KEY is required for TRANSCRIBE_PROVIDER=openai');
+      // Word timestamps are only returned by whisper-1 with verbose_json
+      const result = await client.audio.transcriptions.create({
+        file: await OpenAI.toFile(audio, audioFilename(mimeType), { type: mimeType }),
+        model,
+        language: env.TRANSCRIBE_LANGUAGE || 'en',
+        prompt: FILLER_PROMPT,
+        response_format: 'verbose_json',
+        timestamp_granularities: ['word']
+      });
+      return normalizeTranscription(result);
+    }
+  };
+}
+
+function createWhisperCppTranscriber(env) {
+  if (!env.WHISPER_CPP_URL) {
+    throw new Error('WHISPER_CPP_URL is required for TRANSCRIBE_PROVIDER=whisper-cpp (e.g. http://localhost:8080)');
+  }
+  const url = `${env.WHISPER_CPP_URL.replace(/\/+$/, '')}/inference`;
+
+  return {
+    name: 'whisper-cpp',
+    available: true,
+
+    // The server must be started with --convert so it accepts browser formats (webm/ogg/mp4), not just wav
+    async transcribe(audio, mimeType) {
+      const form = new FormData();
+      form.append('file', new Blob([audio], { type: mimeType }), audioFilename(mimeType));
+      form.append('response_format', 'verbose_json');
+      form.append('language', env.TRANSCRIBE_LANGUAGE || 'en');
+      form.append('prompt', FILLER_PROMPT);
+
+      const response = await fetch(url, { method: 'POST', body: form });
+      if (!response.ok) {
+        throw new Error(`whisper.cpp server returned ${response.status}: ${(await response.text()).slice(0, 200)}`);
+      }
+      const data = await response.json();
+      if (Array.isArray(data.segments)) {
+        data.segments = data.segments.map(segment => (
+          Array.isArray(segment.words) ? { ...segment, words: mergeTokenPieces(segment.words) } : segment
+        ));
+      }
+      return normalizeTranscription(data);
+    }
+  };
+}
+
+// Fixed transcript at an even speaking pace, so recording flows can be exercised offline
+function createStubTranscriber(env) {
+  const text = env.TRANSCRIBE_STUB_TEXT || STUB_TRANSCRIPT;
+
+  return {
+    name: 'stub',
+    available: true,
+
+    async transcribe() {
+      const words = text.split(/\s+/).filter(Boolean).map((word, i) => ({
+        word,
+        start: i / STUB_WORDS_PER_SECOND,
+        end: (i + 0.8) / STUB_WORDS_PER_SECOND
+      }));
+      return normalizeTranscription({ text, language: 'english', words });
+    }
+  };
+}
+
+// Build the transcriber named by TRANSCRIBE_PROVIDER (default: openai)
+function createTranscriber(env = process.env) {
+  const providerName = String(env.TRANSCRIBE_PROVIDER || 'openai').toLowerCase();
+  if (!TRANSCRIBE_PROVIDERS.includes(providerName)) {
+    throw new Error(`Unknown TRANSCRIBE_PROVIDER "${providerName}" (expected one of: ${TRANSCRIBE_PROVIDERS.join(', ')})`);
+  }
+  if (providerName === 'whisper-cpp') return createWhisperCppTranscriber(env);
+  if (providerName === 'stub') return createStubTranscriber(env);
+  return createOpenAITranscriber(env);
+}
+
+module.exports = {
+  TRANSCRIBE_PROVIDERS,
+  MAX_AUDIO_BYTES,
+  AUDIO_TYPES,
+  audioFilename,
+  normalizeTranscription,
+  createTranscriber
+};
@@ -0,0 +1,304 @@
+// Voice Metrics - vocal delivery measured from the recorded answer and its word timings
+// Pace, long pauses, filler words with timestamps, speaking time vs. silence and volume consistency.
+// Audio is decoded natively for WAV and with ffmpeg (FFMPEG_PATH) for browser formats; without it only timing metrics are returned.
+
+const { spawn } = require('child_process');
+
+const SAMPLE_RATE = 16000;
+const FRAME_SECONDS = 0.05;
+const DECODE_TIMEOUT_MS = 30000;
+// Comfortable interview pace; most panels hear 130-160 wpm as calm and clear
+const IDEAL_WPM = { min: 120, max: 170 };
+const LONG_PAUSE_SECONDS = 2;
+// Gaps shorter than this between words are still counted as speaking time
+const WORD_JOIN_SECONDS = 0.3;
+// A frame is speech when it is this far above the recording's noise floor
+const SPEECH_ABOVE_FLOOR_DB = 10;
+const MIN_SPEECH_DB = -55;
+const SILENCE_DB = -100;
+
+// Set once ffmpeg fails to start, so a missing binary is reported once instead of on every upload
+let ffmpegUnavailable = false;
+
+const FILLER_WORDS = ['um', 'umm', 'uh', 'uhh', 'er', 'erm', 'ah', 'hmm', 'like'];
+const FILLER_PHRASES = [['you', 'know'], ['sort', 'of'], ['kind', 'of']];
+// "like" after these is a verb or comparison, not a filler ("I'd like to", "it looked like")
+const LIKE_NOT_FILLER_AFTER = ['would', 'id', 'youd', 'wed', 'theyd', 'look', 'looks', 'looked', 'feel', 'feels', 'felt', 'seem', 'seems', 'seemed', 'sounds', 'sounded', 'just', 'things', 'something'];
+
+function round(value, places = 1) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+function normalizeWord(word) {
+  return String(word || '').toLowerCase().replace(/[^a-z]/g, '');
+}
+
+// 16-bit PCM or 32-bit float WAV → first channel as floats in [-1, 1]; null for anything else
+function parseWav(buffer) {
+  if (buffer.length < 44 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') return null;
+
+  let offset = 12;
+  let format = null;
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (chunkId === 'fmt ') {
+      format = {
+        audioFormat: buffer.readUInt16LE(body),
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        bitsPerSample: buffer.readUInt16LE(body + 14)
+      };
+    } else if (chunkId === 'data' && format) {
+      const isPcm16 = format.audioFormat === 1 && format.bitsPerSample === 16;
+      const isFloat32 = format.audioFormat === 3 && format.bitsPerSample === 32;
+      if (!isPcm16 && !isFloat32) return null;
+
+      const frameBytes = (format.bitsPerSample / 8) * format.channels;
+      const end = Math.min(body + chunkSize, buffer.length);
+      const samples = new Float32Array(Math.floor((end - body) / frameBytes));
+      for (let i = 0; i < samples.length; i++) {
+        const position = body + i * frameBytes;
+        samples[i] = isPcm16 ? buffer.readInt16LE(position) / 32768 : buffer.readFloatLE(position);
+      }
+      return { samples, sampleRate: format.sampleRate };
+    }
+    offset = body + chunkSize + (chunkSize % 2);
+  }
+  return null;
+}
+
+// Any format ffmpeg understands → 16 kHz mono floats; null when ffmpeg is missing or fails
+function decodeWithFfmpeg(audio, ffmpegPath) {
+  return new Promise(resolve => {
+    const child = spawn(ffmpegPath, [
+      '-hide_banner', '-loglevel', 'error',
+      '-i', 'pipe:0',
+      '-f', 's16le', '-ac', '1', '-ar', String(SAMPLE_RATE),
+      'pipe:1'
+    ]);
+    const chunks = [];
+    const timer = setTimeout(() => child.kill('SIGKILL'), DECODE_TIMEOUT_MS);
+
+    child.stdout.on('data', chunk => chunks.push(chunk));
+    child.on('error', error => {
+      clearTimeout(timer);
+      ffmpegUnavailable = true;
+      console.warn(`Audio decoding unavailable, volume metrics disabled (${ffmpegPath}): ${error.message}`);
+      resolve(null);
+    });
+    child.on('close', code => {
+      clearTimeout(timer);
+      if (code !== 0) return resolve(null);
+      const pcm = Buffer.concat(chunks);
+      const samples = new Float32Array(Math.floor(pcm.length / 2));
+      for (let i = 0; i < samples.length; i++) samples[i] = pcm.readInt16LE(i * 2) / 32768;
+      resolve({ samples, sampleRate: SAMPLE_RATE });
+    });
+    // ffmpeg may exit before reading all of a corrupt upload
+    child.stdin.on('error', () => {});
+    child.stdin.end(audio);
+  });
+}
+
+async function decodeAudio(audio, env = process.env) {
+  const wav = parseWav(audio);
+  if (wav || ffmpegUnavailable) return wav;
+  return decodeWithFfmpeg(audio, env.FFMPEG_PATH || 'ffmpeg');
+}
+
+// Loudness in dBFS for each 50 ms frame
+function computeLoudnessFrames(samples, sampleRate) {
+  const frameSize = Math.max(1, Math.round(sampleRate * FRAME_SECONDS));
+  const frames = [];
+  for (let start = 0; start + frameSize <= samples.length; start += frameSize) {
+    let sumSquares = 0;
+    for (let i = start; i < start + frameSize; i++) sumSquares += samples[i] * samples[i];
+    const rms = Math.sqrt(sumSquares / frameSize);
+    frames.push(rms > 0 ? Math.max(SILENCE_DB, 20 * Math.log10(rms)) : SILENCE_DB);
+  }
+  return frames;
+}
+
+function percentile(values, fraction) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))];
+}
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+// Filler words and phrases with the time they were said
+function findFillers(words) {
+  const tokens = words.map(w => normalizeWord(w.word));
+  const fillers = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const phrase = FILLER_PHRASES.find(parts => parts.every((part, j) => tokens[i + j] === part));
+    if (phrase) {
+      fillers.push({ word: phrase.join(' '), start: round(words[i].start, 2) });
+      i += phrase.length - 1;
+      continue;
+    }
+    if (!FILLER_WORDS.includes(tokens[i])) continue;
+    if (tokens[i] === 'like' && LIKE_NOT_FILLER_AFTER.includes(tokens[i - 1])) continue;
+    fillers.push({ word: tokens[i], start: round(words[i].start, 2) });
+  }
+  return fillers;
+}
+
+// Filler count for a plain transcript without word timings (stored attempts)
+function countFillerWords(text) {
+  const words = String(text || '').split(/\s+/).filter(Boolean).map(word => ({ word, start: 0 }));
+  return findFillers(words).length;
+}
+
+function findLongPauses(words) {
+  const pauses = [];
+  for (let i = 1; i < words.length; i++) {
+    const gap = words[i].start - words[i - 1].end;
+    if (gap >= LONG_PAUSE_SECONDS) {
+      pauses.push({ start: round(words[i - 1].end, 2), duration: round(gap), after: words[i - 1].word });
+    }
+  }
+  return pauses;
+}
+
+// Speaking time from the word timings: word durations plus the short gaps inside phrases
+function speakingSecondsFromWords(words) {
+  let total = 0;
+  words.forEach((word, i) => {
+    total += Math.max(0, word.end - word.start);
+    const next = words[i + 1];
+    if (next && next.start - word.end > 0 && next.start - word.end < WORD_JOIN_SECONDS) total += next.start - word.end;
+  });
+  return total;
+}
+
+// Average level, spread and trailing-off of the speech frames
+function measureVolume(speechFrames) {
+  if (speechFrames.length < 20) return null;
+  const averageDb = mean(speechFrames);
+  const variationDb = Math.sqrt(mean(speechFrames.map(db => (db - averageDb) ** 2)));
+  const half = Math.floor(speechFrames.length / 2);
+  const dropDb = mean(speechFrames.slice(0, half)) - mean(speechFrames.slice(half));
+  return {
+    averageDb: round(averageDb),
+    variationDb: round(variationDb),
+    consistency: variationDb <= 4 ? 'steady' : variationDb <= 7 ? 'variable' : 'uneven',
+    trailsOff: dropDb >= 6
+  };
+}
+
+// Delivery metrics for one recorded answer. `loudness` is the per-frame dB list from
+// computeLoudnessFrames, or null when the audio couldn't be decoded (timing metrics only).
+function computeDeliveryMetrics({ words = [], duration = 0, loudness = null } = {}) {
+  const timedWords = words.filter(w => Number.isFinite(w.start) && Number.isFinite(w.end));
+  const totalSeconds = Math.max(duration || 0, loudness ? loudness.length * FRAME_SECONDS : 0,
+    timedWords.length > 0 ? timedWords[timedWords.length - 1].end : 0);
+
+  let speakingSeconds;
+  let volume = null;
+  if (loudness && loudness.length > 0) {
+    const threshold = Math.max(percentile(loudness, 0.1) + SPEECH_ABOVE_FLOOR_DB, MIN_SPEECH_DB);
+    const speechFrames = loudness.filter(db => db >= threshold);
+    speakingSeconds = speechFrames.length * FRAME_SECONDS;
+    volume = measureVolume(speechFrames);
+  } else {
+    speakingSeconds = speakingSecondsFromWords(timedWords);
+  }
+  speakingSeconds = Math.min(speakingSeconds, totalSeconds);
+
+  // Pace over the answer itself, so silence before the first word doesn't slow it down
+  const spanSeconds = timedWords.length > 1 ? timedWords[timedWords.length - 1].end - timedWords[0].start : 0;
+  const wordsPerMinute = spanSeconds >= 3 ? Math.round(timedWords.length / (spanSeconds / 60)) : null;
+
+  const fillers = findFillers(timedWords);
+  const longPauses = findLongPauses(timedWords);
+  const minutes = totalSeconds / 60;
+  const fillersPerMinute = minutes > 0 ? round(fillers.length / minutes) : 0;
+  const speakingRatio = totalSeconds > 0 ? round(speakingSeconds / totalSeconds, 2) : 0;
+
+  let score = 10;
+  const feedback = [];
+
+  if (wordsPerMinute === null) {
+    feedback.push('The recording was too short to measure your pace.');
+  } else if (wordsPerMinute < IDEAL_WPM.min) {
+    score -= wordsPerMinute < IDEAL_WPM.min - 20 ? 2 : 1;
+    feedback.push(`Pace was ${wordsPerMinute} words per minute - a little slow. Aim for ${IDEAL_WPM.min}-${IDEAL_WPM.max} so the panel stays with you.`);
+  } else if (wordsPerMinute > IDEAL_WPM.max) {
+    score -= wordsPerMinute > IDEAL_WPM.max + 20 ? 2 : 1;
+    feedback.push(`Pace was ${wordsPerMinute} words per minute - on the fast side. Slow down and let key points land.`);
+  } else {
+    feedback.push(`Pace was ${wordsPerMinute} words per minute - calm and easy to follow.`);
+  }
+
+  if (longPauses.length > 0) {
+    score -= Math.min(2, longPauses.length);
+    feedback.push(`${longPauses.length} long pause${longPauses.length === 1 ? '' : 's'} (${LONG_PAUSE_SECONDS}s+). A short pause to think is fine; longer ones can read as losing your place.`);
+  }
+
+  if (fillers.length === 0) {
+    feedback.push('No filler words detected.');
+  } else {
+    if (fillersPerMinute > 8) score -= 3;
+    else if (fillersPerMinute > 5) score -= 2;
+    else if (fillersPerMinute > 2) score -= 1;
+    feedback.push(`${fillers.length} filler word${fillers.length === 1 ? '' : 's'} (${fillersPerMinute} per minute). Try pausing silently instead of filling the space.`);
+  }
+
+  if (volume) {
+    if (volume.consistency === 'uneven') score -= 2;
+    else if (volume.consistency === 'variable') score -= 1;
+    if (volume.trailsOff) {
+      score -= 1;
+      feedback.push('Your volume dropped off toward the end - finish your answer as strongly as you started.');
+    } else if (volume.consistency === 'steady') {
+      feedback.push('Volume was steady throughout.');
+    } else {
+      feedback.push('Your volume varied quite a bit - keep a consistent, confident level.');
+    }
+  }
+
+  if (totalSeconds > 0 && speakingRatio < 0.6) {
+    score -= 1;
+    feedback.push(`You were speaking ${Math.round(speakingRatio * 100)}% of the time; cut down the silences between points.`);
+  }
+
+  return {
+    score: Math.max(1, Math.min(10, score)),
+    source: loudness ? 'audio' : 'timings',
+    durationSeconds: round(totalSeconds),
+    speakingSeconds: round(speakingSeconds),
+    silenceSeconds: round(Math.max(0, totalSeconds - speakingSeconds)),
+    speakingRatio,
+    wordsPerMinute,
+    longPauses,
+    fillers,
+    fillersPerMinute,
+    volume,
+    feedback
+  };
+}
+
+// Decode the recording and measure its delivery against the transcript's word timings
+async function analyzeDelivery(audio, transcription, env = process.env) {
+  const decoded = await decodeAudio(audio, env);
+  const loudness = decoded ? computeLoudnessFrames(decoded.samples, decoded.sampleRate) : null;
+  return computeDeliveryMetrics({ words: transcription.words, duration: transcription.duration, loudness });
+}
+
+module.exports = {
+  IDEAL_WPM,
+  LONG_PAUSE_SECONDS,
+  parseWav,
+  decodeAudio,
+  computeLoudnessFrames,
+  computeDeliveryMetrics,
+  analyzeDelivery,
+  countFillerWords
+};